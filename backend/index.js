@@ -6,19 +6,31 @@ import VectorDB from './src/databases/vectordb.js'
 import { setupVectorRoutes } from './src/routes/vector.js'
 import { initializeRealEmbeddings } from './src/utils/embedding.js'
 import hybridRoutes from './src/routes/hybrid.js'  
-import Neo4jDB from './src/databases/neo4jdb.js'
+import collectionRoutes from './src/routes/collections.js'
+import { createGraphStore } from './src/databases/graphstore.js'
+import OperationLog from './src/databases/oplog.js'
+import adminRoutes from './src/routes/admin.js'
+import schemaRoutes from './src/routes/schema.js'
+import SchemaStore from './src/databases/schemastore.js'
+import { writeGate, maintenanceTask } from './src/utils/maintenance.js'
 
 config()
 
 const app = express()
 const PORT = process.env.PORT || 3000
 const DB_PATH = process.env.DB_PATH || '/tmp/hackathon.lancedb'
+// 'neo4j' (default) or 'embedded' for an in-process graph saved next to DB_PATH
+const GRAPH_STORE = process.env.GRAPH_STORE || 'neo4j'
 
 app.use(cors())
 app.use(bodyParser.json({ limit: '50mb' }))
+// Backups and restores pause writes until they finish
+app.use(writeGate())
 
 let vectorDB
 let graphDB
+let oplog
+let schemas
 
 async function initializeServer() {
   try {
@@ -27,21 +39,32 @@ async function initializeServer() {
     await initializeRealEmbeddings()
     
     vectorDB = new VectorDB(DB_PATH)
-    graphDB = new Neo4jDB()
+    graphDB = await createGraphStore(GRAPH_STORE, { dbPath: DB_PATH })
     await graphDB.initialize()
+    oplog = new OperationLog({ dbPath: DB_PATH })
+    await oplog.initialize()
+    schemas = new SchemaStore({ dbPath: DB_PATH })
+    await schemas.initialize()
     
     await vectorDB.initialize()
     await vectorDB.ensureTable('documents')
     
-    setupVectorRoutes(app, vectorDB)
-    app.use('/hybrid', hybridRoutes(vectorDB, graphDB))  
+    setupVectorRoutes(app, vectorDB, schemas)
+    app.use('/hybrid', hybridRoutes(vectorDB, graphDB, oplog, schemas))  
+    app.use('/collections', collectionRoutes(vectorDB, graphDB, schemas))
+    app.use('/schema', schemaRoutes(vectorDB, schemas))
+    app.use('/admin', adminRoutes(vectorDB, graphDB, oplog))
     
     app.get('/health', (req, res) => {
       res.json({ 
         status: 'ok', 
         timestamp: new Date().toISOString(),
         vector_ready: !!vectorDB?.table,
+        embedding_model: vectorDB?.embeddingProvider,
         graph_ready: true,
+        graph_store: graphDB?.name,
+        unfinished_operations: oplog?.unfinished().length ?? 0,
+        maintenance: maintenanceTask(),
         db_path: DB_PATH
       })
     })
@@ -49,6 +72,7 @@ async function initializeServer() {
     app.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}`)
       console.log(`Vector DB path: ${DB_PATH}`)
+      console.log(`Graph store: ${graphDB.name}`)
       console.log('ALL ROUTES LOADED')
     })
 
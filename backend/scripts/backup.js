@@ -0,0 +1,70 @@
+// Offline backup and restore against DB_PATH and GRAPH_STORE.
+//
+//   node scripts/backup.js backup <file.jsonl.gz> [--collections a,b]
+//   node scripts/backup.js restore <file.jsonl.gz> [--mode empty|merge] [--collections a,b]
+//
+// With GRAPH_STORE=embedded, stop the server first: both processes would
+// otherwise write the same graph file.
+import fs from 'fs'
+import { config } from 'dotenv'
+import VectorDB from '../src/databases/vectordb.js'
+import { createGraphStore } from '../src/databases/graphstore.js'
+import { writeBackup, validateBackup, restoreBackup } from '../src/utils/backup.js'
+
+config()
+
+const DB_PATH = process.env.DB_PATH || '/tmp/hackathon.lancedb'
+const GRAPH_STORE = process.env.GRAPH_STORE || 'neo4j'
+
+const USAGE = 'Usage: node scripts/backup.js backup|restore <file> [--mode empty|merge] [--collections a,b]'
+
+function parseArgs(argv) {
+  const [command, file, ...rest] = argv
+  const options = {}
+  for (let i = 0; i < rest.length; i++) {
+    const flag = rest[i]
+    if (!flag.startsWith('--') || rest[i + 1] === undefined) throw new Error(`Unexpected argument: ${flag}`)
+    options[flag.slice(2)] = rest[++i]
+  }
+  if (!['backup', 'restore'].includes(command) || !file) throw new Error(USAGE)
+  return {
+    command,
+    file,
+    mode: options.mode || 'empty',
+    collections: options.collections?.split(',').map(name => name.trim()).filter(Boolean)
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+
+  const vectorDB = new VectorDB(DB_PATH)
+  await vectorDB.initialize()
+  await vectorDB.ensureTable('documents')
+  const graphDB = await createGraphStore(GRAPH_STORE, { dbPath: DB_PATH })
+  await graphDB.initialize()
+
+  try {
+    if (args.command === 'backup') {
+      const manifest = await writeBackup(vectorDB, graphDB, fs.createWriteStream(args.file), {
+        collections: args.collections
+      })
+      console.log(`✅ Wrote ${args.file} (${manifest.collections.length} collections)`)
+    } else {
+      const openInput = () => fs.createReadStream(args.file)
+      const plan = await validateBackup(vectorDB, graphDB, openInput, {
+        mode: args.mode,
+        collections: args.collections
+      })
+      const result = await restoreBackup(vectorDB, graphDB, openInput, plan)
+      console.log(`✅ Restored ${result.collections.length} collections from ${args.file} (${result.mode})`)
+    }
+  } finally {
+    await graphDB.close()
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message)
+  process.exit(1)
+})
@@ -0,0 +1,91 @@
+// Offline CSV import against DB_PATH and GRAPH_STORE.
+//
+//   node scripts/import-csv.js --nodes nodes.csv --edges edges.csv [--collection name]
+//     [--map id=ID,text=Body] [--edge-map source=From,target=To] [--delimiter ";"]
+//     [--batch-size 256] [--author name] [--dry-run]
+//
+// Stop the server first: both processes would otherwise write the same
+// operation log (and, with GRAPH_STORE=embedded, the same graph file).
+import fs from 'fs'
+import { config } from 'dotenv'
+import VectorDB from '../src/databases/vectordb.js'
+import { createGraphStore } from '../src/databases/graphstore.js'
+import SchemaStore from '../src/databases/schemastore.js'
+import OperationLog from '../src/databases/oplog.js'
+import { DEFAULT_COLLECTION } from '../src/utils/collections.js'
+import { DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE } from '../src/utils/ingest.js'
+import { importCsv, parseMappingSpec } from '../src/utils/csvimport.js'
+
+config()
+
+const DB_PATH = process.env.DB_PATH || '/tmp/hackathon.lancedb'
+const GRAPH_STORE = process.env.GRAPH_STORE || 'neo4j'
+
+const FLAGS = ['nodes', 'edges', 'collection', 'map', 'edge-map', 'delimiter', 'batch-size', 'author']
+
+function parseArgs(argv) {
+  const options = { 'dry-run': false }
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '')
+    if (flag === 'dry-run') {
+      options['dry-run'] = true
+    } else if (FLAGS.includes(flag) && argv[i + 1] !== undefined) {
+      options[flag] = argv[++i]
+    } else {
+      throw new Error(`Unexpected argument: ${argv[i]}`)
+    }
+  }
+  if (!options.nodes && !options.edges) {
+    throw new Error('Usage: node scripts/import-csv.js --nodes <file> --edges <file> [--map field=column,...] [--dry-run]')
+  }
+  return options
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+  const collection = options.collection || DEFAULT_COLLECTION
+  const files = {
+    nodes: options.nodes && fs.readFileSync(options.nodes, 'utf8'),
+    edges: options.edges && fs.readFileSync(options.edges, 'utf8')
+  }
+
+  const vectorDB = new VectorDB(DB_PATH)
+  await vectorDB.initialize()
+  await vectorDB.ensureTable('documents')
+  if (!(await vectorDB.hasCollection(collection))) throw new Error(`Collection not found: ${collection}`)
+  const schemas = new SchemaStore({ dbPath: DB_PATH })
+  await schemas.initialize()
+  const graphDB = await createGraphStore(GRAPH_STORE, { dbPath: DB_PATH })
+  await graphDB.initialize()
+  const oplog = new OperationLog({ dbPath: DB_PATH })
+  await oplog.initialize()
+
+  let report
+  try {
+    report = await importCsv(vectorDB, graphDB, oplog, files, {
+      collection,
+      mapping: { nodes: parseMappingSpec(options.map), edges: parseMappingSpec(options['edge-map']) },
+      delimiter: options.delimiter || ',',
+      dryRun: options['dry-run'],
+      batchSize: Math.min(parseInt(options['batch-size']) || DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE),
+      author: options.author || null,
+      schema: schemas.schemaFor(collection)
+    })
+  } finally {
+    await graphDB.close()
+  }
+
+  for (const error of report.errors) {
+    const file = error.file === 'nodes' ? options.nodes : options.edges
+    console.error(`${file}:${error.row}${error.id ? ` (${error.id})` : ''}: ${error.error}`)
+  }
+  const verb = report.dry_run ? 'valid' : 'imported'
+  console.log(`${report.errors.length ? '⚠️' : '✅'} Nodes ${report.nodes[verb]}/${report.nodes.total} ${verb}, ` +
+    `edges ${report.edges[verb]}/${report.edges.total} ${verb}${report.dry_run ? ' (dry run, nothing written)' : ''}`)
+  if (report.errors.length) process.exitCode = 1
+}
+
+main().catch(error => {
+  console.error('❌', error.message)
+  process.exit(1)
+})
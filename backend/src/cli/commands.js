@@ -0,0 +1,521 @@
+import fs from 'fs'
+import path from 'path'
+import { Readable } from 'stream'
+import { pipeline } from 'stream/promises'
+import { detectFormat } from '../utils/parsers.js'
+import { parseMappingSpec } from '../utils/csvimport.js'
+import { formatTable, formatPairs, score } from './output.js'
+
+// Each command parses its own flags (util.parseArgs options) and returns
+// { data, text }: `data` is printed as-is with --json, `text` otherwise.
+
+export const SEARCH_MODES = ['hybrid', 'vector', 'keyword', 'graph', 'multi-hop']
+
+// The server accepts at most this many files per upload
+const FILES_PER_UPLOAD = 20
+
+function usageError(message) {
+  const error = new Error(message)
+  error.usage = true
+  return error
+}
+
+function parseJsonFlag(name, value) {
+  if (value === undefined) return undefined
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    throw usageError(`--${name} must be JSON: ${error.message}`)
+  }
+}
+
+function list(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined
+}
+
+// Files to ingest under each path; directories are walked recursively
+function collectFiles(paths) {
+  const files = []
+  const visit = target => {
+    const stat = fs.statSync(target)
+    if (stat.isDirectory()) {
+      for (const entry of fs.readdirSync(target).sort()) {
+        if (!entry.startsWith('.')) visit(path.join(target, entry))
+      }
+    } else if (detectFormat(target)) {
+      files.push(target)
+    } else if (paths.includes(target)) {
+      throw usageError(`Unsupported file type: ${target}`)
+    }
+  }
+  paths.forEach(visit)
+  return files
+}
+
+const resultColumns = (scoreKey) => [
+  { key: 'rank', label: '#' },
+  { key: 'docId', label: 'id' },
+  { key: scoreKey, label: 'score', format: score },
+  { key: 'text', label: 'text', format: (text, row) => row.snippet || text }
+]
+
+export const commands = {
+  ingest: {
+    usage: 'ingest <file|dir>... [--chunk-size N] [--text-column col] [--id-column col] [--batch-size N]',
+    summary: 'Upload .md, .txt, .csv, .json and .jsonl files',
+    options: {
+      'chunk-size': { type: 'string' },
+      'text-column': { type: 'string' },
+      'id-column': { type: 'string' },
+      'batch-size': { type: 'string' }
+    },
+    async run(client, { positionals, values }) {
+      if (positionals.length === 0) throw usageError('ingest needs at least one file or directory')
+      const files = collectFiles(positionals)
+      if (files.length === 0) throw usageError('No supported files found')
+
+      const reports = []
+      for (let i = 0; i < files.length; i += FILES_PER_UPLOAD) {
+        const batch = await Promise.all(files.slice(i, i + FILES_PER_UPLOAD).map(async file => ({
+          name: path.basename(file),
+          content: await fs.promises.readFile(file)
+        })))
+        const result = await client.uploadFiles(batch, {
+          textColumn: values['text-column'],
+          idColumn: values['id-column'],
+          chunking: values['chunk-size'] ? { size: parseInt(values['chunk-size']) } : undefined,
+          batchSize: values['batch-size']
+        })
+        reports.push(...result.files)
+      }
+
+      const failed = reports.filter(r => r.error || r.failed > 0).length
+      return {
+        data: { success: failed === 0, files: reports },
+        text: formatTable(reports, [
+          { key: 'file' },
+          { key: 'format' },
+          { key: 'nodes' },
+          { key: 'edges' },
+          { key: 'failed' },
+          { key: 'error', format: (error, row) => error || row.results?.find(r => r.status === 'error')?.error }
+        ]),
+        failed: failed > 0
+      }
+    }
+  },
+
+  search: {
+    usage: `search "<query>" [--mode ${SEARCH_MODES.join('|')}] [--weights vector,graph[,keyword]] [--top-k N] [--filter JSON]\n` +
+      '       (multi-hop: the query is the start node id; --hops N --types A,B)',
+    summary: 'Search the collection',
+    options: {
+      mode: { type: 'string', short: 'm', default: 'hybrid' },
+      weights: { type: 'string', short: 'w' },
+      'top-k': { type: 'string', short: 'k' },
+      filter: { type: 'string' },
+      hops: { type: 'string' },
+      types: { type: 'string' }
+    },
+    async run(client, { positionals, values }) {
+      const query = positionals.join(' ').trim()
+      if (!query) throw usageError('search needs a query')
+      const mode = values.mode
+      if (!SEARCH_MODES.includes(mode)) throw usageError(`--mode must be one of ${SEARCH_MODES.join(', ')}`)
+      const topK = values['top-k'] ? parseInt(values['top-k']) : undefined
+      const filter = parseJsonFlag('filter', values.filter)
+
+      if (mode === 'graph') {
+        const data = await client.graphSearch(query, { limit: topK })
+        const rows = data.matches.map((match, i) => ({ rank: i + 1, ...match }))
+        return {
+          data,
+          text: formatTable(rows, [
+            { key: 'rank', label: '#' },
+            { key: 'docId', label: 'id' },
+            { key: 'score', format: score },
+            { key: 'type' },
+            { key: 'name' }
+          ])
+        }
+      }
+
+      if (mode === 'multi-hop') {
+        const data = await client.multiHop(query, { hops: values.hops, types: values.types })
+        return {
+          data,
+          text: formatTable(data.paths, [
+            { key: 'related', label: 'node', format: node => node?.id },
+            { key: 'hop_count', label: 'hops' },
+            { key: 'relationships', label: 'path', format: rels => rels?.map(r => r.type).join(' → ') },
+            { key: 'related', label: 'name', format: node => node?.name }
+          ])
+        }
+      }
+
+      if (mode === 'vector' || mode === 'keyword') {
+        const data = mode === 'vector'
+          ? await client.vectorSearch(query, { topK, filter })
+          : await client.keywordSearch(query, { topK, filter })
+        const rows = data.results.map((result, i) => ({ rank: i + 1, ...result }))
+        return { data, text: formatTable(rows, resultColumns(mode === 'vector' ? 'similarity' : 'keyword_score')) }
+      }
+
+      const weights = list(values.weights)?.map(Number)
+      if (weights && (weights.length < 2 || weights.length > 3 || weights.some(Number.isNaN))) {
+        throw usageError('--weights takes two or three numbers: vector,graph[,keyword]')
+      }
+      const data = await client.search(query, {
+        topK,
+        filter,
+        ...(weights ? { vectorWeight: weights[0], graphWeight: weights[1], keywordWeight: weights[2] ?? 0 } : {})
+      })
+      return { data, text: formatTable(data.results, resultColumns('hybrid_score')) }
+    }
+  },
+
+  node: {
+    usage: 'node get <id> [--version N]\n' +
+      '       node put <id> (--text "..." | --file path) [--type t] [--tags a,b] [--metadata JSON]\n' +
+      '       node rm <id>',
+    summary: 'Read, create or update, and delete documents',
+    options: {
+      version: { type: 'string' },
+      text: { type: 'string' },
+      file: { type: 'string' },
+      type: { type: 'string' },
+      tags: { type: 'string' },
+      metadata: { type: 'string' }
+    },
+    async run(client, { positionals, values }) {
+      const [action, id] = positionals
+      if (!id || !['get', 'put', 'rm'].includes(action)) throw usageError('node get|put|rm <id>')
+      if (action === 'get') {
+        const data = await client.getNode(id, { version: values.version })
+        const { text, ...props } = data.version || data.node
+        return { data, text: `${formatPairs(props)}\n\n${text ?? ''}`.trimEnd() }
+      }
+
+      if (action === 'rm') {
+        const data = await client.deleteNode(id)
+        return { data, text: `🗑️ Deleted ${id}` }
+      }
+
+      const text = values.file ? await fs.promises.readFile(values.file, 'utf8') : values.text
+      if (!text) throw usageError('node put needs --text or --file')
+      const metadata = {
+        ...parseJsonFlag('metadata', values.metadata),
+        ...(values.type ? { type: values.type } : {}),
+        ...(values.tags ? { tags: list(values.tags) } : {})
+      }
+      // PUT replaces an existing document; new ones are created with POST
+      let exists = true
+      try {
+        await client.getNode(id)
+      } catch (error) {
+        if (error.status !== 404) throw error
+        exists = false
+      }
+      const data = exists
+        ? await client.updateNode(id, { text, metadata })
+        : await client.createNode({ id, text, metadata })
+      return { data, text: `✅ ${exists ? 'Updated' : 'Created'} ${id}${data.chunks ? ` (${data.chunks} chunks)` : ''}` }
+    }
+  },
+
+  edge: {
+    usage: 'edge add <source> <target> <type> [--weight 0-1] [--props JSON]\n' +
+      '       edge ls <node> [--direction out|in|both] [--types A,B] [--limit N]\n' +
+      '       edge get <id>\n' +
+      '       edge set <id> [--weight 0-1] [--props JSON]\n' +
+      '       edge rm <id>',
+    summary: 'Add, list, update or remove edges',
+    options: {
+      weight: { type: 'string' },
+      props: { type: 'string' },
+      direction: { type: 'string', default: 'both' },
+      types: { type: 'string' },
+      limit: { type: 'string', short: 'n', default: '100' }
+    },
+    async run(client, { positionals, values }) {
+      const [action, ...args] = positionals
+      const weight = values.weight === undefined ? undefined : Number(values.weight)
+      const properties = parseJsonFlag('props', values.props)
+      const describe = edge => `${edge.source} -[${edge.type} ${edge.weight}]-> ${edge.target}`
+      const columns = [
+        { key: 'id' },
+        { key: 'source' },
+        { key: 'type' },
+        { key: 'target' },
+        { key: 'weight', format: score },
+        { key: 'properties', format: props => (Object.keys(props).length ? JSON.stringify(props) : '') }
+      ]
+
+      switch (action) {
+        case 'add': {
+          const [source, target, type] = args
+          if (!source || !target || !type) throw usageError('edge add <source> <target> <type>')
+          const data = await client.createEdge({ source, target, type, weight: weight ?? 1, properties })
+          return { data, text: `✅ ${describe(data.edge)} (${data.edge.id})` }
+        }
+        case 'ls': {
+          if (!args[0]) throw usageError('edge ls <node>')
+          const data = await client.listEdges(args[0], { direction: values.direction, types: list(values.types), limit: values.limit })
+          return { data, text: formatTable(data.edges, columns) + (data.has_more ? '\n(more edges; raise --limit)' : '') }
+        }
+        case 'get': {
+          if (!args[0]) throw usageError('edge get <id>')
+          const data = await client.getEdge(args[0])
+          return { data, text: formatTable([data.edge], columns) }
+        }
+        case 'set': {
+          if (!args[0] || (weight === undefined && properties === undefined)) throw usageError('edge set <id> --weight 0-1 and/or --props JSON')
+          const data = await client.updateEdge(args[0], { weight, properties })
+          return { data, text: `✅ ${describe(data.edge)}` }
+        }
+        case 'rm': {
+          if (!args[0]) throw usageError('edge rm <id>')
+          const data = await client.deleteEdge(args[0])
+          return { data, text: `🗑️ Removed ${describe(data.deleted)}` }
+        }
+        default:
+          throw usageError(`Unknown edge action: ${action ?? '(none)'}. Use add, ls, get, set or rm`)
+      }
+    }
+  },
+
+  neighbors: {
+    usage: 'neighbors <id> [--direction out|in|both] [--types A,B] [--node-types a,b] [--min-weight W] [--depth 1-3] [--limit N]',
+    summary: 'Nodes around a node, with the edges that reach them',
+    options: {
+      direction: { type: 'string', default: 'both' },
+      types: { type: 'string' },
+      'node-types': { type: 'string' },
+      'min-weight': { type: 'string' },
+      depth: { type: 'string', short: 'd' },
+      limit: { type: 'string', short: 'n', default: '100' }
+    },
+    async run(client, { positionals, values }) {
+      const [id] = positionals
+      if (!id) throw usageError('neighbors <id>')
+      const data = await client.getNeighbors(id, {
+        direction: values.direction,
+        types: list(values.types),
+        nodeTypes: list(values['node-types']),
+        minWeight: values['min-weight'],
+        depth: values.depth,
+        limit: values.limit
+      })
+      const arrow = edge => edge.direction === 'out' ? `-[${edge.type} ${score(edge.weight)}]->` : `<-[${edge.type} ${score(edge.weight)}]-`
+      const table = formatTable(data.neighbors, [
+        { key: 'depth', label: 'hop' },
+        { key: 'via' },
+        { key: 'edges', format: edges => edges.map(arrow).join(' ') },
+        { key: 'id' },
+        { key: 'node', label: 'type', format: node => node.type }
+      ])
+      const notes = [
+        data.has_more && `(${data.total} in total; raise --limit)`,
+        data.truncated && '(neighbourhood truncated; lower --depth or filter by --types)'
+      ].filter(Boolean)
+      return { data, text: [table, ...notes].join('\n') }
+    }
+  },
+
+  schema: {
+    usage: 'schema [show]\n' +
+      '       schema set <file.json>\n' +
+      '       schema reset',
+    summary: 'Show, replace or reset the collection\'s node and edge types',
+    options: {},
+    async run(client, { positionals }) {
+      const [action = 'show', file] = positionals
+      let data
+      if (action === 'show') {
+        data = await client.getSchema()
+      } else if (action === 'set') {
+        if (!file) throw usageError('schema set <file.json>')
+        let definition
+        try {
+          definition = JSON.parse(await fs.promises.readFile(file, 'utf8'))
+        } catch (error) {
+          if (error.code) throw error
+          throw usageError(`${file} is not JSON: ${error.message}`)
+        }
+        data = await client.request('PUT', '/schema', { body: definition })
+      } else if (action === 'reset') {
+        data = await client.resetSchema()
+      } else {
+        throw usageError(`Unknown schema action: ${action}`)
+      }
+      const nodeTypes = Object.entries(data.schema.node_types).map(([name, type]) => ({
+        name,
+        properties: Object.entries(type.properties).map(([prop, { type: t, required }]) => `${prop}${required ? '*' : ''}:${t}`).join(' ')
+      }))
+      const edgeTypes = Object.entries(data.schema.edge_types).map(([name, type]) => ({
+        name,
+        source: type.source?.join('|') || '*',
+        target: type.target?.join('|') || '*',
+        directed: type.directed ? 'yes' : 'no',
+        weight: `${type.weight.min}-${type.weight.max}`
+      }))
+      return {
+        data,
+        text: `${data.custom ? `Custom schema for ${data.collection} (updated ${data.updated_at})` : `Default schema (${data.collection})`}\n\n` +
+          `${formatTable(nodeTypes, [{ key: 'name' }, { key: 'properties' }])}\n\n` +
+          formatTable(edgeTypes, [{ key: 'name' }, { key: 'source' }, { key: 'target' }, { key: 'directed' }, { key: 'weight' }])
+      }
+    }
+  },
+
+  stats: {
+    usage: 'stats',
+    summary: 'Document, node and edge counts for the collection',
+    options: {},
+    async run(client) {
+      const [health, stats] = await Promise.all([client.health(), client.stats()])
+      const data = { health, stats }
+      return {
+        data,
+        text: formatPairs({
+          server: client.baseUrl,
+          status: health.status,
+          graph_store: health.graph_store,
+          embedding_model: health.embedding_model,
+          collection: stats.collection,
+          documents: stats.total_documents,
+          nodes: stats.total_nodes,
+          edges: stats.total_edges,
+          unfinished_operations: health.unfinished_operations,
+          maintenance: health.maintenance?.task
+        })
+      }
+    }
+  },
+
+  export: {
+    usage: 'export [--format graphml|cypher|jsonld] [--ids a,b] [--depth N] [--filter JSON] [--out file]',
+    summary: 'Export the graph (or part of it) for other tools',
+    options: {
+      format: { type: 'string', short: 'f', default: 'graphml' },
+      ids: { type: 'string' },
+      depth: { type: 'string' },
+      filter: { type: 'string' },
+      out: { type: 'string', short: 'o' }
+    },
+    async run(client, { values }) {
+      const filter = parseJsonFlag('filter', values.filter)
+      const options = { format: values.format, ids: list(values.ids), depth: values.depth, filter }
+      if (!values.out) return { raw: await client.exportGraph(options) }
+      // Written as it arrives rather than held in memory
+      const res = await client.request('POST', '/hybrid/graph/export', { body: options, idempotent: true, raw: true })
+      await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(values.out))
+      const data = { success: true, format: values.format, file: values.out }
+      return { data, text: `✅ Wrote ${values.out}` }
+    }
+  },
+
+  import: {
+    usage: 'import [--nodes file] [--edges file] [--map field=column,...] [--edge-map field=column,...] [--delimiter ;] [--dry-run]',
+    summary: 'Import nodes and edges from CSV files',
+    options: {
+      nodes: { type: 'string' },
+      edges: { type: 'string' },
+      map: { type: 'string' },
+      'edge-map': { type: 'string' },
+      delimiter: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    },
+    async run(client, { values }) {
+      if (!values.nodes && !values.edges) throw usageError('import needs --nodes and/or --edges')
+      const form = new FormData()
+      for (const kind of ['nodes', 'edges']) {
+        if (values[kind]) form.append(kind, new Blob([await fs.promises.readFile(values[kind])]), path.basename(values[kind]))
+      }
+      let mapping
+      try {
+        mapping = { nodes: parseMappingSpec(values.map), edges: parseMappingSpec(values['edge-map']) }
+      } catch (error) {
+        throw usageError(error.message)
+      }
+      form.append('mapping', JSON.stringify(mapping))
+      if (values.delimiter) form.append('delimiter', values.delimiter)
+      if (values['dry-run']) form.append('dry_run', 'true')
+
+      const data = await client.request('POST', '/hybrid/import/csv', { form })
+      const verb = data.dry_run ? 'valid' : 'imported'
+      const summary = `nodes ${data.nodes[verb]}/${data.nodes.total} ${verb}, edges ${data.edges[verb]}/${data.edges.total} ${verb}` +
+        (data.dry_run ? ' (dry run, nothing written)' : '')
+      return {
+        data,
+        text: data.errors.length ? `${formatTable(data.errors, [{ key: 'file' }, { key: 'row' }, { key: 'id' }, { key: 'error' }])}\n\n${summary}` : summary,
+        failed: data.errors.length > 0
+      }
+    }
+  },
+
+  admin: {
+    usage: 'admin backup <file> [--collections a,b]\n' +
+      '       admin restore <file> [--mode empty|merge] [--collections a,b]\n' +
+      '       admin reconcile [--repair]\n' +
+      '       admin ops [--status failed]',
+    summary: 'Backups, restores, reconciliation and the operation log',
+    options: {
+      collections: { type: 'string' },
+      mode: { type: 'string' },
+      repair: { type: 'boolean', default: false },
+      status: { type: 'string' },
+      limit: { type: 'string' }
+    },
+    async run(client, { positionals, values }) {
+      const [action, file] = positionals
+
+      if (action === 'backup' || action === 'restore') {
+        if (!file) throw usageError(`admin ${action} <file>`)
+        if (action === 'backup') {
+          const res = await client.request('POST', '/admin/backup', { body: { collections: list(values.collections) }, raw: true })
+          await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(file))
+          return { data: { success: true, file }, text: `✅ Wrote ${file}` }
+        }
+        const data = await client.request('POST', '/admin/restore', {
+          query: { mode: values.mode, collections: values.collections },
+          stream: fs.createReadStream(file),
+          headers: { 'Content-Type': 'application/gzip' }
+        })
+        return { data, text: formatTable(data.collections, [{ key: 'collection' }, { key: 'documents' }, { key: 'nodes' }, { key: 'edges' }]) }
+      }
+
+      if (action === 'reconcile') {
+        const data = await client.request('POST', '/admin/reconcile', { body: { repair: values.repair } })
+        return {
+          data,
+          text: formatPairs({
+            collection: data.collection,
+            in_sync: data.in_sync,
+            missing_in_graph: data.missing_in_graph.length,
+            missing_in_vector: data.missing_in_vector.length,
+            ...(data.repair ? { repaired: data.repaired.length, replayed: data.replayed.length } : {})
+          }),
+          failed: !data.success
+        }
+      }
+
+      if (action === 'ops') {
+        const data = await client.request('GET', '/admin/operations', { query: { status: values.status, limit: values.limit } })
+        return {
+          data,
+          text: formatTable(data.operations, [
+            { key: 'id' },
+            { key: 'type' },
+            { key: 'target' },
+            { key: 'collection' },
+            { key: 'status' },
+            { key: 'error' }
+          ])
+        }
+      }
+
+      throw usageError('admin backup|restore|reconcile|ops')
+    }
+  }
+}
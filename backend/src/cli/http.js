@@ -0,0 +1,10 @@
+// The CLI talks to the server through the JavaScript client (@jeridb/client);
+// commands fall back to its request() for admin endpoints it has no method for.
+import { JeriDBClient, DEFAULT_BASE_URL } from '@jeridb/client'
+
+export const DEFAULT_URL = DEFAULT_BASE_URL
+
+export function createClient({ url = DEFAULT_URL, collection } = {}) {
+  // Ingests, imports and restores can run for minutes; Ctrl-C is the timeout here
+  return new JeriDBClient({ baseUrl: url, collection, timeout: 0 })
+}
@@ -0,0 +1,81 @@
+import { parseArgs } from 'util'
+import { createClient, DEFAULT_URL } from './http.js'
+import { commands } from './commands.js'
+
+// Flags every command takes; they may appear before or after the command name
+const GLOBAL_OPTIONS = {
+  url: { type: 'string' },
+  collection: { type: 'string', short: 'c' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+}
+
+function helpText() {
+  const width = Math.max(...Object.keys(commands).map(name => name.length))
+  return [
+    'Usage: jeridb <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(commands).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+    '',
+    'Options:',
+    `  --url <url>              Server URL (JERIDB_URL, default ${DEFAULT_URL})`,
+    '  -c, --collection <name>  Collection (JERIDB_COLLECTION, default documents)',
+    '  --json                   Print the raw JSON response',
+    '  -h, --help               Show help; `jeridb <command> --help` for a command'
+  ].join('\n')
+}
+
+// The first argument that is neither a flag nor a global flag's value
+function findCommand(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (['--url', '--collection', '-c'].includes(arg)) i++
+    else if (!arg.startsWith('-')) return i
+  }
+  return -1
+}
+
+export async function run(argv, { stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+  const index = findCommand(argv)
+  const name = index === -1 ? null : argv[index]
+  const command = name ? commands[name] : null
+  if (!command) {
+    if (name) stderr.write(`Unknown command: ${name}\n\n`)
+    stdout.write(helpText() + '\n')
+    return name ? 2 : 0
+  }
+
+  let parsed
+  try {
+    parsed = parseArgs({
+      args: argv.filter((_, i) => i !== index),
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true,
+      strict: true
+    })
+  } catch (error) {
+    stderr.write(`${error.message}\nUsage: jeridb ${command.usage}\n`)
+    return 2
+  }
+  const { values, positionals } = parsed
+  if (values.help) {
+    stdout.write(`Usage: jeridb ${command.usage}\n`)
+    return 0
+  }
+
+  const client = createClient({
+    url: values.url || env.JERIDB_URL || DEFAULT_URL,
+    collection: values.collection || env.JERIDB_COLLECTION
+  })
+  try {
+    const result = await command.run(client, { positionals, values })
+    if (result.raw !== undefined) stdout.write(result.raw)
+    else stdout.write((values.json ? JSON.stringify(result.data, null, 2) : result.text) + '\n')
+    return result.failed ? 1 : 0
+  } catch (error) {
+    stderr.write(`❌ ${error.status ? `${error.status} ` : ''}${error.message}\n`)
+    if (error.usage) stderr.write(`Usage: jeridb ${command.usage}\n`)
+    return error.usage ? 2 : 1
+  }
+}
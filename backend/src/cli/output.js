@@ -0,0 +1,30 @@
+// Plain-text tables for terminal output
+
+const MAX_CELL = 60
+
+function cell(value) {
+  if (value === null || value === undefined) return ''
+  const text = (typeof value === 'object' ? JSON.stringify(value) : String(value)).replace(/\s+/g, ' ').trim()
+  return text.length > MAX_CELL ? `${text.slice(0, MAX_CELL - 1)}…` : text
+}
+
+// columns: [{ key, label, format }]
+export function formatTable(rows, columns) {
+  if (rows.length === 0) return '(no results)'
+  const cells = rows.map(row => columns.map(column => cell(column.format ? column.format(row[column.key], row) : row[column.key])))
+  const labels = columns.map(column => column.label || column.key)
+  const widths = labels.map((label, i) => Math.max(label.length, ...cells.map(r => r[i].length)))
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd()
+  return [line(labels), line(widths.map(w => '-'.repeat(w))), ...cells.map(line)].join('\n')
+}
+
+// One "key  value" line per entry
+export function formatPairs(entries) {
+  const pairs = Object.entries(entries).filter(([, value]) => value !== undefined)
+  const width = Math.max(...pairs.map(([key]) => key.length))
+  return pairs.map(([key, value]) => `${key.padEnd(width)}  ${cell(value)}`).join('\n')
+}
+
+export function score(value) {
+  return typeof value === 'number' ? value.toFixed(3) : value
+}
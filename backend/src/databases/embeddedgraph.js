@@ -0,0 +1,466 @@
+import fs from 'fs'
+import path from 'path'
+import GraphStore, { edgeId, walkNeighbors } from './graphstore.js'
+import { DEFAULT_COLLECTION } from '../utils/collections.js'
+import { CHUNK_EDGE_TYPE } from '../utils/chunking.js'
+import { DEFAULT_PAGE_SIZE, encodeCursor, decodeCursor } from '../utils/pagination.js'
+
+// Same fields and boosts as the Neo4j full-text index
+const SEARCH_FIELD_BOOSTS = { name: 3, tags_text: 2, type: 1.5, text: 1 }
+
+const SAVE_DELAY_MS = 200
+
+function tokenize(value) {
+  return String(value ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+}
+
+function tagsText(tags) {
+  return Array.isArray(tags) ? tags.join(' ') : ''
+}
+
+// Graph kept in memory and written to a JSON file, so jeriDB runs as a single
+// process without Neo4j. Suited to development, demos and tests; writes are
+// batched and flushed shortly after each change and on close().
+export default class EmbeddedGraphDB extends GraphStore {
+  constructor({ dbPath = process.env.DB_PATH || '/tmp/hackathon.lancedb', filePath = process.env.GRAPH_PATH } = {}) {
+    super()
+    this.filePath = filePath || path.join(path.dirname(dbPath), `${path.basename(dbPath)}.graph.json`)
+    this.collections = new Map()  // collection -> Map(id -> node properties)
+    this.edges = new Map()        // edge key -> { id, collection, source, target, type, weight, properties }
+    this.outgoing = new Map()     // node key -> Set(edge key)
+    this.incoming = new Map()
+    this.saveTimer = null
+  }
+
+  get name() {
+    return 'Embedded'
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'))
+      for (const node of data.nodes || []) this.nodesOf(node.collection).set(node.id, node)
+      // Files from before edge ids were derived from (source, target, type) have
+      // numbered ids and may hold the same edge once per weight; the last one wins
+      for (const edge of data.edges || []) {
+        const stable = { properties: {}, ...edge, id: edgeId(edge.source, edge.target, edge.type) }
+        const existing = this.edges.get(this.key(stable.collection, stable.id))
+        if (existing) this.unindexEdge(existing)
+        this.indexEdge(stable)
+      }
+      console.log(`✅ Embedded graph loaded from ${this.filePath} (${data.nodes?.length || 0} nodes, ${this.edges.size} edges)`)
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Could not read graph file ${this.filePath}: ${error.message}`)
+      console.log(`✅ Embedded graph starting empty at ${this.filePath}`)
+    }
+  }
+
+  async close() {
+    await this.save()
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return
+    this.saveTimer = setTimeout(() => {
+      this.save().catch(error => console.error('❌ Embedded graph save failed:', error.message))
+    }, SAVE_DELAY_MS)
+    this.saveTimer.unref?.()
+  }
+
+  // Written to a temp file and renamed so a crash never leaves half a file
+  async save() {
+    clearTimeout(this.saveTimer)
+    this.saveTimer = null
+    const data = {
+      version: 2,
+      nodes: [...this.collections.values()].flatMap(nodes => [...nodes.values()]),
+      edges: [...this.edges.values()]
+    }
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+    const tmp = `${this.filePath}.tmp`
+    await fs.promises.writeFile(tmp, JSON.stringify(data))
+    await fs.promises.rename(tmp, this.filePath)
+  }
+
+  nodesOf(collection) {
+    if (!this.collections.has(collection)) this.collections.set(collection, new Map())
+    return this.collections.get(collection)
+  }
+
+  key(collection, id) {
+    return `${collection}\u0000${id}`
+  }
+
+  // Edge ids are unique within a collection, like node ids
+  indexEdge(edge) {
+    const edgeKey = this.key(edge.collection, edge.id)
+    this.edges.set(edgeKey, edge)
+    for (const [index, nodeId] of [[this.outgoing, edge.source], [this.incoming, edge.target]]) {
+      const key = this.key(edge.collection, nodeId)
+      if (!index.has(key)) index.set(key, new Set())
+      index.get(key).add(edgeKey)
+    }
+  }
+
+  unindexEdge(edge) {
+    const edgeKey = this.key(edge.collection, edge.id)
+    this.edges.delete(edgeKey)
+    this.outgoing.get(this.key(edge.collection, edge.source))?.delete(edgeKey)
+    this.incoming.get(this.key(edge.collection, edge.target))?.delete(edgeKey)
+  }
+
+  // The stored edge as the GraphStore interface returns it
+  publicEdge({ id, source, target, type, weight, properties }) {
+    return { id, source, target, type, weight: weight ?? 1, properties: { ...properties } }
+  }
+
+  edgesOf(id, collection, direction = 'both') {
+    const ids = [
+      ...(direction !== 'in' ? this.outgoing.get(this.key(collection, id)) || [] : []),
+      ...(direction !== 'out' ? this.incoming.get(this.key(collection, id)) || [] : [])
+    ]
+    return [...new Set(ids)].map(edgeKey => this.edges.get(edgeKey))
+  }
+
+  writeNode(id, nodeData, collection) {
+    const nodes = this.nodesOf(collection)
+    const node = {
+      ...nodes.get(id),
+      ...nodeData,
+      id,
+      name: nodeData.name || id,
+      type: nodeData.type || 'unknown',
+      tags: nodeData.tags || [],
+      tags_text: tagsText(nodeData.tags),
+      collection
+    }
+    nodes.set(id, node)
+    return id
+  }
+
+  async addNode(id, nodeData, collection = DEFAULT_COLLECTION) {
+    this.writeNode(id, nodeData, collection)
+    this.scheduleSave()
+    return id
+  }
+
+  async addNodes(nodes, collection = DEFAULT_COLLECTION) {
+    const ids = nodes.map(({ id, ...nodeData }) => this.writeNode(id, nodeData, collection))
+    if (ids.length) this.scheduleSave()
+    return ids
+  }
+
+  // Edges are merged on (source, target, type), as in Neo4jDB
+  writeEdge(source, target, type, weight, collection, properties = {}) {
+    const nodes = this.nodesOf(collection)
+    if (!nodes.has(source) || !nodes.has(target)) return null
+    const id = edgeId(source, target, type)
+    const existing = this.edges.get(this.key(collection, id))
+    if (existing) {
+      existing.weight = weight
+      existing.properties = { ...existing.properties, ...properties }
+      return existing
+    }
+    const edge = { id, collection, source, target, type, weight, properties: { ...properties } }
+    this.indexEdge(edge)
+    return edge
+  }
+
+  async addEdge(source, target, type, weight = 1, collection = DEFAULT_COLLECTION, properties = {}) {
+    const edge = this.writeEdge(source, target, type, weight, collection, properties)
+    if (!edge) return null
+    this.scheduleSave()
+    return this.publicEdge(edge)
+  }
+
+  async addEdges(edges, collection = DEFAULT_COLLECTION) {
+    const written = edges.filter(edge => this.writeEdge(edge.source, edge.target, edge.type, edge.weight ?? 1, collection, edge.properties))
+    if (written.length) this.scheduleSave()
+    return written
+  }
+
+  async getNode(id, collection = DEFAULT_COLLECTION) {
+    return this.nodesOf(collection).get(id) || null
+  }
+
+  async getEdge(id, collection = DEFAULT_COLLECTION) {
+    const edge = this.edges.get(this.key(collection, String(id)))
+    return edge ? this.publicEdge(edge) : null
+  }
+
+  async listEdges(nodeId, { direction = 'both', types, limit = DEFAULT_PAGE_SIZE, cursor } = {}, collection = DEFAULT_COLLECTION) {
+    const after = decodeCursor(cursor)
+    const allowed = types?.length ? new Set(types) : null
+    const edges = this.edgesOf(nodeId, collection, direction)
+      .filter(edge => (!allowed || allowed.has(edge.type)) && (after === null || edge.id > after))
+      .sort((a, b) => (a.id < b.id ? -1 : 1))
+    const page = edges.slice(0, limit)
+    const hasMore = edges.length > limit
+    return { edges: page.map(edge => this.publicEdge(edge)), next_cursor: hasMore ? encodeCursor(page[page.length - 1].id) : null, has_more: hasMore }
+  }
+
+  async updateEdge(id, { weight, properties = {} } = {}, collection = DEFAULT_COLLECTION) {
+    const edge = this.edges.get(this.key(collection, String(id)))
+    if (!edge) return null
+    if (weight !== undefined) edge.weight = weight
+    const merged = { ...edge.properties, ...properties }
+    edge.properties = Object.fromEntries(Object.entries(merged).filter(([, value]) => value !== null))
+    this.scheduleSave()
+    return this.publicEdge(edge)
+  }
+
+  async deleteEdge(id, collection = DEFAULT_COLLECTION) {
+    const edge = this.edges.get(this.key(collection, String(id)))
+    if (!edge) return null
+    this.unindexEdge(edge)
+    this.scheduleSave()
+    return this.publicEdge(edge)
+  }
+
+  removeNode(id, collection) {
+    const nodes = this.nodesOf(collection)
+    if (!nodes.has(id)) return false
+    for (const edge of this.edgesOf(id, collection)) this.unindexEdge(edge)
+    this.outgoing.delete(this.key(collection, id))
+    this.incoming.delete(this.key(collection, id))
+    nodes.delete(id)
+    return true
+  }
+
+  chunkIds(id, collection) {
+    return this.edgesOf(id, collection, 'out')
+      .filter(edge => edge.type === CHUNK_EDGE_TYPE)
+      .map(edge => edge.target)
+  }
+
+  async deleteNode(id, collection = DEFAULT_COLLECTION) {
+    for (const chunk of this.chunkIds(id, collection)) this.removeNode(chunk, collection)
+    this.removeNode(id, collection)
+    this.scheduleSave()
+  }
+
+  async deleteChunks(id, collection = DEFAULT_COLLECTION) {
+    for (const chunk of this.chunkIds(id, collection)) this.removeNode(chunk, collection)
+    this.scheduleSave()
+  }
+
+  // TF-IDF over the same boosted fields as the Neo4j index. Terms of three or
+  // more characters also match as prefixes, at half weight.
+  async graphSearch(query, { collection = DEFAULT_COLLECTION, limit = 10 } = {}) {
+    const terms = tokenize(query)
+    if (terms.length === 0) return []
+
+    const nodes = [...this.nodesOf(collection).values()]
+    const docs = nodes.map(node => ({
+      node,
+      fields: Object.fromEntries(Object.keys(SEARCH_FIELD_BOOSTS).map(field => [field, tokenize(node[field])]))
+    }))
+    const idf = new Map(terms.map(term => {
+      const df = docs.filter(doc => Object.values(doc.fields).some(tokens => tokens.includes(term))).length
+      return [term, Math.log(1 + (docs.length + 1) / (df + 1))]
+    }))
+    const phrase = terms.join(' ')
+
+    const matches = []
+    for (const { node, fields } of docs) {
+      let score = 0
+      for (const [field, boost] of Object.entries(SEARCH_FIELD_BOOSTS)) {
+        const tokens = fields[field]
+        for (const term of terms) {
+          const exact = tokens.filter(token => token === term).length
+          const prefix = term.length >= 3 ? tokens.filter(token => token !== term && token.startsWith(term)).length : 0
+          const tf = exact + prefix * 0.5
+          if (tf) score += boost * idf.get(term) * Math.sqrt(tf) / Math.sqrt(tokens.length)
+        }
+      }
+      if (terms.length > 1 && fields.name.join(' ').includes(phrase)) score += SEARCH_FIELD_BOOSTS.name * 2
+      if (score > 0) {
+        matches.push({ docId: node.id, name: node.name, type: node.type, parent_id: node.parent_id ?? null, raw_score: score })
+      }
+    }
+
+    matches.sort((a, b) => b.raw_score - a.raw_score)
+    const top = matches.slice(0, limit)
+    const best = top[0]?.raw_score || 1
+    return top.map(match => ({ ...match, score: match.raw_score / best }))
+  }
+
+  async getSubgraph(seedIds, depth = 2, collection = DEFAULT_COLLECTION, limit = 5000) {
+    const hops = Math.min(Math.max(parseInt(depth) || 1, 1), 3)
+    const nodes = this.nodesOf(collection)
+    const seen = new Set(seedIds.filter(id => nodes.has(id)))
+    const found = new Map()
+    let frontier = [...seen]
+
+    for (let hop = 0; hop < hops && frontier.length; hop++) {
+      const next = []
+      for (const id of frontier) {
+        for (const edge of this.edgesOf(id, collection)) {
+          found.set(edge.id, edge)
+          const other = edge.source === id ? edge.target : edge.source
+          if (!seen.has(other)) {
+            seen.add(other)
+            next.push(other)
+          }
+        }
+      }
+      frontier = next
+    }
+
+    return [...found.values()]
+      .slice(0, limit)
+      .map(({ source, target, type, weight }) => ({ source, target, type, weight: weight ?? 1 }))
+  }
+
+  // Paths that never reuse an edge, as with Cypher variable-length matches
+  walkPaths(startId, collection, { hops, types, limit }) {
+    const start = this.nodesOf(collection).get(startId)
+    if (!start) return []
+    const allowed = types?.length ? new Set(types) : null
+    const paths = []
+
+    for (let length = 1; length <= hops && paths.length < limit; length++) {
+      const extend = (nodeId, used, steps) => {
+        if (paths.length >= limit) return
+        if (steps.length === length) {
+          paths.push({ related: nodeId, steps })
+          return
+        }
+        for (const edge of this.edgesOf(nodeId, collection)) {
+          if (used.has(edge.id) || (allowed && !allowed.has(edge.type))) continue
+          const other = edge.source === nodeId ? edge.target : edge.source
+          extend(other, new Set([...used, edge.id]), [...steps, edge])
+        }
+      }
+      extend(startId, new Set(), [])
+    }
+    return paths
+  }
+
+  async traverse(startId, depth = 1, collection = DEFAULT_COLLECTION) {
+    const nodes = this.nodesOf(collection)
+    if (!nodes.has(startId)) return []
+    const types = new Set(['USES', 'WROTE', 'MENTIONS'])
+    const seen = new Set([startId])
+    let frontier = [startId]
+
+    for (let hop = 0; hop < depth && frontier.length; hop++) {
+      const next = []
+      for (const id of frontier) {
+        for (const edge of this.edgesOf(id, collection)) {
+          if (!types.has(edge.type)) continue
+          const other = edge.source === id ? edge.target : edge.source
+          if (!seen.has(other)) {
+            seen.add(other)
+            next.push(other)
+          }
+        }
+      }
+      frontier = next
+    }
+
+    seen.delete(startId)
+    return [...seen]
+      .sort()
+      .map(id => ({ id, name: nodes.get(id)?.name, types: ['Node'] }))
+  }
+
+  async neighbors(nodeId, { direction = 'both', types, nodeTypes, minWeight = 0, depth = 1, limit, cursor } = {}, collection = DEFAULT_COLLECTION) {
+    const nodes = this.nodesOf(collection)
+    const allowed = types?.length ? new Set(types) : null
+    const expand = (frontier, seen) => {
+      const visited = new Set(seen)
+      return frontier.flatMap(via => this.edgesOf(via, collection, direction)
+        .filter(edge => (!allowed || allowed.has(edge.type)) && (edge.weight ?? 1) >= minWeight)
+        .map(edge => ({ via, edge, other: edge.source === via ? edge.target : edge.source }))
+        .filter(step => !visited.has(step.other) && nodes.has(step.other))
+        .map(({ via, edge, other }) => ({ via, node: nodes.get(other), edge: this.publicEdge(edge) })))
+    }
+    return walkNeighbors(nodeId, expand, { depth, nodeTypes, limit, cursor })
+  }
+
+  async multiHop(startId, { hops = 2, types = ['USES', 'MENTIONS', 'RELATED'], limit = 20 } = {}, collection = DEFAULT_COLLECTION) {
+    const nodes = this.nodesOf(collection)
+    const start = nodes.get(startId)
+    const depth = Math.min(Math.max(parseInt(hops) || 1, 1), 5)
+    return this.walkPaths(startId, collection, { hops: depth, types, limit }).map(path => ({
+      start: { id: start.id, name: start.name },
+      related: { ...nodes.get(path.related) },
+      relationships: path.steps.map(edge => ({ type: edge.type, weight: edge.weight })),
+      hop_count: path.steps.length
+    }))
+  }
+
+  async getStats(collection = DEFAULT_COLLECTION) {
+    return {
+      collection,
+      totalNodes: this.nodesOf(collection).size,
+      totalEdges: [...this.edges.values()].filter(edge => edge.collection === collection).length,
+      nodeTypes: [],
+      driver: this.name
+    }
+  }
+
+  async listNodes(collection = DEFAULT_COLLECTION) {
+    return [...this.nodesOf(collection).values()].map(node => ({
+      id: node.id,
+      type: node.type,
+      parent_id: node.parent_id ?? null,
+      has_text: typeof node.text === 'string',
+      chunk_count: node.chunk_count || 0
+    }))
+  }
+
+  async exportCollection(collection = DEFAULT_COLLECTION, { ids, depth = 0 } = {}) {
+    const all = this.nodesOf(collection)
+    let keep = null
+    if (ids) {
+      keep = new Set(ids.filter(id => all.has(id)))
+      let frontier = [...keep]
+      for (let hop = 0; hop < depth && frontier.length; hop++) {
+        const next = []
+        for (const id of frontier) {
+          for (const edge of this.edgesOf(id, collection)) {
+            const other = edge.source === id ? edge.target : edge.source
+            if (!keep.has(other)) {
+              keep.add(other)
+              next.push(other)
+            }
+          }
+        }
+        frontier = next
+      }
+    }
+
+    const nodes = [...all.values()]
+      .filter(node => !keep || keep.has(node.id))
+      .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .map(({ collection: _, tags_text, ...props }) => props)
+    const edges = [...this.edges.values()]
+      .filter(edge => edge.collection === collection && (!keep || (keep.has(edge.source) && keep.has(edge.target))))
+      .map(edge => this.publicEdge(edge))
+    return { nodes, edges }
+  }
+
+  async listCollections() {
+    return [...this.collections]
+      .filter(([, nodes]) => nodes.size > 0)
+      .map(([collection, nodes]) => ({ collection, totalNodes: nodes.size }))
+      .sort((a, b) => a.collection.localeCompare(b.collection))
+  }
+
+  async dropCollection(collection) {
+    const nodes = this.nodesOf(collection)
+    const deleted = nodes.size
+    for (const edge of [...this.edges.values()]) {
+      if (edge.collection === collection) this.unindexEdge(edge)
+    }
+    for (const id of nodes.keys()) {
+      this.outgoing.delete(this.key(collection, id))
+      this.incoming.delete(this.key(collection, id))
+    }
+    this.collections.delete(collection)
+    this.scheduleSave()
+    return deleted
+  }
+}
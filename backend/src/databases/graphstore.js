@@ -0,0 +1,172 @@
+import { createHash } from 'crypto'
+import { keysetPage } from '../utils/pagination.js'
+
+// Interface every graph backend implements. Routes and utils only talk to the
+// graph through these methods, so the backend can be swapped by config.
+// Nodes are keyed on (id, collection); each collection is its own partition.
+export default class GraphStore {
+  // Short name reported by /health and in responses
+  get name() {
+    return this.constructor.name
+  }
+
+  async initialize() {}
+
+  async close() {}
+
+  // Upserts a node; nodeData holds name, type, tags and any other properties
+  async addNode(id, nodeData, collection) { throw notImplemented(this, 'addNode') }
+
+  // Upserts many nodes; returns their ids
+  async addNodes(nodes, collection) { throw notImplemented(this, 'addNodes') }
+
+  // Upserts the edge keyed on (source, target, type): writing it again sets
+  // its weight and merges its properties. Returns the edge as getEdge does,
+  // or null when either endpoint is missing.
+  async addEdge(source, target, type, weight, collection, properties) { throw notImplemented(this, 'addEdge') }
+
+  // Upserts many { source, target, type, weight, properties }; returns the
+  // edges that were written, leaving out those with a missing endpoint
+  async addEdges(edges, collection) { throw notImplemented(this, 'addEdges') }
+
+  async getNode(id, collection) { throw notImplemented(this, 'getNode') }
+
+  // { id, source, target, type, weight, properties } or null
+  async getEdge(id, collection) { throw notImplemented(this, 'getEdge') }
+
+  // One page of a node's edges in id order: { edges, next_cursor, has_more }.
+  // direction is 'out', 'in' or 'both'; types limits the edge types.
+  async listEdges(nodeId, { direction, types, limit, cursor }, collection) { throw notImplemented(this, 'listEdges') }
+
+  // Sets the weight and merges properties (null removes one); returns the
+  // updated edge, or null when there is none with that id
+  async updateEdge(id, { weight, properties }, collection) { throw notImplemented(this, 'updateEdge') }
+
+  // Returns the deleted edge, or null
+  async deleteEdge(id, collection) { throw notImplemented(this, 'deleteEdge') }
+
+  // Deletes the node, its edges and its HAS_CHUNK children
+  async deleteNode(id, collection) { throw notImplemented(this, 'deleteNode') }
+
+  async deleteChunks(id, collection) { throw notImplemented(this, 'deleteChunks') }
+
+  // Relevance-ranked text search: [{ docId, name, type, parent_id, score, raw_score }]
+  async graphSearch(query, { collection, limit }) { throw notImplemented(this, 'graphSearch') }
+
+  // Every edge within `depth` hops of the seeds: [{ source, target, type, weight }]
+  async getSubgraph(seedIds, depth, collection, limit) { throw notImplemented(this, 'getSubgraph') }
+
+  async traverse(startId, depth, collection) { throw notImplemented(this, 'traverse') }
+
+  // Nodes within `depth` hops of nodeId, nearest first, with the edges that
+  // reach them: { neighbors, total, truncated, next_cursor, has_more }.
+  // Each neighbour is { id, depth, via, node, edges }; see walkNeighbors().
+  async neighbors(nodeId, { direction, types, nodeTypes, minWeight, depth, limit, cursor }, collection) { throw notImplemented(this, 'neighbors') }
+
+  // Paths from startId over the given relationship types, shortest first
+  async multiHop(startId, { hops, types, limit }, collection) { throw notImplemented(this, 'multiHop') }
+
+  async getStats(collection) { throw notImplemented(this, 'getStats') }
+
+  // Every node as { id, type, parent_id, has_text, chunk_count }, for reconciliation
+  async listNodes(collection) { throw notImplemented(this, 'listNodes') }
+
+  // { nodes: [properties], edges: [{ id, source, target, type, weight, properties }] } for one collection.
+  // With `ids`, only the nodes within `depth` hops of them and the edges between those nodes.
+  async exportCollection(collection, { ids, depth }) { throw notImplemented(this, 'exportCollection') }
+
+  async listCollections() { throw notImplemented(this, 'listCollections') }
+
+  async dropCollection(collection) { throw notImplemented(this, 'dropCollection') }
+}
+
+function notImplemented(store, method) {
+  return new Error(`${store.name} does not implement ${method}()`)
+}
+
+// Edges are identified by their endpoints and type, so every store, backup
+// and re-import gives the same edge the same id without keeping a counter
+export function edgeId(source, target, type) {
+  return createHash('sha256').update(JSON.stringify([source, type, target])).digest('hex').slice(0, 20)
+}
+
+// Relationship types a traversal can filter on. Neo4j patterns cannot take
+// them as parameters, so anything else is rejected rather than interpolated.
+const RELATIONSHIP_TYPE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+export function assertRelationshipTypes(types) {
+  const invalid = types.filter(type => !RELATIONSHIP_TYPE_NAME.test(type))
+  if (invalid.length) {
+    throw new Error(`Invalid relationship types: ${invalid.join(', ')} (use letters, digits and underscores)`)
+  }
+  return types
+}
+
+export const MAX_NEIGHBOR_DEPTH = 3
+
+// Nodes a neighbourhood walk visits before it stops and reports `truncated`
+export const NEIGHBOR_LIMIT = 5000
+
+// Node properties returned with a neighbour; text is left out (fetch the node for it)
+export function neighborNode({ text, tags_text, collection, ...props }) {
+  return props
+}
+
+// Breadth-first walk behind GraphStore.neighbors(). expand(frontier, seen)
+// returns one hop as [{ via, node, edge }]: an edge from a frontier node
+// (`via`) to a node not yet seen, with that node's properties, and only
+// edges that pass the direction, type and weight filters. Every hop goes
+// through all node types; nodeTypes only picks which nodes are returned.
+// A node reached from several nodes at once is credited to the first by id,
+// and `edges` holds its edges to that node, with `direction` relative to it.
+export async function walkNeighbors(startId, expand, { depth = 1, nodeTypes, limit, cursor } = {}) {
+  const seen = new Set([startId])
+  const found = []
+  let frontier = [startId]
+  let truncated = false
+
+  for (let hop = 1; hop <= depth && frontier.length && !truncated; hop++) {
+    const reached = new Map()
+    const steps = await expand(frontier, [...seen])
+    for (const { via, node, edge } of steps.sort((a, b) => (a.via < b.via ? -1 : a.via > b.via ? 1 : 0))) {
+      if (seen.has(node.id) && !reached.has(node.id)) continue
+      if (!reached.has(node.id)) {
+        if (seen.size >= NEIGHBOR_LIMIT) {
+          truncated = true
+          continue
+        }
+        seen.add(node.id)
+        reached.set(node.id, { id: node.id, depth: hop, via, node: neighborNode(node), edges: [] })
+      }
+      const neighbor = reached.get(node.id)
+      if (neighbor.via !== via) continue
+      neighbor.edges.push({ ...edge, direction: edge.source === via ? 'out' : 'in' })
+    }
+    found.push(...reached.values())
+    frontier = [...reached.keys()]
+  }
+
+  const allowed = nodeTypes?.length ? new Set(nodeTypes) : null
+  const matching = found.filter(neighbor => !allowed || allowed.has(neighbor.node.type))
+  const page = keysetPage(matching, neighbor => `${neighbor.depth}\u0000${neighbor.id}`, { limit, cursor })
+  return { neighbors: page.items, total: matching.length, truncated, next_cursor: page.next_cursor, has_more: page.has_more }
+}
+
+export const GRAPH_STORES = ['neo4j', 'embedded']
+
+// Picks the backend from GRAPH_STORE. Imports are lazy so the embedded store
+// does not load the Neo4j driver and vice versa.
+export async function createGraphStore(kind = process.env.GRAPH_STORE || 'neo4j', options = {}) {
+  switch (kind) {
+    case 'neo4j': {
+      const { default: Neo4jDB } = await import('./neo4jdb.js')
+      return new Neo4jDB()
+    }
+    case 'embedded': {
+      const { default: EmbeddedGraphDB } = await import('./embeddedgraph.js')
+      return new EmbeddedGraphDB(options)
+    }
+    default:
+      throw new Error(`Unknown graph store: ${kind}. Allowed: ${GRAPH_STORES.join(', ')}`)
+  }
+}
@@ -1,7 +1,63 @@
 import neo4j from 'neo4j-driver'
+import GraphStore, { edgeId, walkNeighbors, assertRelationshipTypes, NEIGHBOR_LIMIT } from './graphstore.js'
+import { DEFAULT_COLLECTION } from '../utils/collections.js'
+import { DEFAULT_PAGE_SIZE, encodeCursor, decodeCursor } from '../utils/pagination.js'
 
-export default class Neo4jDB {
+const SEARCH_INDEX = 'node_search'
+
+// Full-text fields and their boosts. Tags are lists, which full-text indexes
+// cannot hold, so they are also kept as one string in tags_text.
+const SEARCH_FIELD_BOOSTS = { name: 3, tags_text: 2, type: 1.5, text: 1 }
+
+function tagsText(tags) {
+  return Array.isArray(tags) ? tags.join(' ') : ''
+}
+
+// Tokenises and case-folds the query into a Lucene query over every field.
+// Terms also match as prefixes; a full-phrase match on the name scores highest.
+function buildSearchQuery(query) {
+  const terms = String(query).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+  if (terms.length === 0) return null
+
+  const clause = terms.map(term => term.length >= 3 ? `(${term} OR ${term}*)` : term).join(' ')
+  const fields = Object.entries(SEARCH_FIELD_BOOSTS).map(([field, boost]) => `${field}:(${clause})^${boost}`)
+  if (terms.length > 1) fields.unshift(`name:"${terms.join(' ')}"^${SEARCH_FIELD_BOOSTS.name * 2}`)
+  return fields.join(' OR ')
+}
+
+// Relationship types are interpolated into Cypher, so only plain names pass.
+// A bad name throws: dropping it could leave an empty, unfiltered pattern.
+function relationshipPattern(types) {
+  return assertRelationshipTypes(types).join('|')
+}
+
+function relationshipType(type) {
+  return `\`${String(type).replace(/`/g, '')}\``
+}
+
+function toNative(value) {
+  return neo4j.isInt(value) ? value.toNumber() : value
+}
+
+// What edge queries RETURN, and the edge built from it. Edge properties are
+// stored on the relationship next to its id and weight.
+const EDGE_FIELDS = 'r.id as id, startNode(r).id as source, endNode(r).id as target, type(r) as type, properties(r) as props'
+
+function toEdge(record) {
+  const { id, weight, ...properties } = record.get('props')
+  return {
+    id: record.get('id'),
+    source: record.get('source'),
+    target: record.get('target'),
+    type: record.get('type'),
+    weight: toNative(weight) ?? 1,
+    properties: Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, toNative(value)]))
+  }
+}
+
+export default class Neo4jDB extends GraphStore {
   constructor() {
+    super()
     this.session = null
     this.driver = null
 
@@ -19,10 +75,17 @@ export default class Neo4jDB {
     )
   }
 
+  get name() {
+    return 'Neo4j'
+  }
+
   async initialize() {
     try {
       this.session = this.driver.session()
       await this.session.run('RETURN 1')
+      await this.ensurePartitions()
+      await this.ensureSearchIndex()
+      await this.ensureEdgeIds()
       console.log('✅ Neo4j connected successfully')
     } catch (error) {
       console.error('❌ Neo4j connection failed:', error.message)
@@ -30,43 +93,216 @@ export default class Neo4jDB {
     }
   }
 
-  async addNode(id, nodeData) {
+  // Each collection is its own graph partition: nodes are keyed on (id, collection).
+  // Nodes written before collections existed are moved into the default one.
+  async ensurePartitions() {
+    await this.session.run(
+      'CREATE INDEX node_id_collection IF NOT EXISTS FOR (n:Node) ON (n.id, n.collection)'
+    )
+    await this.session.run(
+      'MATCH (n:Node) WHERE n.collection IS NULL SET n.collection = $collection',
+      { collection: DEFAULT_COLLECTION }
+    )
+  }
+
+  async ensureSearchIndex() {
+    await this.session.run(`
+      CREATE FULLTEXT INDEX ${SEARCH_INDEX} IF NOT EXISTS
+      FOR (n:Node) ON EACH [${Object.keys(SEARCH_FIELD_BOOSTS).map(field => `n.${field}`).join(', ')}]
+      OPTIONS { indexConfig: { \`fulltext.analyzer\`: 'standard-no-stop-words' } }
+    `)
+    await this.session.run(`
+      MATCH (n:Node) WHERE n.tags_text IS NULL
+      SET n.tags_text = reduce(text = '', tag IN coalesce(n.tags, []) | text + ' ' + tag)
+    `)
+  }
+
+  // Edges are keyed on (source, target, type) and carry a stable id (r.id).
+  // Edges written before that were keyed on weight too and may repeat once per
+  // weight; the heaviest is kept. The rest get their ids in batches.
+  async ensureEdgeIds() {
+    await this.session.run(`
+      MATCH (a:Node)-[r]->(b:Node) WHERE r.id IS NULL
+      WITH a, b, type(r) as type, r ORDER BY coalesce(r.weight, 0) DESC
+      WITH a, b, type, collect(r) as rels
+      WHERE size(rels) > 1
+      FOREACH (r IN tail(rels) | DELETE r)
+    `)
+    for (;;) {
+      const result = await this.session.run(`
+        MATCH (a:Node)-[r]->(b:Node) WHERE r.id IS NULL
+        RETURN id(r) as rel, a.id as source, b.id as target, type(r) as type
+        LIMIT 1000
+      `)
+      if (result.records.length === 0) break
+      const rows = result.records.map(record => ({
+        rel: record.get('rel'),
+        id: edgeId(record.get('source'), record.get('target'), record.get('type'))
+      }))
+      await this.session.run('UNWIND $rows AS row MATCH ()-[r]->() WHERE id(r) = row.rel SET r.id = row.id', { rows })
+    }
+  }
+
+  async addNode(id, nodeData, collection = DEFAULT_COLLECTION) {
     const query = `
-      MERGE (n:Node {id: $id})
-      SET n.name = $name, n.type = $type, n.tags = $tags, n += $props
+      MERGE (n:Node {id: $id, collection: $collection})
+      SET n.name = $name, n.type = $type, n.tags = $tags, n += $props, n.tags_text = $tagsText, n.collection = $collection
       RETURN n.id
     `
     const result = await this.session.run(query, {
       id,
+      collection,
       name: nodeData.name || id,
       type: nodeData.type || 'unknown',
       tags: nodeData.tags || [],
+      tagsText: tagsText(nodeData.tags),
       props: nodeData
     })
     return result.records[0]?.get('n.id')
   }
 
-  async addEdge(source, target, type, weight = 1) {
+  async addEdge(source, target, type, weight = 1, collection = DEFAULT_COLLECTION, properties = {}) {
     const query = `
-      MATCH (a:Node {id: $source}), (b:Node {id: $target})
-      MERGE (a)-[r:\`${type}\` {weight: $weight}]->(b)
-      RETURN type(r) as relationshipType
+      MATCH (a:Node {id: $source, collection: $collection}), (b:Node {id: $target, collection: $collection})
+      MERGE (a)-[r:${relationshipType(type)}]->(b)
+      ON CREATE SET r.id = $id
+      SET r.weight = $weight, r += $properties
+      RETURN ${EDGE_FIELDS}
     `
-    const result = await this.session.run(query, { source, target, weight })
-    return result.records[0]?.get('relationshipType')
+    const result = await this.session.run(query, { source, target, weight, collection, properties, id: edgeId(source, target, type) })
+    return result.records[0] ? toEdge(result.records[0]) : null
+  }
+
+  // Bulk variants of addNode/addEdge: one UNWIND round trip per batch
+  async addNodes(nodes, collection = DEFAULT_COLLECTION) {
+    if (nodes.length === 0) return []
+    const query = `
+      UNWIND $nodes AS node
+      MERGE (n:Node {id: node.id, collection: $collection})
+      SET n.name = node.name, n.type = node.type, n.tags = node.tags, n += node.props, n.tags_text = node.tagsText, n.collection = $collection
+      RETURN n.id as id
+    `
+    const result = await this.session.run(query, {
+      collection,
+      nodes: nodes.map(({ id, ...nodeData }) => ({
+        id,
+        name: nodeData.name || id,
+        type: nodeData.type || 'unknown',
+        tags: nodeData.tags || [],
+        tagsText: tagsText(nodeData.tags),
+        props: nodeData
+      }))
+    })
+    return result.records.map(record => record.get('id'))
   }
 
-  graphSearch(query) {
-    return []
+  // Relationship types cannot be parameters, so edges are written one UNWIND per type.
+  // Returns the edges that were written; edges whose endpoints are missing are left out.
+  async addEdges(edges, collection = DEFAULT_COLLECTION) {
+    const byType = new Map()
+    edges.forEach((edge, index) => {
+      if (!byType.has(edge.type)) byType.set(edge.type, [])
+      byType.get(edge.type).push({
+        source: edge.source,
+        target: edge.target,
+        id: edgeId(edge.source, edge.target, edge.type),
+        weight: edge.weight ?? 1,
+        properties: edge.properties || {},
+        index
+      })
+    })
+
+    const written = []
+    for (const [type, group] of byType) {
+      const query = `
+        UNWIND $edges AS edge
+        MATCH (a:Node {id: edge.source, collection: $collection}), (b:Node {id: edge.target, collection: $collection})
+        MERGE (a)-[r:${relationshipType(type)}]->(b)
+        ON CREATE SET r.id = edge.id
+        SET r.weight = edge.weight, r += edge.properties
+        RETURN edge.index as index
+      `
+      const result = await this.session.run(query, { edges: group, collection })
+      result.records.forEach(record => written.push(edges[Number(record.get('index'))]))
+    }
+    return written
   }
 
-  async traverse(startId, depth = 1) {
+  // Relevance-ranked full-text search. Scores are divided by the best score so
+  // they fall in (0, 1]; raw_score keeps the Lucene score.
+  async graphSearch(query, { collection = DEFAULT_COLLECTION, limit = 10 } = {}) {
+    const search = buildSearchQuery(query)
+    if (!search) return []
+
+    // The index spans all collections, so hits are read a page at a time
+    // (each twice the last) until `limit` are in this one or the index runs out
+    const matches = []
+    let skip = 0
+    let fetch = limit * 5
+    while (matches.length < limit) {
+      const result = await this.session.run(`
+        CALL db.index.fulltext.queryNodes($index, $search, {skip: $skip, limit: $fetch}) YIELD node, score
+        WITH collect({node: node, score: score}) as hits
+        RETURN size(hits) as scanned,
+               [hit IN hits WHERE hit.node.collection = $collection | {
+                 docId: hit.node.id, name: hit.node.name, type: hit.node.type, parent_id: hit.node.parent_id, score: hit.score
+               }] as matches
+      `, {
+        index: SEARCH_INDEX,
+        search,
+        collection,
+        skip: neo4j.int(skip),
+        fetch: neo4j.int(fetch)
+      })
+      const record = result.records[0]
+      for (const match of record.get('matches')) {
+        matches.push({
+          docId: match.docId,
+          name: match.name,
+          type: match.type,
+          parent_id: match.parent_id,
+          raw_score: Number(match.score)
+        })
+      }
+      if (toNative(record.get('scanned')) < fetch) break
+      skip += fetch
+      fetch *= 2
+    }
+
+    const top = matches.slice(0, limit)
+    const best = top[0]?.raw_score || 1
+    return top.map(match => ({ ...match, score: match.raw_score / best }))
+  }
+
+  // Every edge within `depth` hops of the seed nodes, in either direction.
+  // Used by utils/activation.js to rank around the vector hits.
+  async getSubgraph(seedIds, depth = 2, collection = DEFAULT_COLLECTION, limit = 5000) {
+    if (seedIds.length === 0) return []
+    const hops = Math.min(Math.max(parseInt(depth) || 1, 1), 3)
+    const result = await this.session.run(`
+      MATCH path = (seed:Node {collection: $collection})-[*1..${hops}]-(:Node {collection: $collection})
+      WHERE seed.id IN $seedIds
+      UNWIND relationships(path) AS r
+      WITH DISTINCT r
+      RETURN startNode(r).id as source, endNode(r).id as target, type(r) as type, coalesce(r.weight, 1.0) as weight
+      LIMIT $limit
+    `, { seedIds, collection, limit: neo4j.int(limit) })
+
+    return result.records.map(record => ({
+      source: record.get('source'),
+      target: record.get('target'),
+      type: record.get('type'),
+      weight: Number(record.get('weight'))
+    }))
+  }
+
+  async traverse(startId, depth = 1, collection = DEFAULT_COLLECTION) {
     const query = `
-      MATCH (start:Node {id: $startId})-[:USES|WROTE|MENTIONS*1..${depth}]-(related)
+      MATCH (start:Node {id: $startId, collection: $collection})-[:USES|WROTE|MENTIONS*1..${depth}]-(related:Node {collection: $collection})
       RETURN DISTINCT related.id as id, related.name as name, labels(related) as types
       ORDER BY id
     `
-    const result = await this.session.run(query, { startId })
+    const result = await this.session.run(query, { startId, collection })
     return result.records.map(record => ({
       id: record.get('id'),
       name: record.get('name'),
@@ -74,12 +310,69 @@ export default class Neo4jDB {
     }))
   }
 
-  async getStats() {
+  // One query per hop, from the whole frontier at once
+  async neighbors(nodeId, { direction = 'both', types, nodeTypes, minWeight = 0, depth = 1, limit, cursor } = {}, collection = DEFAULT_COLLECTION) {
+    const pattern = { out: '-[r]->', in: '<-[r]-', both: '-[r]-' }[direction]
+    const expand = async (frontier, seen) => {
+      const result = await this.session.run(`
+        UNWIND $frontier AS via
+        MATCH (:Node {id: via, collection: $collection})${pattern}(b:Node {collection: $collection})
+        WHERE NOT b.id IN $seen
+          AND ($types IS NULL OR type(r) IN $types)
+          AND coalesce(r.weight, 1.0) >= $minWeight
+        RETURN via, properties(b) as node, ${EDGE_FIELDS}
+        LIMIT $cap
+      `, {
+        frontier,
+        seen,
+        collection,
+        types: types?.length ? types : null,
+        minWeight: Number(minWeight),
+        cap: neo4j.int(NEIGHBOR_LIMIT)
+      })
+      return result.records.map(record => ({
+        via: record.get('via'),
+        node: Object.fromEntries(Object.entries(record.get('node')).map(([key, value]) => [key, toNative(value)])),
+        edge: toEdge(record)
+      }))
+    }
+    return walkNeighbors(nodeId, expand, { depth, nodeTypes, limit, cursor })
+  }
+
+  async multiHop(startId, { hops = 2, types = ['USES', 'MENTIONS', 'RELATED'], limit = 20 } = {}, collection = DEFAULT_COLLECTION) {
+    const depth = Math.min(Math.max(parseInt(hops) || 1, 1), 5)
+    const pattern = relationshipPattern(types)
+    const query = `
+      MATCH path=(start:Node {id: $startId, collection: $collection})-[r${pattern ? `:${pattern}` : ''}*1..${depth}]-(related:Node {collection: $collection})
+      RETURN start {id: start.id, name: start.name} as start_node,
+             related {.*, id: related.id} as related_node,
+             [rel in relationships(path) | {type: type(rel), weight: rel.weight}] as relationships,
+             length(path) as hop_count
+      ORDER BY hop_count ASC
+      LIMIT $limit
+    `
+    const result = await this.session.run(query, { startId, collection, limit: neo4j.int(limit) })
+    return result.records.map(record => ({
+      start: record.get('start_node'),
+      related: record.get('related_node'),
+      relationships: record.get('relationships'),
+      hop_count: Number(record.get('hop_count'))
+    }))
+  }
+
+  async getStats(collection = DEFAULT_COLLECTION) {
     try {
-      const nodesResult = await this.session.run('MATCH (n) RETURN count(n) as totalNodes')
-      const edgesResult = await this.session.run('MATCH ()-[r]->() RETURN count(r) as totalEdges')
+      const nodesResult = await this.session.run(
+        'MATCH (n:Node {collection: $collection}) RETURN count(n) as totalNodes',
+        { collection }
+      )
+      const edgesResult = await this.session.run(
+        'MATCH (:Node {collection: $collection})-[r]->() RETURN count(r) as totalEdges',
+        { collection }
+      )
 
       return {
+        collection,
         totalNodes: nodesResult.records[0]?.get('totalNodes')?.low || 0,
         totalEdges: edgesResult.records[0]?.get('totalEdges')?.low || 0,
         nodeTypes: [],
@@ -91,12 +384,143 @@ export default class Neo4jDB {
     }
   }
 
-  async getNode(id) {
-    const query = `MATCH (n:Node {id: $id}) RETURN n`
-    const result = await this.session.run(query, { id })
+  async getNode(id, collection = DEFAULT_COLLECTION) {
+    const query = `MATCH (n:Node {id: $id, collection: $collection}) RETURN n`
+    const result = await this.session.run(query, { id, collection })
     return result.records[0]?.get('n')?.properties || null
   }
 
+  async getEdge(id, collection = DEFAULT_COLLECTION) {
+    const result = await this.session.run(`
+      MATCH (:Node {collection: $collection})-[r {id: $id}]->(:Node {collection: $collection})
+      RETURN ${EDGE_FIELDS}
+    `, { id: String(id), collection })
+    return result.records[0] ? toEdge(result.records[0]) : null
+  }
+
+  async listEdges(nodeId, { direction = 'both', types, limit = DEFAULT_PAGE_SIZE, cursor } = {}, collection = DEFAULT_COLLECTION) {
+    const pattern = { out: '-[r]->', in: '<-[r]-', both: '-[r]-' }[direction]
+    const result = await this.session.run(`
+      MATCH (:Node {id: $nodeId, collection: $collection})${pattern}(:Node {collection: $collection})
+      WITH DISTINCT r
+      WHERE ($types IS NULL OR type(r) IN $types) AND ($after IS NULL OR r.id > $after)
+      RETURN ${EDGE_FIELDS}
+      ORDER BY r.id
+      LIMIT $fetch
+    `, { nodeId, collection, types: types?.length ? types : null, after: decodeCursor(cursor), fetch: neo4j.int(limit + 1) })
+    const edges = result.records.map(toEdge)
+    const page = edges.slice(0, limit)
+    const hasMore = edges.length > limit
+    return { edges: page, next_cursor: hasMore ? encodeCursor(page[page.length - 1].id) : null, has_more: hasMore }
+  }
+
+  // SET r += with a null value removes that property
+  async updateEdge(id, { weight, properties = {} } = {}, collection = DEFAULT_COLLECTION) {
+    const result = await this.session.run(`
+      MATCH (:Node {collection: $collection})-[r {id: $id}]->(:Node {collection: $collection})
+      SET r += $properties, r.weight = coalesce($weight, r.weight)
+      RETURN ${EDGE_FIELDS}
+    `, { id: String(id), collection, properties, weight: weight ?? null })
+    return result.records[0] ? toEdge(result.records[0]) : null
+  }
+
+  async deleteEdge(id, collection = DEFAULT_COLLECTION) {
+    const result = await this.session.run(`
+      MATCH (a:Node {collection: $collection})-[r {id: $id}]->(b:Node {collection: $collection})
+      WITH r, r.id as id, a.id as source, b.id as target, type(r) as type, properties(r) as props
+      DELETE r
+      RETURN id, source, target, type, props
+    `, { id: String(id), collection })
+    return result.records[0] ? toEdge(result.records[0]) : null
+  }
+
+  // Chunk nodes hang off their parent via HAS_CHUNK and are deleted with it
+  async deleteNode(id, collection = DEFAULT_COLLECTION) {
+    await this.session.run(`
+      MATCH (n:Node {id: $id, collection: $collection})
+      OPTIONAL MATCH (n)-[:HAS_CHUNK]->(chunk:Node)
+      DETACH DELETE chunk, n
+    `, { id, collection })
+  }
+
+  async deleteChunks(id, collection = DEFAULT_COLLECTION) {
+    await this.session.run(`
+      MATCH (:Node {id: $id, collection: $collection})-[:HAS_CHUNK]->(chunk:Node)
+      DETACH DELETE chunk
+    `, { id, collection })
+  }
+
+  async listCollections() {
+    const result = await this.session.run(
+      'MATCH (n:Node) RETURN n.collection as collection, count(n) as totalNodes ORDER BY collection'
+    )
+    return result.records.map(record => ({
+      collection: record.get('collection'),
+      totalNodes: record.get('totalNodes').toNumber()
+    }))
+  }
+
+  async listNodes(collection = DEFAULT_COLLECTION) {
+    const result = await this.session.run(`
+      MATCH (n:Node {collection: $collection})
+      RETURN n.id as id, n.type as type, n.parent_id as parent_id,
+             n.text IS NOT NULL as has_text, n.chunk_count as chunk_count
+    `, { collection })
+    return result.records.map(record => ({
+      id: record.get('id'),
+      type: record.get('type'),
+      parent_id: record.get('parent_id') ?? null,
+      has_text: record.get('has_text'),
+      chunk_count: Number(record.get('chunk_count') ?? 0)
+    }))
+  }
+
+  // Every node's properties and every edge in a collection, for backups and exports.
+  // With `ids`, the nodes within `depth` hops of them and the edges among those nodes.
+  async exportCollection(collection = DEFAULT_COLLECTION, { ids, depth = 0 } = {}) {
+    let keep = null
+    if (ids) {
+      const hops = parseInt(depth) || 0
+      const result = await this.session.run(hops > 0 ? `
+        MATCH (seed:Node {collection: $collection}) WHERE seed.id IN $ids
+        OPTIONAL MATCH (seed)-[*1..${hops}]-(n:Node {collection: $collection})
+        WITH collect(DISTINCT seed.id) + collect(DISTINCT n.id) as found
+        UNWIND found as id
+        RETURN collect(DISTINCT id) as ids
+      ` : `
+        MATCH (seed:Node {collection: $collection}) WHERE seed.id IN $ids
+        RETURN collect(seed.id) as ids
+      `, { ids, collection })
+      keep = result.records[0]?.get('ids') || []
+    }
+
+    const nodes = await this.session.run(`
+      MATCH (n:Node {collection: $collection}) WHERE $keep IS NULL OR n.id IN $keep
+      RETURN properties(n) as props ORDER BY n.id
+    `, { collection, keep })
+    const edges = await this.session.run(`
+      MATCH (a:Node {collection: $collection})-[r]->(b:Node {collection: $collection})
+      WHERE $keep IS NULL OR (a.id IN $keep AND b.id IN $keep)
+      RETURN ${EDGE_FIELDS}
+      ORDER BY source, target, type
+    `, { collection, keep })
+    return {
+      nodes: nodes.records.map(record => {
+        const { collection: _, tags_text, ...props } = record.get('props')
+        return Object.fromEntries(Object.entries(props).map(([key, value]) => [key, toNative(value)]))
+      }),
+      edges: edges.records.map(toEdge)
+    }
+  }
+
+  async dropCollection(collection) {
+    const result = await this.session.run(
+      'MATCH (n:Node {collection: $collection}) DETACH DELETE n RETURN count(n) as deleted',
+      { collection }
+    )
+    return result.records[0]?.get('deleted')?.toNumber() || 0
+  }
+
   async close() {
     await this.session?.close()
     await this.driver?.close()
@@ -0,0 +1,252 @@
+import fs from 'fs'
+import path from 'path'
+import { randomUUID } from 'crypto'
+
+// Finished operations kept for inspection; unfinished ones are always kept
+const KEEP_FINISHED = parseInt(process.env.OPLOG_KEEP) || 1000
+
+const RETRY_ATTEMPTS = parseInt(process.env.OPLOG_RETRIES) || 3
+const RETRY_DELAY_MS = 100
+
+export const FINISHED_STATUSES = ['applied', 'rolled_back']
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// Retries with exponential backoff: 100ms, 200ms, 400ms, ...
+export async function withRetry(fn, attempts = RETRY_ATTEMPTS) {
+  let lastError
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await fn(attempt)
+    } catch (error) {
+      lastError = error
+      if (attempt < attempts) await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1))
+    }
+  }
+  throw lastError
+}
+
+// Outbox for writes that span LanceDB and the graph. Each operation records
+// its intent (type, target and payload) before any store is touched, then
+// each store's outcome as it goes. Operations left `pending` by a crash or
+// `failed` after retries keep their payload, so /admin/reconcile can replay
+// them. Persisted as JSON lines next to the LanceDB directory.
+export default class OperationLog {
+  constructor({ dbPath = process.env.DB_PATH || '/tmp/hackathon.lancedb', filePath = process.env.OPLOG_PATH } = {}) {
+    this.filePath = filePath || path.join(path.dirname(dbPath), `${path.basename(dbPath)}.oplog.jsonl`)
+    this.operations = new Map()  // id -> latest snapshot, oldest first
+    this.running = new Set()     // ids being executed by this process
+    this.appended = 0
+    this.writes = Promise.resolve()  // appends and compactions touch the file one at a time
+  }
+
+  async initialize() {
+    try {
+      const lines = (await fs.promises.readFile(this.filePath, 'utf8')).split('\n')
+      for (const line of lines) {
+        if (!line.trim()) continue
+        try {
+          const op = JSON.parse(line)
+          this.operations.delete(op.id)
+          this.operations.set(op.id, op)
+        } catch {
+          // A torn last line from a crash mid-append
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Could not read operation log ${this.filePath}: ${error.message}`)
+    }
+    await this.compact()
+
+    const unfinished = this.unfinished().length
+    console.log(`✅ Operation log at ${this.filePath} (${this.operations.size} operations)`)
+    if (unfinished) console.warn(`⚠️ ${unfinished} unfinished operations; run POST /admin/reconcile to replay them`)
+  }
+
+  // Queues a file write behind the others. A compaction renames a fresh file
+  // over the log, so an append made while it runs would otherwise be lost.
+  enqueue(write) {
+    const run = this.writes.then(write)
+    this.writes = run.catch(() => {})
+    return run
+  }
+
+  compact() {
+    return this.enqueue(() => this.rewrite())
+  }
+
+  // Rewrites the file with one line per operation, dropping the oldest finished ones
+  async rewrite() {
+    const finished = [...this.operations.values()].filter(op => FINISHED_STATUSES.includes(op.status))
+    for (const op of finished.slice(0, Math.max(0, finished.length - KEEP_FINISHED))) {
+      this.operations.delete(op.id)
+    }
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+    const tmp = `${this.filePath}.tmp`
+    const lines = [...this.operations.values()].map(op => JSON.stringify(op) + '\n').join('')
+    await fs.promises.writeFile(tmp, lines)
+    await fs.promises.rename(tmp, this.filePath)
+    this.appended = 0
+  }
+
+  async record(op) {
+    op.updated_at = new Date().toISOString()
+    // Finished operations no longer need their payload
+    const snapshot = FINISHED_STATUSES.includes(op.status) ? { ...op, payload: undefined } : op
+    this.operations.delete(op.id)
+    this.operations.set(op.id, snapshot)
+    const line = JSON.stringify(snapshot) + '\n'
+    await this.enqueue(async () => {
+      await fs.promises.appendFile(this.filePath, line)
+      if (++this.appended > KEEP_FINISHED * 2) await this.rewrite()
+    })
+  }
+
+  get(id) {
+    return this.operations.get(id) || null
+  }
+
+  list({ status, collection, target, limit = 100 } = {}) {
+    return [...this.operations.values()]
+      .reverse()
+      .filter(op => (!status || op.status === status) &&
+        (!collection || op.collection === collection) &&
+        (!target || op.target === target))
+      .slice(0, limit)
+  }
+
+  // Pending or failed operations that are not running right now
+  unfinished(collection) {
+    return [...this.operations.values()].filter(op =>
+      !FINISHED_STATUSES.includes(op.status) &&
+      !this.running.has(op.id) &&
+      (!collection || op.collection === collection))
+  }
+
+  // Records the intent, then applies the steps in order, each with retries.
+  // steps: [{ store, apply({ attempt }), compensate() }]
+  // With `compensate`, a failed step undoes the steps before it (rolled_back);
+  // otherwise the operation stays `failed` for a later replay.
+  async run(intent, steps, { compensate = false } = {}) {
+    const op = await this.begin(intent, steps.map(step => step.store))
+    return this.execute(op, steps, { compensate })
+  }
+
+  // Records the intent of an operation, with every store pending. Callers
+  // that write the stores themselves (e.g. many documents as one batch) set
+  // each outcome with settle() and close the operation with finish().
+  async begin({ type, target, collection, payload }, stores) {
+    const op = {
+      id: randomUUID(),
+      type,
+      target,
+      collection,
+      status: 'pending',
+      stores: Object.fromEntries(stores.map(store => [store, { status: 'pending', attempts: 0 }])),
+      payload,
+      created_at: new Date().toISOString()
+    }
+    this.running.add(op.id)
+    await this.record(op)
+    return op
+  }
+
+  // Sets one store's outcome: applied with a result, failed with an error,
+  // or an explicit status such as 'skipped' or 'compensated'
+  settle(op, store, { result, error, status = error ? 'failed' : 'applied' } = {}) {
+    const outcome = op.stores[store] = { ...op.stores[store], status }
+    if (status !== 'skipped') outcome.attempts = Math.max(1, outcome.attempts)
+    if (result !== undefined) outcome.result = result
+    if (error) {
+      outcome.error = error
+      if (status === 'failed') op.error = `${store} write failed: ${error}`
+    }
+  }
+
+  // Closes an operation begun with begin(): applied when every store is,
+  // rolled_back when `compensate` was allowed and every applied store was
+  // compensated, failed otherwise (and kept for replay). As in execute(), a
+  // failed store is taken to have written nothing.
+  async finish(op, { compensate = false } = {}) {
+    const outcomes = Object.values(op.stores)
+    if (outcomes.every(outcome => outcome.status === 'applied')) {
+      op.status = 'applied'
+    } else {
+      const leftovers = outcomes.some(outcome => ['applied', 'compensation_failed'].includes(outcome.status))
+      op.status = compensate && !leftovers ? 'rolled_back' : 'failed'
+      op.error ??= 'Interrupted before every store was written'
+      console.error(`❌ Operation ${op.id} (${op.type} ${op.target}) ${op.status}: ${op.error}`)
+    }
+    try {
+      await this.record(op)
+    } finally {
+      this.running.delete(op.id)
+    }
+    return op
+  }
+
+  // Runs the steps of a new or replayed operation and records every outcome
+  async execute(op, steps, { compensate = false } = {}) {
+    this.running.add(op.id)
+    try {
+      op.status = 'pending'
+      delete op.error
+      const applied = []
+
+      for (const [index, step] of steps.entries()) {
+        const outcome = op.stores[step.store] = { status: 'pending', attempts: 0 }
+        try {
+          outcome.result = await withRetry(attempt => {
+            outcome.attempts = attempt
+            return step.apply({ attempt })
+          })
+          outcome.status = 'applied'
+          applied.push(step)
+          await this.record(op)
+        } catch (error) {
+          outcome.status = 'failed'
+          outcome.error = error.message
+          op.error = `${step.store} write failed: ${error.message}`
+          for (const skipped of steps.slice(index + 1)) op.stores[skipped.store] = { status: 'skipped', attempts: 0 }
+
+          if (compensate) {
+            for (const done of applied.reverse()) {
+              const undone = op.stores[done.store]
+              try {
+                await withRetry(() => done.compensate())
+                undone.status = 'compensated'
+              } catch (undoError) {
+                undone.status = 'compensation_failed'
+                undone.error = undoError.message
+              }
+            }
+          }
+          const rolledBack = compensate && applied.every(done => op.stores[done.store].status === 'compensated')
+          op.status = rolledBack ? 'rolled_back' : 'failed'
+          console.error(`❌ Operation ${op.id} (${op.type} ${op.target}) ${op.status}: ${op.error}`)
+          await this.record(op)
+          return op
+        }
+      }
+
+      op.status = 'applied'
+      await this.record(op)
+      return op
+    } finally {
+      this.running.delete(op.id)
+    }
+  }
+}
+
+// The part of an operation returned to API clients
+export function describeOperation(op) {
+  return {
+    id: op.id,
+    type: op.type,
+    status: op.status,
+    stores: op.stores,
+    ...(op.error ? { error: op.error } : {})
+  }
+}
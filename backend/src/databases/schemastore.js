@@ -0,0 +1,85 @@
+import fs from 'fs'
+import path from 'path'
+import { parseSchema, DEFAULT_SCHEMA } from '../utils/validation.js'
+
+// Per-collection ontologies set through /schema. Collections that never had
+// one use DEFAULT_SCHEMA. Persisted as one JSON file next to the LanceDB
+// directory: { "<collection>": { "schema": {...}, "updated_at": "..." } }.
+export default class SchemaStore {
+  constructor({ dbPath = process.env.DB_PATH || '/tmp/hackathon.lancedb', filePath = process.env.SCHEMA_PATH } = {}) {
+    this.filePath = filePath || path.join(path.dirname(dbPath), `${path.basename(dbPath)}.schema.json`)
+    this.schemas = new Map()  // collection -> { schema, updated_at }
+    this.queue = Promise.resolve()
+  }
+
+  async initialize() {
+    let stored = {}
+    try {
+      stored = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Could not read schema file ${this.filePath}: ${error.message}`)
+    }
+    for (const [collection, entry] of Object.entries(stored)) {
+      try {
+        this.schemas.set(collection, { schema: parseSchema(entry.schema), updated_at: entry.updated_at })
+      } catch (error) {
+        throw new Error(`Invalid schema for collection ${collection} in ${this.filePath}: ${error.message}`)
+      }
+    }
+    console.log(`✅ Schemas at ${this.filePath} (${this.schemas.size} custom)`)
+  }
+
+  // The schema writes to `collection` are checked against
+  schemaFor(collection) {
+    return this.schemas.get(collection)?.schema || DEFAULT_SCHEMA
+  }
+
+  describe(collection) {
+    const entry = this.schemas.get(collection)
+    return {
+      collection,
+      custom: !!entry,
+      updated_at: entry?.updated_at ?? null,
+      schema: entry?.schema || DEFAULT_SCHEMA
+    }
+  }
+
+  // Replaces the collection's schema with change(current), validated. Changes
+  // run one at a time, and memory is only updated once the file is written.
+  change(collection, change) {
+    const run = this.queue.then(async () => {
+      const schema = parseSchema(change(this.schemaFor(collection)))
+      const next = new Map(this.schemas).set(collection, { schema, updated_at: new Date().toISOString() })
+      await this.write(next)
+      this.schemas = next
+      return this.describe(collection)
+    })
+    this.queue = run.catch(() => {})
+    return run
+  }
+
+  set(collection, definition) {
+    return this.change(collection, () => definition)
+  }
+
+  // Back to DEFAULT_SCHEMA; resolves to whether the collection had its own
+  reset(collection) {
+    const run = this.queue.then(async () => {
+      if (!this.schemas.has(collection)) return false
+      const next = new Map(this.schemas)
+      next.delete(collection)
+      await this.write(next)
+      this.schemas = next
+      return true
+    })
+    this.queue = run.catch(() => {})
+    return run
+  }
+
+  async write(schemas) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+    const tmp = `${this.filePath}.tmp`
+    await fs.promises.writeFile(tmp, JSON.stringify(Object.fromEntries(schemas), null, 2))
+    await fs.promises.rename(tmp, this.filePath)
+  }
+}
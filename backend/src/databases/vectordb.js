@@ -1,12 +1,70 @@
 import * as lancedb from '@lancedb/lancedb'
-import { generateEmbedding } from '../utils/embedding.js'
+import {
+  generateEmbedding,
+  generateEmbeddings,
+  getEmbeddingProvider,
+  getDefaultProviderName,
+  loadEmbeddingProvider,
+  assertEmbeddingDimensions
+} from '../utils/embedding.js'
+import { DEFAULT_COLLECTION } from '../utils/collections.js'
+import { chunkId } from '../utils/chunking.js'
+import {
+  sqlString,
+  validateMetadataFields,
+  columnDefaultSql,
+  initColumnValue,
+  toColumnValue,
+  buildWhereClause
+} from '../utils/filters.js'
+import {
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_DOCUMENT_FIELDS,
+  encodeCursor,
+  decodeCursor,
+  compareIds,
+  firstAfter
+} from '../utils/pagination.js'
+import { VERSION_TABLE, VERSION_RETENTION_DAYS } from '../utils/versions.js'
+
+function parseMetadata(raw) {
+  return raw ? JSON.parse(raw) : {}
+}
+
+function formatVersion(row) {
+  return {
+    id: row.id,
+    version: Number(row.version),
+    operation: row.operation,
+    text: row.text,
+    metadata: parseMetadata(row.metadata),
+    embedding_model: row.embedding_model,
+    author: row.author ?? null,
+    table_version: Number(row.table_version),
+    created_at: row.created_at
+  }
+}
+
+function formatDocument(row, fields) {
+  const doc = { id: row.id }
+  if (fields.includes('text')) doc.text = row.text
+  if (fields.includes('metadata')) doc.metadata = parseMetadata(row.metadata)
+  if (fields.includes('embedding')) doc.embedding = Array.from(row.embedding)
+  return doc
+}
 
 class VectorDB {
   constructor(dbPath) {
     this.dbPath = dbPath
     this.db = null
     this.table = null
+    this.tableName = null
+    this.embeddingProvider = null
+    this.dimensions = null
     this.documentCount = 0
+    this.collections = new Map()
+    this.versionTable = null
+    this.versionWrites = Promise.resolve()  // version numbers are assigned one write at a time
   }
   
   async initialize() {
@@ -21,40 +79,218 @@ class VectorDB {
     }
   }
   
-  async ensureTable(tableName = 'documents') {
+  // Opens (or creates) a table and makes it the default collection
+  async ensureTable(tableName = DEFAULT_COLLECTION, providerName) {
     try {
-      try {
-        this.table = await this.db.openTable(tableName)
-        console.log(`✅ Opened existing table: ${tableName}`)
-      } catch {
-        console.log(`🔨 Creating new table: ${tableName}`)
-        const dummyData = [{
-          id: 'init',
-          text: 'init',
-          embedding: new Array(384).fill(0.001),
-          metadata: '{}'
-        }]
-        this.table = await this.db.createTable(tableName, dummyData)
-        console.log(`✅ Created table: ${tableName}`)
-      }
+      const handle = await this.hasCollection(tableName)
+        ? await this.openCollection(tableName, providerName)
+        : await this.createCollection(tableName, { embeddingProvider: providerName })
+
+      this.table = handle.table
+      this.tableName = handle.name
+      this.embeddingProvider = handle.embeddingProvider
+      this.dimensions = handle.dimensions
     } catch (error) {
       console.error('❌ Failed to ensure table:', error.message)
       throw error
     }
   }
+
+  // Internal tables such as the version history start with "_"
+  async listCollectionNames() {
+    const names = await this.db.tableNames()
+    return names.filter(name => !name.startsWith('_'))
+  }
+
+  async hasCollection(name) {
+    if (this.collections.has(name)) return true
+    const names = await this.listCollectionNames()
+    return names.includes(name)
+  }
+
+  async createCollection(name, { embeddingProvider, description = '', metadataFields = {} } = {}) {
+    if (await this.hasCollection(name)) {
+      throw new Error(`Collection already exists: ${name}`)
+    }
+
+    const provider = getEmbeddingProvider(embeddingProvider)
+    const fields = validateMetadataFields(metadataFields)
+    console.log(`🔨 Creating new table: ${name} (${provider.name}, ${provider.dimensions} dims)`)
+    const initRow = {
+      id: 'init',
+      text: 'init',
+      embedding: new Array(provider.dimensions).fill(0.001),
+      metadata: JSON.stringify({
+        embedding_model: provider.name,
+        model: provider.model,
+        dimensions: provider.dimensions,
+        metadata_fields: fields,
+        description,
+        created_at: new Date().toISOString()
+      })
+    }
+    for (const [field, type] of Object.entries(fields)) {
+      initRow[field] = initColumnValue(type)
+    }
+    const dummyData = [initRow]
+    const table = await this.db.createTable(name, dummyData)
+    console.log(`✅ Created table: ${name}`)
+    return this.registerCollection(name, table)
+  }
+
+  async openCollection(name, providerName) {
+    const table = await this.db.openTable(name)
+    const handle = await this.registerCollection(name, table)
+    if (providerName && providerName !== handle.embeddingProvider) {
+      this.collections.delete(name)
+      throw new Error(
+        `Table "${name}" was built with embedding provider "${handle.embeddingProvider}", not "${providerName}"`
+      )
+    }
+    console.log(`✅ Opened existing table: ${name} (${handle.embeddingProvider}, ${handle.dimensions} dims)`)
+    return handle
+  }
+
+  async registerCollection(name, table) {
+    const info = await this.readTableModel(table)
+    const handle = {
+      name,
+      table,
+      embeddingProvider: info.embeddingModel,
+      dimensions: info.dimensions,
+      fields: info.fields,
+      description: info.description,
+      createdAt: info.createdAt
+    }
+    await this.migrateColumns(handle)
+    await this.ensureKeywordIndex(handle)
+    await loadEmbeddingProvider(handle.embeddingProvider)
+    this.collections.set(name, handle)
+    return handle
+  }
+
+  // Adds typed metadata columns that tables created by older versions lack
+  async migrateColumns(handle) {
+    const schema = await handle.table.schema()
+    const existing = new Set(schema.fields.map(f => f.name))
+    const missing = Object.entries(handle.fields).filter(([field]) => !existing.has(field))
+    if (missing.length === 0) return
+
+    console.log(`🔧 Adding metadata columns to ${handle.name}: ${missing.map(([f]) => f).join(', ')}`)
+    await handle.table.addColumns(
+      missing.map(([field, type]) => ({ name: field, valueSql: columnDefaultSql(type) }))
+    )
+  }
+
+  // BM25 full-text index over document text for keyword search. Rows added
+  // after the index was built are still searched, just without the index.
+  async ensureKeywordIndex(handle) {
+    const indices = await handle.table.listIndices()
+    if (indices.some(index => index.indexType === 'FTS' && index.columns.includes('text'))) return
+    console.log(`🔧 Building keyword index for ${handle.name}`)
+    await handle.table.createIndex('text', { config: lancedb.Index.fts() })
+  }
+
+  async getCollection(name = DEFAULT_COLLECTION) {
+    if (this.collections.has(name)) return this.collections.get(name)
+    if (!(await this.hasCollection(name))) {
+      throw new Error(`Collection not found: ${name}`)
+    }
+    return this.openCollection(name)
+  }
+
+  async dropCollection(name) {
+    if (!(await this.hasCollection(name))) return false
+    await this.db.dropTable(name)
+    this.collections.delete(name)
+    const versions = await this.getVersionTable()
+    await versions.delete(`collection = ${sqlString(name)}`)
+    if (this.tableName === name) this.table = null
+    console.log(`💥 Dropped table: ${name}`)
+    return true
+  }
+
+  async describeCollection(name) {
+    const handle = await this.getCollection(name)
+    const stats = await this.getStats({ collection: name })
+    return {
+      name,
+      embeddingModel: handle.embeddingProvider,
+      dimensions: handle.dimensions,
+      metadataFields: handle.fields,
+      description: handle.description,
+      createdAt: handle.createdAt,
+      totalDocuments: stats.totalDocuments,
+      totalChunks: stats.totalChunks
+    }
+  }
+
+  // The init row's metadata records which embedding provider built the table.
+  // Tables created before the registry existed fall back to the default provider.
+  async readTableModel(table) {
+    const schema = await table.schema()
+    const dimensions = schema.fields.find(f => f.name === 'embedding')?.type?.listSize
+    const [initRow] = await table.query().where("id = 'init'").limit(1).toArray()
+    const info = parseMetadata(initRow?.metadata)
+    const embeddingModel = info.embedding_model || getDefaultProviderName()
+
+    const provider = getEmbeddingProvider(embeddingModel)
+    if (dimensions && provider.dimensions !== dimensions) {
+      throw new Error(
+        `Table dimension ${dimensions} does not match provider "${embeddingModel}" (${provider.dimensions} dims)`
+      )
+    }
+    return {
+      embeddingModel,
+      dimensions: dimensions || provider.dimensions,
+      fields: validateMetadataFields(info.metadata_fields),
+      description: info.description || '',
+      createdAt: info.created_at || null
+    }
+  }
+
+  async embed(text, inputType = 'passage', handle) {
+    const embedding = await generateEmbedding(text, true, {
+      provider: handle.embeddingProvider,
+      inputType
+    })
+    return assertEmbeddingDimensions(embedding, handle.dimensions, `collection "${handle.name}"`)
+  }
+
+  async embedBatch(texts, inputType = 'passage', handle) {
+    const embeddings = await generateEmbeddings(texts, true, {
+      provider: handle.embeddingProvider,
+      inputType
+    })
+    return embeddings.map(embedding =>
+      assertEmbeddingDimensions(embedding, handle.dimensions, `collection "${handle.name}"`)
+    )
+  }
+
+  buildRow(handle, id, text, embedding, metadata = {}) {
+    const row = { id, text, embedding, metadata: JSON.stringify(metadata) }
+    for (const [field, type] of Object.entries(handle.fields)) {
+      row[field] = toColumnValue(metadata[field], type)
+    }
+    if ('created_at' in handle.fields && row.created_at === null) {
+      row.created_at = Date.now()
+    }
+    return row
+  }
+
+  async compileFilter(filter, { collection } = {}) {
+    const handle = await this.getCollection(collection)
+    return buildWhereClause(filter, handle.fields)
+  }
   
-  async addDocument(id, text, metadata = {}) {
+  async addDocument(id, text, metadata = {}, { collection } = {}) {
     try {
-      const embedding = await generateEmbedding(text, true) 
-      const document = {
-        id,
-        text,
-        embedding,
-        metadata: JSON.stringify(metadata)
-      }
-      await this.table.add([document])
+      const handle = await this.getCollection(collection)
+      const embedding = await this.embed(text, 'passage', handle)
+      const document = this.buildRow(handle, id, text, embedding, metadata)
+      await handle.table.add([document])
       this.documentCount++
-      console.log(`✅ Added document: ${id} (${text.length} chars)`)
+      console.log(`✅ Added document: ${id} to ${handle.name} (${text.length} chars)`)
       return document
     } catch (error) {
       console.error(`❌ Failed to add document ${id}:`, error.message)
@@ -62,8 +298,76 @@ class VectorDB {
     }
   }
   
-  async search(queryText, topK = 5, hackathonMode = false) {
+  async addDocuments(documents, { collection } = {}) {
+    const handle = await this.getCollection(collection)
+    if (documents.length === 0) return []
+
+    // One embedding call and one table.add for the whole batch
+    const embeddings = await this.embedBatch(documents.map(doc => doc.text), 'passage', handle)
+    const rows = documents.map(({ id, text, metadata = {} }, i) =>
+      this.buildRow(handle, id, text, embeddings[i], metadata)
+    )
+
+    await handle.table.add(rows)
+    this.documentCount += rows.length
+    console.log(`✅ Added ${rows.length} documents to ${handle.name}`)
+    return rows
+  }
+
+  // Adds rows with embeddings that were computed elsewhere (e.g. a backup), so
+  // nothing is re-embedded. With `replace`, existing rows with the same ids go first.
+  async importDocuments(documents, { collection, replace = false } = {}) {
+    const handle = await this.getCollection(collection)
+    if (documents.length === 0) return []
+
+    const rows = documents.map(({ id, text, metadata = {}, embedding }) => this.buildRow(
+      handle,
+      id,
+      text,
+      assertEmbeddingDimensions(Array.from(embedding), handle.dimensions, `document ${id}`),
+      metadata
+    ))
+    if (replace) {
+      await handle.table.delete(`id IN (${rows.map(row => sqlString(row.id)).join(', ')})`)
+    }
+    await handle.table.add(rows)
+    this.documentCount += rows.length
+    return rows
+  }
+
+  // Stores each chunk of a long document as its own row, linked by parent_id.
+  // The parent itself is not embedded; it lives in the graph with the full text.
+  async addChunks(parentId, chunks, metadata = {}, { collection } = {}) {
+    const documents = chunks.map(chunk => ({
+      id: chunkId(parentId, chunk.index),
+      text: chunk.text,
+      metadata: {
+        ...metadata,
+        parent_id: parentId,
+        chunk_index: chunk.index,
+        ...(chunk.heading ? { heading: chunk.heading } : {})
+      }
+    }))
+    await this.addDocuments(documents, { collection })
+    console.log(`✅ Stored ${documents.length} chunks for ${parentId}`)
+    return documents
+  }
+  
+  // `ids` restricts a search to those documents (and their chunks)
+  searchWhere(handle, filter, ids) {
+    const filterClause = buildWhereClause(filter, handle.fields)
+    const idList = ids?.length ? ids.map(sqlString).join(', ') : null
+    const idClause = idList ? `(id IN (${idList}) OR parent_id IN (${idList}))` : null
+    return {
+      filterClause,
+      where: ["id != 'init'", filterClause, idClause].filter(Boolean).join(' AND ')
+    }
+  }
+
+  // `asOf` (a Date) searches the table as it was at that time
+  async search(queryText, topK = 5, { collection, filter, ids, asOf, hackathonMode = false } = {}) {
   try {
+    const handle = await this.getCollection(collection)
     console.log(`🔍 Searching for: "${queryText.substring(0, 50)}..." (hackathonMode: ${hackathonMode})`)
     
     // 🔥 HACKATHON MODE: Use exact query embedding from spec
@@ -72,11 +376,19 @@ class VectorDB {
       queryEmbedding = [0.88, 0.12, 0.02, 0.00, 0.00, 0.00]
       console.log('✅ Using HACKATHON query embedding (6-dim)')
     } else {
-      queryEmbedding = await generateEmbedding(queryText, true, hackathonMode)
+      queryEmbedding = await this.embed(queryText, 'query', handle)
     }
+    assertEmbeddingDimensions(queryEmbedding, handle.dimensions, `query against "${handle.name}"`)
+    
+    // Filters run inside LanceDB before top-k (prefiltering)
+    const { where, filterClause } = this.searchWhere(handle, filter, ids)
     
     const startTime = Date.now()
-    const results = await this.table.search(queryEmbedding).limit(topK).toArray()
+    const { rows: results, version } = await this.queryAt(handle, asOf, table => table.search(queryEmbedding)
+      .distanceType('cosine')
+      .where(where)
+      .limit(topK)
+      .toArray())
     const latency = Date.now() - startTime
     
     const formattedResults = results
@@ -85,8 +397,9 @@ class VectorDB {
         docId: result.id,
         text: result.text,
         distance: result._distance || 0,
-        similarity: 1 - (result._distance || 0),
-        metadata: result.metadata ? JSON.parse(result.metadata) : {}
+        // Cosine distance is in [0, 2]; opposite vectors count as unrelated
+        similarity: Math.max(0, 1 - (result._distance || 0)),
+        metadata: parseMetadata(result.metadata)
       }))
       .filter(r => 
         r.docId !== 'init' && 
@@ -101,8 +414,13 @@ class VectorDB {
     return {
       success: true,
       query: queryText,
+      collection: handle.name,
+      filter: filterClause,
+      ...(asOf ? { as_of: asOf.toISOString(), table_version: version } : {}),
       results: formattedResults,
       totalResults: formattedResults.length,
+      // Fewer rows than asked for: nothing further down matches
+      exhausted: results.length < topK,
       latencyMs: latency
     }
   } catch (error) {
@@ -111,55 +429,146 @@ class VectorDB {
   }
 }
 
-  
-  async getAllDocuments(limit = 1000) {
+  // BM25 ranking from the full-text index; exact terms such as product names
+  // and acronyms match even when their embeddings do not.
+  async keywordSearch(queryText, topK = 5, { collection, filter, ids, asOf } = {}) {
     try {
-      await this.forceRefresh() // Ensure fresh data
-      const results = await this.table.search(new Array(384).fill(0)).limit(limit).toArray()
-      return results
-        .map(doc => ({
-          id: doc.id,
-          text: doc.text,
-          metadata: doc.metadata ? JSON.parse(doc.metadata) : {}
+      const handle = await this.getCollection(collection)
+      const { where, filterClause } = this.searchWhere(handle, filter, ids)
+
+      const startTime = Date.now()
+      const { rows: results, version } = await this.queryAt(handle, asOf, table => table.query()
+        .fullTextSearch(queryText, { columns: 'text' })
+        .where(where)
+        .limit(topK)
+        .toArray())
+      const latency = Date.now() - startTime
+
+      const formattedResults = results
+        .filter(r => r.id && r.id !== 'init')
+        .map((result, index) => ({
+          rank: index + 1,
+          docId: result.id,
+          text: result.text,
+          keyword_score: result._score,
+          metadata: parseMetadata(result.metadata)
         }))
-        .filter(doc => doc.id !== 'init')
+
+      console.log(`✅ Keyword search found ${formattedResults.length} results in ${latency}ms`)
+      return {
+        success: true,
+        query: queryText,
+        collection: handle.name,
+        filter: filterClause,
+        ...(asOf ? { as_of: asOf.toISOString(), table_version: version } : {}),
+        results: formattedResults,
+        totalResults: formattedResults.length,
+        exhausted: results.length < topK,
+        latencyMs: latency
+      }
     } catch (error) {
-      console.error('❌ Failed to get all documents:', error.message)
-      return []
+      console.error('❌ Keyword search failed:', error.message)
+      throw error
     }
   }
-  
-  async getDocument(id) {
+
+
+  async getDocument(id, { collection } = {}) {
     try {
-      await this.forceRefresh() // Ensure fresh data
-      const results = await this.table.search(new Array(384).fill(0)).limit(1000).toArray()
-      const doc = results.find(d => d.id === id)
+      const [doc] = await this.getDocuments([id], { collection })
       if (!doc) throw new Error(`Document not found: ${id}`)
-      return { 
-        id: doc.id,
-        text: doc.text,
-        metadata: doc.metadata ? JSON.parse(doc.metadata) : {}
-      }
+      return doc
     } catch (error) {
       console.error(`❌ Failed to get document ${id}:`, error.message)
       throw error
     }
   }
+
+  // Every document id in compareIds order. Read once per table version, so
+  // paging through a large collection does not rescan it for each page.
+  async sortedIds(handle) {
+    const version = await handle.table.version()
+    if (handle.sortedIds?.version !== version) {
+      const rows = await handle.table.query().where("id != 'init'").select(['id']).toArray()
+      handle.sortedIds = { version, ids: rows.map(row => row.id).sort(compareIds) }
+    }
+    return handle.sortedIds.ids
+  }
+
+  // One page of documents in id order. `cursor` is the next_cursor of the
+  // previous page. The page is found in the cached id list; the requested
+  // fields are then read for that page alone.
+  async listDocuments({ collection, limit = DEFAULT_PAGE_SIZE, cursor, fields = DEFAULT_DOCUMENT_FIELDS } = {}) {
+    const handle = await this.getCollection(collection)
+    const ids = await this.sortedIds(handle)
+    const start = firstAfter(ids, decodeCursor(cursor))
+    const pageIds = ids.slice(start, start + limit)
+    const hasMore = start + limit < ids.length
+
+    const documents = await this.getDocuments(pageIds, { collection: handle.name, fields })
+    return {
+      total: ids.length,
+      documents,
+      next_cursor: hasMore ? encodeCursor(pageIds[pageIds.length - 1]) : null,
+      has_more: hasMore
+    }
+  }
+  
+  // Every row id (or those matching a metadata filter), with parent_id set on chunk rows
+  async listDocumentIds({ collection, filter } = {}) {
+    const handle = await this.getCollection(collection)
+    const { where } = this.searchWhere(handle, filter)
+    const rows = await handle.table.query()
+      .where(where)
+      .select(['id', 'parent_id'])
+      .toArray()
+    return rows.map(row => ({ id: row.id, parent_id: row.parent_id ?? null }))
+  }
+
+  // Rows for the given ids, in the order asked for; ids that do not exist are
+  // left out. Each lookup is a filtered scan, not a vector search.
+  async getDocuments(ids, { collection, fields = DEFAULT_DOCUMENT_FIELDS } = {}) {
+    const handle = await this.getCollection(collection)
+    const found = new Map()
+    for (let i = 0; i < ids.length; i += 500) {
+      const idList = ids.slice(i, i + 500).map(sqlString).join(', ')
+      const rows = await handle.table.query()
+        .where(`id IN (${idList}) AND id != 'init'`)
+        .select(fields)
+        .toArray()
+      for (const row of rows) found.set(row.id, formatDocument(row, fields))
+    }
+    return ids.filter(id => found.has(id)).map(id => found.get(id))
+  }
   
-  async getStats() {
+  async getStats({ collection = DEFAULT_COLLECTION } = {}) {
     try {
-      await this.forceRefresh()
-      const rowCount = await this.table.count_rows()
+      const handle = await this.getCollection(collection)
+      await this.forceRefresh({ collection })
+      // A chunked document has only chunk rows, so it counts once via its parent_id
+      const rowCount = await handle.table.countRows("id != 'init'")
+      const chunks = await handle.table.query()
+        .where("parent_id IS NOT NULL AND id != 'init'")
+        .select(['parent_id'])
+        .toArray()
+      const chunkedDocuments = new Set(chunks.map(row => row.parent_id)).size
       return {
-        totalDocuments: rowCount - 1, // subtract init row
-        embeddingDimension: 384,
+        collection,
+        totalDocuments: rowCount - chunks.length + chunkedDocuments,
+        totalChunks: chunks.length,
+        embeddingDimension: handle.dimensions,
+        embeddingModel: handle.embeddingProvider,
         dbPath: this.dbPath,
         status: 'healthy'
       }
     } catch (error) {
+      const handle = this.collections.get(collection)
       return {
+        collection,
         totalDocuments: 0,
-        embeddingDimension: 384,
+        totalChunks: 0,
+        embeddingDimension: handle?.dimensions ?? null,
+        embeddingModel: handle?.embeddingProvider ?? null,
         dbPath: this.dbPath,
         status: 'error',
         error: error.message
@@ -167,39 +576,90 @@ class VectorDB {
     }
   }
 
-  async deleteDocument(id) {
-    if (!this.table) {
-      console.log('⚠️ No table available for delete')
+  // Whether the document has any rows, as itself or as chunks
+  async hasDocument(id, { collection } = {}) {
+    const handle = await this.getCollection(collection)
+    return (await handle.table.countRows(`id = ${sqlString(id)} OR parent_id = ${sqlString(id)}`)) > 0
+  }
+
+  // The given ids that have rows, as documents or as chunk parents
+  async existingDocumentIds(ids, { collection } = {}) {
+    const handle = await this.getCollection(collection)
+    const wanted = new Set(ids)
+    const existing = new Set()
+    for (let i = 0; i < ids.length; i += 500) {
+      const idList = ids.slice(i, i + 500).map(sqlString).join(', ')
+      const rows = await handle.table.query()
+        .where(`id IN (${idList}) OR parent_id IN (${idList})`)
+        .select(['id', 'parent_id'])
+        .toArray()
+      for (const row of rows) existing.add(wanted.has(row.id) ? row.id : row.parent_id)
+    }
+    return existing
+  }
+
+  // Deletes the rows of many documents and their chunks, compacting once.
+  // Returns the number of rows deleted.
+  async deleteDocuments(ids, { collection } = {}) {
+    const handle = await this.getCollection(collection)
+    let deletedCount = 0
+    for (let i = 0; i < ids.length; i += 500) {
+      const idList = ids.slice(i, i + 500).map(sqlString).join(', ')
+      const where = `id IN (${idList}) OR parent_id IN (${idList})`
+      const count = await handle.table.countRows(where)
+      if (count === 0) continue
+      await handle.table.delete(where)
+      deletedCount += count
+    }
+    if (deletedCount === 0) return 0
+    await this.compact(handle.table)
+    this.documentCount = Math.max(0, this.documentCount - deletedCount)
+    console.log(`✅ Deleted ${deletedCount} rows for ${ids.length} documents from ${handle.name}`)
+    return deletedCount
+  }
+
+  // Returns whether any row (the document or its chunks) was deleted. A missing
+  // collection counts as nothing to delete; storage errors are thrown.
+  async deleteDocument(id, { collection } = {}) {
+    let handle
+    try {
+      handle = await this.getCollection(collection)
+    } catch (error) {
+      console.log(`⚠️ No table available for delete: ${error.message}`)
       return false
     }
     
     try {
-      console.log(`🗑️ Deleting LanceDB document: ${id}`)
+      console.log(`🗑️ Deleting LanceDB document: ${id} from ${handle.name}`)
       
-      // Use SQL WHERE clause string for deletion (correct LanceDB API)
-      const deletedCount = await this.table.delete(`id = "${id}"`)
+      // Chunk rows of a chunked document go with it. table.delete() only
+      // returns the new table version, so rows are counted first.
+      const where = `id = ${sqlString(id)} OR parent_id = ${sqlString(id)}`
+      const deletedCount = await handle.table.countRows(where)
+      if (deletedCount === 0) return false
+      await handle.table.delete(where)
       console.log(`✅ Deleted ${deletedCount} rows matching id: ${id}`)
       
       // Compact table after deletion to remove ghosts in search
-      await this.table.optimize()
+      await this.compact(handle.table)
       console.log(`✅ Table optimized after delete: ${id}`)
       
       this.documentCount = Math.max(0, this.documentCount - deletedCount)
-      return deletedCount > 0
+      return true
     } catch (error) {
       console.error(`❌ Vector delete failed for ${id}:`, error.message)
-      return false
+      throw error
     }
   }
 
-  async updateDocument(id, text, metadata) {
+  async updateDocument(id, text, metadata, { collection } = {}) {
     try {
       console.log(`🔄 Updating document: ${id}`)
-      const deleted = await this.deleteDocument(id)
+      const deleted = await this.deleteDocument(id, { collection })
       if (!deleted) {
         console.log(`⚠️ Document ${id} not found, creating new`)
       }
-      await this.addDocument(id, text, metadata)
+      await this.addDocument(id, text, metadata, { collection })
       console.log(`✅ Document updated: ${id}`)
     } catch (error) {
       console.error(`❌ Vector update failed for ${id}:`, error.message)
@@ -207,11 +667,121 @@ class VectorDB {
     }
   }
 
-  async forceRefresh() {
-    if (!this.table) return
+  // Compaction also prunes old table versions; keeping VERSION_RETENTION_DAYS
+  // of them is what lets as_of searches read the past
+  async compact(table) {
+    await table.optimize({ cleanupOlderThan: new Date(Date.now() - VERSION_RETENTION_DAYS * 86400000) })
+  }
+
+  // Runs `query(table)` against the table as it was at `asOf`. The past is
+  // checked out on a handle of its own, so writes to the live table are
+  // unaffected, and that handle is closed once the query has run.
+  async queryAt(handle, asOf, query) {
+    if (!asOf) return { rows: await query(handle.table), version: null }
+    const versions = await handle.table.listVersions()
+    const match = versions.filter(v => new Date(v.timestamp) <= asOf).at(-1)
+    if (!match) {
+      throw new Error(`No version of ${handle.name} at ${asOf.toISOString()} (history is kept for ${VERSION_RETENTION_DAYS} days)`)
+    }
+    const table = await this.db.openTable(handle.name)
+    try {
+      await table.checkout(match.version)
+      return { rows: await query(table), version: match.version }
+    } finally {
+      table.close()
+    }
+  }
+
+  async getVersionTable() {
+    if (this.versionTable) return this.versionTable
+    const names = await this.db.tableNames()
+    if (names.includes(VERSION_TABLE)) {
+      this.versionTable = await this.db.openTable(VERSION_TABLE)
+    } else {
+      this.versionTable = await this.db.createTable(VERSION_TABLE, [{
+        id: 'init',
+        collection: '',
+        version: 0,
+        operation: 'create',
+        text: '',
+        metadata: '{}',
+        embedding_model: '',
+        author: '',
+        table_version: 0,
+        created_at: new Date().toISOString()
+      }])
+      console.log(`✅ Created table: ${VERSION_TABLE}`)
+    }
+    return this.versionTable
+  }
+
+  // Appends the next version of a document. `operation` defaults to create
+  // for the first version and update after that.
+  async recordVersion(id, { text, metadata, operation, author = null }, { collection } = {}) {
+    const [record] = await this.recordVersions([{ id, text, metadata, operation, author }], { collection })
+    return record
+  }
+
+  // One version record per entry, numbered after each document's latest one
+  async recordVersions(entries, { collection } = {}) {
+    const write = this.versionWrites.then(async () => {
+      const handle = await this.getCollection(collection)
+      const table = await this.getVersionTable()
+      const latest = new Map()
+      const ids = [...new Set(entries.map(entry => entry.id))]
+      for (let i = 0; i < ids.length; i += 500) {
+        const rows = await table.query()
+          .where(`collection = ${sqlString(handle.name)} AND id IN (${ids.slice(i, i + 500).map(sqlString).join(', ')})`)
+          .select(['id', 'version'])
+          .toArray()
+        for (const row of rows) latest.set(row.id, Math.max(latest.get(row.id) || 0, Number(row.version)))
+      }
+
+      const tableVersion = await handle.table.version()
+      const createdAt = new Date().toISOString()
+      const records = entries.map(({ id, text, metadata, operation, author = null }) => {
+        const previous = latest.get(id) || 0
+        latest.set(id, previous + 1)
+        return {
+          id,
+          collection: handle.name,
+          version: previous + 1,
+          operation: operation || (previous ? 'update' : 'create'),
+          text: text ?? '',
+          metadata: JSON.stringify(metadata || {}),
+          embedding_model: handle.embeddingProvider,
+          author,
+          table_version: tableVersion,
+          created_at: createdAt
+        }
+      })
+      if (records.length) await table.add(records)
+      return records.map(formatVersion)
+    })
+    this.versionWrites = write.catch(() => {})
+    return write
+  }
+
+  // Newest first
+  async listVersions(id, { collection = DEFAULT_COLLECTION } = {}) {
+    const table = await this.getVersionTable()
+    const rows = await table.query()
+      .where(`id = ${sqlString(id)} AND collection = ${sqlString(collection)}`)
+      .toArray()
+    return rows.map(formatVersion).sort((a, b) => b.version - a.version)
+  }
+
+  async getVersion(id, version, { collection } = {}) {
+    const versions = await this.listVersions(id, { collection })
+    return versions.find(v => v.version === version) || null
+  }
+
+  async forceRefresh({ collection = DEFAULT_COLLECTION } = {}) {
+    const table = this.collections.get(collection)?.table
+    if (!table) return
     try {
       console.log('🔄 Forcing LanceDB table refresh...')
-      await this.table.optimize()
+      await this.compact(table)
       console.log('✅ LanceDB table refreshed')
     } catch (error) {
       console.warn('⚠️ Table refresh failed:', error.message)
@@ -227,8 +797,9 @@ class VectorDB {
     try {
       console.log('💥 NUKING ALL VECTOR DOCUMENTS...')
       // Use SQL WHERE clause string for deletion (except init row)
-      const deletedCount = await this.table.delete("id != 'init'")
-      await this.table.optimize()
+      const deletedCount = await this.table.countRows("id != 'init'")
+      await this.table.delete("id != 'init'")
+      await this.compact(this.table)
       this.documentCount = 0
       console.log(`✅ NUKED ${deletedCount} documents. Table clean.`)
       return true
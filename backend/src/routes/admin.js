@@ -0,0 +1,123 @@
+import express from 'express'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { randomUUID } from 'crypto'
+import { pipeline } from 'stream/promises'
+import { withCollection } from '../utils/collections.js'
+import { reconcile } from '../utils/reconcile.js'
+import { maintenanceTask, runExclusive } from '../utils/maintenance.js'
+import {
+  backupFilename,
+  resolveBackupCollections,
+  writeBackup,
+  validateBackup,
+  restoreBackup
+} from '../utils/backup.js'
+
+function withoutPayload({ payload, ...op }) {
+  return op
+}
+
+// "a,b" or ["a", "b"]
+function parseCollections(value) {
+  if (!value) return undefined
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean)
+}
+
+function busy(res) {
+  const task = maintenanceTask()
+  res.status(409).json({ error: `A ${task.task} is already running`, maintenance: task })
+}
+
+export default function adminRoutes(vectorDB, graphDB, oplog) {
+  const router = express.Router()
+
+  // Recent hybrid write operations, newest first
+  router.get('/operations', (req, res) => {
+    const { status, collection, target } = req.query
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000)
+    const operations = oplog.list({ status, collection, target, limit }).map(withoutPayload)
+    res.json({ success: true, total: operations.length, operations })
+  })
+
+  router.get('/operations/:id', (req, res) => {
+    const op = oplog.get(req.params.id)
+    if (!op) return res.status(404).json({ error: 'Operation not found' })
+    res.json({ success: true, operation: withoutPayload(op) })
+  })
+
+  // Diffs LanceDB document ids against graph node ids. Reports by default;
+  // { "repair": true } replays unfinished operations and restores orphans.
+  router.post('/reconcile', withCollection(vectorDB), async (req, res) => {
+    try {
+      const repair = req.body?.repair === true || req.query.repair === 'true'
+      const report = await reconcile(vectorDB, graphDB, oplog, { collection: req.collection, repair })
+      const failed = report.replayed.filter(op => op.status !== 'applied').length +
+        report.repaired.filter(item => item.action !== 'restored').length
+      console.log(`🔧 Reconcile ${req.collection}: ${report.missing_in_graph.length} missing in graph, ` +
+        `${report.missing_in_vector.length} missing in vector${repair ? `, ${report.repaired.filter(item => item.action === 'restored').length} repaired` : ''}`)
+      res.json({ success: failed === 0, ...report })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // Streams a gzip archive of every collection (or { "collections": [...] }):
+  // documents with embeddings, graph nodes and edges, and a manifest
+  router.post('/backup', async (req, res) => {
+    if (maintenanceTask()) return busy(res)
+    let collections
+    try {
+      collections = await resolveBackupCollections(vectorDB, parseCollections(req.body?.collections ?? req.query.collections))
+    } catch (error) {
+      return res.status(404).json({ error: error.message })
+    }
+
+    res.set('Content-Type', 'application/gzip')
+    res.set('Content-Disposition', `attachment; filename="${backupFilename()}"`)
+    try {
+      await runExclusive('backup', () => writeBackup(vectorDB, graphDB, res, { collections }))
+    } catch (error) {
+      console.error('❌ Backup failed:', error.message)
+      // Headers are already sent; a cut connection tells the client it failed
+      if (res.headersSent) res.destroy(error)
+      else res.status(500).json({ error: error.message })
+    }
+  })
+
+  // Restores an archive sent as the request body (application/gzip).
+  // ?mode=empty (default) only fills empty collections; ?mode=merge upserts into
+  // existing ones. ?collections=a,b restores a subset. The archive is spooled to
+  // a temp file, validated in full, and only then written.
+  router.post('/restore', async (req, res) => {
+    if (maintenanceTask()) return busy(res)
+    const file = path.join(os.tmpdir(), `jeridb-restore-${randomUUID()}.jsonl.gz`)
+    const openInput = () => fs.createReadStream(file)
+    try {
+      await runExclusive('restore', async () => {
+        await pipeline(req, fs.createWriteStream(file))
+        let plan
+        try {
+          plan = await validateBackup(vectorDB, graphDB, openInput, {
+            mode: req.query.mode || 'empty',
+            collections: parseCollections(req.query.collections)
+          })
+        } catch (error) {
+          return res.status(400).json({ error: error.message })
+        }
+        const result = await restoreBackup(vectorDB, graphDB, openInput, plan)
+        res.json({ success: true, ...result })
+      })
+    } catch (error) {
+      console.error('❌ Restore failed:', error.message)
+      res.status(500).json({ error: error.message })
+    } finally {
+      await fs.promises.rm(file, { force: true })
+    }
+  })
+
+  return router
+}
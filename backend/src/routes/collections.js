@@ -0,0 +1,88 @@
+import express from 'express'
+import { DEFAULT_COLLECTION, validateCollectionName } from '../utils/collections.js'
+import { validateMetadataFields } from '../utils/filters.js'
+
+export default function collectionRoutes(vectorDB, graphDB, schemas) {
+  const router = express.Router()
+
+  router.get('/', async (req, res) => {
+    try {
+      const names = await vectorDB.listCollectionNames()
+      const graphCounts = await graphDB.listCollections()
+      const nodesByCollection = Object.fromEntries(graphCounts.map(c => [c.collection, c.totalNodes]))
+
+      const collections = []
+      for (const name of names) {
+        const info = await vectorDB.describeCollection(name)
+        collections.push({ ...info, totalNodes: nodesByCollection[name] || 0 })
+      }
+      res.json({ success: true, total: collections.length, collections })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  router.post('/', async (req, res) => {
+    try {
+      const { name, embedding_provider, description = '', metadata_fields = {} } = req.body
+      try {
+        validateCollectionName(name)
+        validateMetadataFields(metadata_fields)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+      if (await vectorDB.hasCollection(name)) {
+        return res.status(409).json({ error: `Collection already exists: ${name}` })
+      }
+
+      await vectorDB.createCollection(name, {
+        embeddingProvider: embedding_provider,
+        description,
+        metadataFields: metadata_fields
+      })
+      const collection = await vectorDB.describeCollection(name)
+      res.status(201).json({ success: true, collection })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  router.get('/:name', async (req, res) => {
+    try {
+      const { name } = req.params
+      if (!(await vectorDB.hasCollection(name))) {
+        return res.status(404).json({ error: `Collection not found: ${name}` })
+      }
+
+      const collection = await vectorDB.describeCollection(name)
+      const graph = await graphDB.getStats(name)
+      res.json({
+        success: true,
+        collection: { ...collection, totalNodes: graph.totalNodes, totalEdges: graph.totalEdges }
+      })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  router.delete('/:name', async (req, res) => {
+    try {
+      const { name } = req.params
+      if (name === DEFAULT_COLLECTION) {
+        return res.status(400).json({ error: `The default collection "${DEFAULT_COLLECTION}" cannot be dropped` })
+      }
+      if (!(await vectorDB.hasCollection(name))) {
+        return res.status(404).json({ error: `Collection not found: ${name}` })
+      }
+
+      await vectorDB.dropCollection(name)
+      const deletedNodes = await graphDB.dropCollection(name)
+      await schemas.reset(name)
+      res.json({ success: true, dropped: name, deleted_nodes: deletedNodes })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  return router
+}
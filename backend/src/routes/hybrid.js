@@ -1,43 +1,64 @@
 import express from 'express'
+import { randomUUID } from 'crypto'
+import readline from 'readline'
+import multer from 'multer'
+import { withCollection } from '../utils/collections.js'
+import {
+  validateNodeSchema,
+  validateEdgeSchema,
+  validateNodeType,
+  validateGraphNode,
+  validateEdgeProperties,
+  edgeNeedsEndpoints,
+  lookupNodeTypes
+} from '../utils/validation.js'
+import { resolveChunking, groupByParent } from '../utils/chunking.js'
+import {
+  ingestBatch,
+  ingestFile,
+  summarizeReport,
+  DEFAULT_BATCH_SIZE,
+  MAX_BATCH_SIZE
+} from '../utils/ingest.js'
+import { extractEntities, conformExtraction } from '../utils/extraction.js'
+import { planCsvImport, applyCsvImport } from '../utils/csvimport.js'
+import { cleanText, writeDocument, writeGraph, deleteNode } from '../utils/dualwrite.js'
+import { describeOperation } from '../databases/oplog.js'
+import { parseVersion, parseAsOf, resolveAuthor } from '../utils/versions.js'
+import {
+  GRAPH_MODES,
+  resolveActivation,
+  seedWeights,
+  rankNeighborhood,
+  normalizeScores,
+  strongestPaths
+} from '../utils/activation.js'
+import { resolveFusion, fuse } from '../utils/fusion.js'
+import { resolveRerankTopN, rerankResults } from '../utils/rerank.js'
+import { resolveExportFormat, resolveExportDepth } from '../utils/graphexport.js'
+import { resolvePageSize, decodeCursor } from '../utils/pagination.js'
+import { MAX_NEIGHBOR_DEPTH, assertRelationshipTypes } from '../databases/graphstore.js'
 
 const router = express.Router()
 
-function validateNodeSchema(data) {
-  const required = ['id', 'text']
-  const validTypes = ['person', 'org', 'document', 'concept', 'healthcare_ai', 'medical_ml', 'test','notes','note','node','article','report','paper','book','tool','software','framework','library','platform','device','algorithm','model','dataset','procedure','technique','methodology'
-    ,'article','redis','postgresql','mongodb','mysql','sqlite','elasticsearch','cassandra','hadoop','spark','kafka','docker','kubernetes','aws','azure','gcp','heroku','netlify','vercel','graph', 'cache'
-  ]
-  
-  const missing = required.filter(field => !data[field])
-  if (missing.length > 0) {
-    throw new Error(`Missing required fields: ${missing.join(', ')}`)
-  }
-  
-  if (data.metadata?.type && !validTypes.includes(data.metadata.type)) {
-    throw new Error(`Invalid node type: ${data.metadata.type}. Allowed: ${validTypes.slice(0,3).join(', ')}...`)
-  }
-  
-  return true
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024, files: 20 }
+})
+
+function receiveFiles(req, res, next) {
+  upload.array('files')(req, res, (error) => {
+    if (error) return res.status(400).json({ error: `Upload failed: ${error.message}` })
+    next()
+  })
 }
 
-function validateEdgeSchema(data) {
-  const required = ['source', 'target', 'type']
-  const validTypes = ['USES', 'MENTIONS', 'CREATED', 'RELATED', 'DEPLOYED','RELATED_TO','ASSOCIATED_WITH','PART_OF','CONNECTED_TO','INTERACTS_WITH','LINKED_TO','BASED_ON','DERIVED_FROM','SIMILAR_TO','CITES','EXTENDS','IMPLEMENTED_BY']
-  
-  const missing = required.filter(field => !data[field])
-  if (missing.length > 0) {
-    throw new Error(`Missing required fields: ${missing.join(', ')}`)
-  }
-  
-  if (!validTypes.includes(data.type)) {
-    throw new Error(`Invalid edge type: ${data.type}. Allowed: ${validTypes.join(', ')}`)
-  }
-  
-  if (data.weight && (data.weight < 0 || data.weight > 1)) {
-    throw new Error('Edge weight must be 0-1')
-  }
-  
-  return true
+// Multipart fields "nodes" and "edges", one CSV file each
+function receiveCsv(req, res, next) {
+  upload.fields([{ name: 'nodes', maxCount: 1 }, { name: 'edges', maxCount: 1 }])(req, res, (error) => {
+    if (error) return res.status(400).json({ error: `Upload failed: ${error.message}` })
+    next()
+  })
 }
 
 function cleanData(data) {
@@ -45,14 +66,12 @@ function cleanData(data) {
   
   if (!data.text?.trim() && !data.content?.trim() && !data.title?.trim()) return null
   
-  const cleanText = (data.text || data.content || data.title || data.description || '')
-    .replace(/\s+/g, ' ')
-    .replace(/[^\w\s.,!?]/g, '')
-    .trim()
+  const rawText = data.text || data.content || data.title || data.description || ''
+  const cleaned = cleanText(rawText)
   
-  if (cleanText.length < 10) return null
+  if (cleaned.length < 10) return null
   
-  return { ...data, text: cleanText }
+  return { ...data, text: cleaned, rawText }
 }
 
 function decideRoute(data) {
@@ -66,66 +85,153 @@ function decideRoute(data) {
   return 'METADATA_ONLY'
 }
 
-async function graphSearch(graphDB, query) {
-  try {
-    console.log('🔍 Graph searching for:', query)
-    const result = await graphDB.driver.session().run(`
-      MATCH (n:Node)
-      WHERE n.id CONTAINS $query OR 
-            toLower(n.name) CONTAINS $query OR 
-            toLower(n.type) CONTAINS $query OR
-            size([tag in n.tags WHERE toLower(tag) CONTAINS $query]) > 0 OR
-            $query IN n.tags
-      RETURN n.id as docId, 0.9 as score
-      LIMIT 10
-    `, { query })
-    
-    const matches = result.records.map(record => ({
-      docId: record.get('docId'),
-      score: Number(record.get('score'))
-    }))
-    console.log('Graph matches found:', matches.length)
-    return matches
-  } catch (error) {
-    console.error('Graph search failed:', error.message)
-    return []
+export const EDGE_DIRECTIONS = ['out', 'in', 'both']
+
+// ?direction= relative to the node whose edges are listed
+function resolveDirection(value) {
+  if (value === undefined || value === '') return 'both'
+  if (!EDGE_DIRECTIONS.includes(value)) throw new Error(`Invalid direction: ${value}. Allowed: ${EDGE_DIRECTIONS.join(', ')}`)
+  return value
+}
+
+// "USES,CITES" or repeated ?types=
+function resolveTypeList(value) {
+  if (value === undefined) return undefined
+  const types = (Array.isArray(value) ? value : String(value).split(','))
+    .map(type => type.trim())
+    .filter(Boolean)
+  return types.length ? types : undefined
+}
+
+function resolveNeighborDepth(value) {
+  if (value === undefined || value === '') return 1
+  const depth = Number(value)
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_NEIGHBOR_DEPTH) {
+    throw new Error(`depth must be an integer between 1 and ${MAX_NEIGHBOR_DEPTH}`)
   }
+  return depth
 }
 
-function mergeResults(vectorResults, graphBoost, vectorWeight) {
-  const scored = vectorResults.map(r => {
-    const graphScore = graphBoost[r.docId] || 0
-    const totalScore = (r.similarity * vectorWeight) + graphScore
-    return { ...r, hybrid_score: totalScore }
-  })
-  return scored.sort((a, b) => b.hybrid_score - a.hybrid_score)
+function resolveMinWeight(value) {
+  if (value === undefined || value === '') return 0
+  const weight = Number(value)
+  if (!Number.isFinite(weight)) throw new Error('min_weight must be a number')
+  return weight
+}
+
+// Extra vector hits fetched when grouping, since several chunks may share a parent
+const CHUNK_OVERFETCH = 3
+
+// Runs `search(k)` with a growing k until the grouped hits cover `topK` parent
+// documents or the store has no more rows; the chunks of one long document can
+// fill any fixed overfetch on their own.
+async function collectHits(search, topK, { group, scoreKey, minK = 0 }) {
+  let k = Math.max(group ? topK * CHUNK_OVERFETCH : topK, minK)
+  for (;;) {
+    const found = await search(k)
+    if (!group) return { found, hits: found.results }
+    const hits = groupByParent(found.results, scoreKey)
+    if (hits.length >= topK || found.exhausted) return { found, hits }
+    k *= 2
+  }
+}
+
+// Why a result ranked where it did: every signal's raw and normalised score,
+// the graph rule or path behind its boost, and the weights that were applied.
+function explainResult(result, signals, { fusion, weights, graphMode, graphDetail }) {
+  return {
+    fusion,
+    weights,
+    found_by: result.found_by || 'vector',
+    vector: signals.vector
+      ? { distance: result.distance, similarity: result.similarity, normalized: signals.vector.normalized, rank: signals.vector.rank }
+      : null,
+    keyword: signals.keyword
+      ? { bm25: signals.keyword.raw, normalized: signals.keyword.normalized, rank: signals.keyword.rank }
+      : null,
+    graph: signals.graph
+      ? { mode: graphMode, score: signals.graph.raw, normalized: signals.graph.normalized, rank: signals.graph.rank, ...graphDetail }
+      : null
+  }
 }
 
-export default function hybridRoutes(vectorDB, graphDB) {
+export default function hybridRoutes(vectorDB, graphDB, oplog, schemas) {
+
+  router.use(withCollection(vectorDB))
   
+  // Checks an edge against the collection's schema, looking up its endpoints'
+  // node types when the edge type restricts them
+  const validateEdge = async (edge, collection, known) => {
+    const schema = schemas.schemaFor(collection)
+    validateEdgeSchema(edge, schema)
+    if (!edgeNeedsEndpoints(edge.type, schema)) return
+    const types = await lookupNodeTypes(graphDB, [edge.source, edge.target], collection, known)
+    validateEdgeSchema(edge, schema, { source: types.get(edge.source), target: types.get(edge.target) })
+  }
+
   router.post('/nodes', async (req, res) => {
     try {
-      validateNodeSchema(req.body)
-      const { id, text, metadata = {} } = req.body
+      try {
+        validateNodeSchema(req.body, schemas.schemaFor(req.collection))
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+      const { id, text, metadata = {}, chunking } = req.body
       if (!id || !text) return res.status(400).json({ error: 'id and text required' })
+      try {
+        resolveChunking(chunking)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
       
-      await vectorDB.addDocument(id, text, metadata)
-      await graphDB.addNode(id, { 
-        name: metadata.name || id, 
-        type: metadata.type, 
-        tags: metadata.tags || [],
-        ...metadata 
+      const op = await writeDocument(vectorDB, graphDB, oplog, req.collection, {
+        id,
+        text,
+        metadata,
+        chunking,
+        author: resolveAuthor(req),
+        node: {
+          name: metadata.name || id,
+          type: metadata.type,
+          tags: metadata.tags || [],
+          ...metadata,
+          text
+        }
       })
+      if (op.status !== 'applied') {
+        return res.status(500).json({ error: op.error, operation: describeOperation(op) })
+      }
       
-      res.json({ success: true, node_id: id, text_length: text.length, driver: 'Neo4j+LanceDB' })
+      res.json({
+        success: true,
+        node_id: id,
+        collection: req.collection,
+        text_length: text.length,
+        chunks: op.stores.vector.result.chunks,
+        operation: describeOperation(op),
+        driver: `${graphDB.name}+LanceDB`
+      })
     } catch (error) {
       res.status(500).json({ error: error.message })
     }
   })
 
+  // ?version=N returns that version of the document from its history
   router.get('/nodes/:id', async (req, res) => {
     try {
-      const node = await graphDB.getNode(req.params.id)
+      if (req.query.version !== undefined) {
+        let version
+        try {
+          version = parseVersion(req.query.version)
+        } catch (error) {
+          return res.status(400).json({ error: error.message })
+        }
+        const record = await vectorDB.getVersion(req.params.id, version, { collection: req.collection })
+        if (!record) return res.status(404).json({ error: `Version ${version} of ${req.params.id} not found` })
+        return res.json({ success: true, version: record })
+      }
+
+      const node = await graphDB.getNode(req.params.id, req.collection)
       if (!node) return res.status(404).json({ error: 'Node not found' })
       res.json({ success: true, node })
     } catch (error) {
@@ -133,14 +239,110 @@ export default function hybridRoutes(vectorDB, graphDB) {
     }
   })
 
+  // Every recorded version, newest first
+  router.get('/nodes/:id/history', async (req, res) => {
+    try {
+      const versions = await vectorDB.listVersions(req.params.id, { collection: req.collection })
+      if (versions.length === 0) return res.status(404).json({ error: `No history for ${req.params.id}` })
+      res.json({ success: true, id: req.params.id, collection: req.collection, total: versions.length, versions })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // A node's edges, a page at a time:
+  // ?direction=out|in|both&types=USES,CITES&limit=100&cursor=<next_cursor>
+  router.get('/nodes/:id/edges', async (req, res) => {
+    let options
+    try {
+      decodeCursor(req.query.cursor)
+      options = {
+        direction: resolveDirection(req.query.direction),
+        types: resolveTypeList(req.query.types),
+        limit: resolvePageSize(req.query.limit),
+        cursor: req.query.cursor
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    try {
+      if (!(await graphDB.getNode(req.params.id, req.collection))) return res.status(404).json({ error: 'Node not found' })
+      const page = await graphDB.listEdges(req.params.id, options, req.collection)
+      res.json({
+        success: true,
+        node_id: req.params.id,
+        collection: req.collection,
+        direction: options.direction,
+        count: page.edges.length,
+        edges: page.edges,
+        next_cursor: page.next_cursor,
+        has_more: page.has_more
+      })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // The nodes around a node, nearest first, each with the edges that reach it,
+  // for expanding a graph view step by step:
+  // ?direction=out|in|both&types=USES,CITES&node_types=person&min_weight=0.5&depth=1&limit=100&cursor=
+  router.get('/nodes/:id/neighbors', async (req, res) => {
+    let options
+    try {
+      decodeCursor(req.query.cursor)
+      options = {
+        direction: resolveDirection(req.query.direction),
+        types: resolveTypeList(req.query.types),
+        nodeTypes: resolveTypeList(req.query.node_types),
+        minWeight: resolveMinWeight(req.query.min_weight),
+        depth: resolveNeighborDepth(req.query.depth),
+        limit: resolvePageSize(req.query.limit),
+        cursor: req.query.cursor
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    try {
+      if (!(await graphDB.getNode(req.params.id, req.collection))) return res.status(404).json({ error: 'Node not found' })
+      const result = await graphDB.neighbors(req.params.id, options, req.collection)
+      res.json({
+        success: true,
+        node_id: req.params.id,
+        collection: req.collection,
+        direction: options.direction,
+        depth: options.depth,
+        total: result.total,
+        truncated: result.truncated,
+        count: result.neighbors.length,
+        neighbors: result.neighbors,
+        next_cursor: result.next_cursor,
+        has_more: result.has_more,
+        driver: graphDB.name
+      })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // Creates the edge, or updates the weight and properties of the edge with
+  // the same source, target and type
   router.post('/edges', async (req, res) => {
     try {
-      validateEdgeSchema(req.body)
-      const { source, target, type, weight = 1 } = req.body
+      const { source, target, type, weight = 1, properties = {} } = req.body
       if (!source || !target || !type) return res.status(400).json({ error: 'source, target, type required' })
+      if (weight === null) return res.status(400).json({ error: 'Edge weight must be a number' })
+      try {
+        validateEdgeProperties(properties)
+        await validateEdge({ source, target, type, weight }, req.collection)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
       
-      await graphDB.addEdge(source, target, type, weight)
-      res.json({ success: true, edge: { source, target, type, weight }, driver: 'Neo4j' })
+      const edge = await graphDB.addEdge(source, target, type, Number(weight), req.collection, properties)
+      if (!edge) return res.status(404).json({ error: `Source or target node not found: ${source}, ${target}` })
+      res.json({ success: true, edge, collection: req.collection, driver: graphDB.name })
     } catch (error) {
       res.status(500).json({ error: error.message })
     }
@@ -148,11 +350,15 @@ export default function hybridRoutes(vectorDB, graphDB) {
 
   router.get('/search/graph', async (req, res) => {
     try {
-      const { start_id, depth = 1 } = req.query
-      if (!start_id) return res.status(400).json({ error: 'start_id required' })
+      const { start_id, depth = 1, q, limit = 10 } = req.query
+      if (q) {
+        const matches = await graphDB.graphSearch(q, { collection: req.collection, limit: parseInt(limit) || 10 })
+        return res.json({ success: true, query: q, collection: req.collection, matches, driver: graphDB.name })
+      }
+      if (!start_id) return res.status(400).json({ error: 'start_id or q required' })
       
-      const reachable = await graphDB.traverse(start_id, parseInt(depth))
-      res.json({ success: true, start_id, depth, nodes: reachable, driver: 'Neo4j' })
+      const reachable = await graphDB.traverse(start_id, parseInt(depth), req.collection)
+      res.json({ success: true, start_id, depth, collection: req.collection, nodes: reachable, driver: graphDB.name })
     } catch (error) {
       res.status(500).json({ error: error.message })
     }
@@ -160,13 +366,30 @@ export default function hybridRoutes(vectorDB, graphDB) {
 
   router.post('/search/vector', async (req, res) => {
     try {
-      const { query, top_k = 5 } = req.body
-      const results = await vectorDB.search(query, top_k)
+      const { query, top_k = 5, filter, group_by_parent = true, as_of } = req.body
+      let asOf
+      try {
+        await vectorDB.compileFilter(filter, { collection: req.collection })
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid filter: ${error.message}` })
+      }
+      try {
+        asOf = parseAsOf(as_of)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+      const { found: results, hits } = await collectHits(
+        k => vectorDB.search(query, k, { collection: req.collection, filter, asOf }),
+        top_k,
+        { group: group_by_parent }
+      )
       res.json({ 
         success: true, 
         query, 
+        collection: req.collection,
         type: 'vector_only',
-        results: results.results.slice(0, top_k),
+        ...(asOf ? { as_of: results.as_of, table_version: results.table_version } : {}),
+        results: hits.slice(0, top_k),
         total: results.totalResults 
       })
     } catch (error) {
@@ -174,39 +397,127 @@ export default function hybridRoutes(vectorDB, graphDB) {
     }
   })
 
+  router.post('/search/keyword', async (req, res) => {
+    try {
+      const { query, top_k = 5, filter, group_by_parent = true, as_of } = req.body
+      if (!query?.trim()) return res.status(400).json({ error: 'query required' })
+      let asOf
+      try {
+        await vectorDB.compileFilter(filter, { collection: req.collection })
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid filter: ${error.message}` })
+      }
+      try {
+        asOf = parseAsOf(as_of)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+      const { found: results, hits } = await collectHits(
+        k => vectorDB.keywordSearch(query, k, { collection: req.collection, filter, asOf }),
+        top_k,
+        { group: group_by_parent, scoreKey: 'keyword_score' }
+      )
+      res.json({
+        success: true,
+        query,
+        collection: req.collection,
+        type: 'keyword_only',
+        ...(asOf ? { as_of: results.as_of, table_version: results.table_version } : {}),
+        results: hits.slice(0, top_k),
+        total: results.totalResults
+      })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
   router.post('/ingest', async (req, res) => {
     try {
-      const { data } = req.body
+      const { data, chunking, extract = true } = req.body
+      try {
+        resolveChunking(chunking)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
       const cleaned = cleanData(data)
       if (!cleaned) {
         return res.status(400).json({ error: 'Data too noisy or short (<10 chars)' })
       }
       
-      const routeDecision = decideRoute(cleaned)
-      console.log(`[${routeDecision}] Ingesting:`, cleaned.id || cleaned.text?.substring(0, 50))
-      
-      if (routeDecision === 'VECTOR_ONLY' || routeDecision === 'BOTH') {
-        await vectorDB.addDocument(cleaned.id, cleaned.text, cleaned.metadata || {})
+      let routeDecision = decideRoute(cleaned)
+      const storesText = routeDecision === 'VECTOR_ONLY' || routeDecision === 'BOTH'
+      const id = cleaned.id || `doc_${randomUUID()}`
+      const metadata = cleaned.metadata || {}
+      const documentType = metadata.type || 'document'
+
+      // Everything is checked against the schema before anything is written
+      const schema = schemas.schemaFor(req.collection)
+      try {
+        if (storesText) validateNodeType(documentType, metadata, schema)
+        const known = new Map((cleaned.nodes || []).map(node => [node.id, node.type ?? null]))
+        if (storesText) known.set(id, documentType)
+        for (const node of cleaned.nodes || []) validateGraphNode(node, schema)
+        for (const edge of cleaned.edges || []) {
+          await validateEdge({ source: edge.from, target: edge.to, type: edge.type, weight: edge.weight }, req.collection, known)
+        }
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
       }
+
+      // Plain text gets entities and relations extracted into the graph, as far as the schema allows
+      let extraction = null
+      if (extract !== false && cleaned.rawText) {
+        extraction = conformExtraction(await extractEntities(cleaned.rawText), schema, { documentId: id, documentType })
+        if (extraction.entities.length && routeDecision === 'VECTOR_ONLY') routeDecision = 'BOTH'
+      }
+      console.log(`[${routeDecision}] Ingesting:`, cleaned.id || cleaned.text?.substring(0, 50))
       
-      if (routeDecision === 'GRAPH_ONLY' || routeDecision === 'BOTH') {
-        if (cleaned.nodes) {
-          for (const node of cleaned.nodes) {
-            await graphDB.addNode(node.id, node)
+      // Stored text always gets a document node too, so both stores hold the same documents
+      let op = null
+      if (storesText) {
+        op = await writeDocument(vectorDB, graphDB, oplog, req.collection, {
+          id,
+          text: cleaned.text,
+          rawText: cleaned.rawText,
+          metadata,
+          chunking,
+          extraction,
+          author: resolveAuthor(req),
+          node: {
+            name: metadata.name || id,
+            type: documentType,
+            text: cleaned.text
           }
+        })
+        if (op.status !== 'applied') {
+          return res.status(500).json({ error: op.error, operation: describeOperation(op) })
         }
-        if (cleaned.edges) {
-          for (const edge of cleaned.edges) {
-            await graphDB.addEdge(edge.from, edge.to, edge.type, edge.weight)
-          }
+      }
+      
+      // Explicit nodes and edges go to the graph as one logged operation
+      let graphOp = null
+      if ((routeDecision === 'GRAPH_ONLY' || routeDecision === 'BOTH') && (cleaned.nodes?.length || cleaned.edges?.length)) {
+        graphOp = await writeGraph(graphDB, oplog, req.collection, {
+          target: cleaned.id || null,
+          nodes: cleaned.nodes || [],
+          edges: (cleaned.edges || []).map(edge => ({ source: edge.from, target: edge.to, type: edge.type, weight: edge.weight }))
+        })
+        if (graphOp.status !== 'applied') {
+          return res.status(500).json({ error: graphOp.error, operation: describeOperation(graphOp) })
         }
       }
       
       res.json({ 
         success: true, 
         routed_to: routeDecision,
+        collection: req.collection,
         cleaned_text_length: cleaned.text?.length || 0,
-        data_stored: routeDecision 
+        chunks: op?.stores.vector.result.chunks || 0,
+        entities: extraction?.entities.map(({ id, name, type }) => ({ id, name, type })) || [],
+        relationships: extraction?.relations || [],
+        data_stored: routeDecision,
+        ...(op ? { operation: describeOperation(op) } : {}),
+        ...(graphOp ? { graph_operation: describeOperation(graphOp) } : {})
       })
     } catch (error) {
       console.error('Hybrid ingest failed:', error.message)
@@ -214,87 +525,386 @@ export default function hybridRoutes(vectorDB, graphDB) {
     }
   })
 
+  // Bulk ingest: a JSON array (or { items: [...] }) or a streamed NDJSON body.
+  // Records are processed in batches and reported one by one.
+  router.post('/ingest/batch', async (req, res) => {
+    const ndjson = !!req.is(['application/x-ndjson', 'application/jsonl'])
+    const options = ndjson ? req.query : { ...req.query, ...(Array.isArray(req.body) ? {} : req.body) }
+    const batchSize = Math.min(parseInt(options.batch_size) || DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE)
+    const chunking = options.chunking === 'false' ? false : options.chunking
+
+    try {
+      resolveChunking(chunking)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    const report = []
+    const runBatch = async (items) => {
+      const results = await ingestBatch(vectorDB, graphDB, oplog, items, {
+        collection: req.collection,
+        chunking,
+        offset: report.length,
+        author: resolveAuthor(req),
+        schema: schemas.schemaFor(req.collection)
+      })
+      report.push(...results)
+    }
+
+    try {
+      if (ndjson) {
+        const parseErrors = new Map()
+        let batch = []
+        const lines = readline.createInterface({ input: req, crlfDelay: Infinity })
+        for await (const line of lines) {
+          if (!line.trim()) continue
+          try {
+            batch.push(JSON.parse(line))
+          } catch (error) {
+            parseErrors.set(report.length + batch.length, `Invalid JSON: ${error.message}`)
+            batch.push(null)
+          }
+          if (batch.length >= batchSize) {
+            await runBatch(batch)
+            batch = []
+          }
+        }
+        if (batch.length) await runBatch(batch)
+        for (const [index, message] of parseErrors) report[index].error = message
+      } else {
+        const items = Array.isArray(req.body) ? req.body : req.body?.items
+        if (!Array.isArray(items)) {
+          return res.status(400).json({ error: 'Expected a JSON array, { items: [...] } or an NDJSON body' })
+        }
+        for (let i = 0; i < items.length; i += batchSize) {
+          await runBatch(items.slice(i, i + batchSize))
+        }
+      }
+
+      const summary = summarizeReport(report)
+      console.log(`📦 Batch ingest into ${req.collection}: ${summary.succeeded}/${summary.total} ok`)
+      res.json({ success: summary.failed === 0, collection: req.collection, ...summary, results: report })
+    } catch (error) {
+      console.error('Batch ingest failed:', error.message)
+      res.status(500).json({ error: error.message, ...summarizeReport(report), results: report })
+    }
+  })
+
+  // Multipart upload of .md, .txt, .csv, .json and .jsonl files (field "files").
+  // Multipart fields are parsed after the router-level middleware, so the
+  // collection is resolved again here.
+  router.post('/ingest/upload', receiveFiles, withCollection(vectorDB), async (req, res) => {
+    const files = req.files || []
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded (use the "files" field)' })
+    }
+
+    let chunking
+    try {
+      chunking = req.body.chunking ? JSON.parse(req.body.chunking) : undefined
+      resolveChunking(chunking)
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid chunking: ${error.message}` })
+    }
+
+    const csv = {
+      textColumn: req.body.text_column || 'text',
+      idColumn: req.body.id_column || 'id'
+    }
+    const batchSize = Math.min(parseInt(req.body.batch_size) || DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE)
+
+    const reports = []
+    for (const file of files) {
+      try {
+        const report = await ingestFile(vectorDB, graphDB, oplog, {
+          filename: file.originalname,
+          content: file.buffer.toString('utf8'),
+          size: file.size
+        }, { collection: req.collection, chunking, csv, batchSize, author: resolveAuthor(req), schema: schemas.schemaFor(req.collection) })
+        reports.push(report)
+      } catch (error) {
+        console.error(`Upload ingest failed for ${file.originalname}:`, error.message)
+        reports.push({ file: file.originalname, error: error.message, total: 0, succeeded: 0, failed: 0, results: [] })
+      }
+    }
+
+    const failed = reports.filter(r => r.error || r.failed > 0).length
+    res.json({ success: failed === 0, collection: req.collection, files: reports })
+  })
+
+  // CSV import of a nodes file and/or an edges file, as multipart uploads or as
+  // { nodes: "<csv>", edges: "<csv>" } in a JSON body. `mapping` renames columns
+  // ({ nodes: { text: "Body" }, edges: { source: "From" } }); `dry_run` only validates.
+  router.post('/import/csv', receiveCsv, withCollection(vectorDB), async (req, res) => {
+    const body = req.body || {}
+    const files = {
+      nodes: req.files?.nodes?.[0]?.buffer.toString('utf8') ?? body.nodes,
+      edges: req.files?.edges?.[0]?.buffer.toString('utf8') ?? body.edges
+    }
+
+    let mapping, chunking
+    try {
+      mapping = typeof body.mapping === 'string' ? JSON.parse(body.mapping) : body.mapping
+      chunking = typeof body.chunking === 'string' ? JSON.parse(body.chunking) : body.chunking
+      resolveChunking(chunking)
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid mapping or chunking: ${error.message}` })
+    }
+
+    let plan
+    try {
+      plan = await planCsvImport(graphDB, files, {
+        collection: req.collection,
+        mapping,
+        delimiter: body.delimiter || ',',
+        schema: schemas.schemaFor(req.collection)
+      })
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    try {
+      const report = await applyCsvImport(vectorDB, graphDB, oplog, plan, {
+        collection: req.collection,
+        dryRun: body.dry_run === true || body.dry_run === 'true' || req.query.dry_run === 'true',
+        chunking,
+        batchSize: Math.min(parseInt(body.batch_size) || DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE),
+        author: resolveAuthor(req),
+        schema: schemas.schemaFor(req.collection)
+      })
+      res.json({ success: report.errors.length === 0, ...report })
+    } catch (error) {
+      console.error('CSV import failed:', error.message)
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // The whole graph, or the part within `depth` hops of seed nodes given as
+  // `ids` and/or picked by a metadata `filter`, as GraphML, Cypher or JSON-LD.
+  // GET takes query params (filter as JSON); POST takes the same fields as a body.
+  const exportGraph = async (req, res) => {
+    const params = { ...req.query, ...req.body }
+    let format, depth, filter
+    try {
+      format = resolveExportFormat(params.format)
+      depth = resolveExportDepth(params.depth)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+    try {
+      filter = typeof params.filter === 'string' ? JSON.parse(params.filter) : params.filter
+      if (filter) await vectorDB.compileFilter(filter, { collection: req.collection })
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid filter: ${error.message}` })
+    }
+
+    try {
+      const ids = params.ids === undefined
+        ? []
+        : (Array.isArray(params.ids) ? params.ids : String(params.ids).split(',')).map(id => String(id).trim()).filter(Boolean)
+      if (filter) {
+        // Chunk rows carry their parent's metadata; seed the parent too
+        const matches = await vectorDB.listDocumentIds({ collection: req.collection, filter })
+        ids.push(...matches.flatMap(row => (row.parent_id ? [row.id, row.parent_id] : [row.id])))
+      }
+      const scoped = params.ids !== undefined || !!filter
+      const graph = await graphDB.exportCollection(req.collection, scoped ? { ids: [...new Set(ids)], depth } : {})
+      if (params.ids !== undefined && !filter && graph.nodes.length === 0) {
+        return res.status(404).json({ error: 'None of the seed nodes were found' })
+      }
+
+      console.log(`📤 Exported ${graph.nodes.length} nodes, ${graph.edges.length} edges from ${req.collection} as ${format.extension}`)
+      res.set('Content-Type', format.contentType)
+      res.set('Content-Disposition', `attachment; filename="${req.collection}.${format.extension}"`)
+      res.send(format.render(graph, { collection: req.collection, base: params.base }))
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  }
+  router.get('/graph/export', exportGraph)
+  router.post('/graph/export', exportGraph)
+
   router.get('/edges/:id', async (req, res) => {
     try {
-      const result = await graphDB.session.run(`
-        MATCH (a)-[r]->(b) WHERE id(r) = toInteger($id)
-        RETURN type(r) as type, a.id as source, b.id as target, r.weight as weight
-      `, { id: req.params.id })
-      res.json({ success: true, edge: result.records[0] })
+      const edge = await graphDB.getEdge(req.params.id, req.collection)
+      if (!edge) return res.status(404).json({ error: 'Edge not found' })
+      res.json({ success: true, edge, collection: req.collection })
     } catch (error) {
       res.status(500).json({ error: error.message })
     }
   })
 
-  router.put('/nodes/:id', async (req, res) => {
+  // { weight, properties }: properties are merged into the edge's, and a
+  // property set to null is removed. Source, target and type make up the
+  // edge's id, so changing them means deleting it and adding a new one.
+  router.patch('/edges/:id', async (req, res) => {
     try {
-      const { text, metadata } = req.body
-      await vectorDB.updateDocument(req.params.id, text, metadata)
-      await graphDB.addNode(req.params.id, { ...metadata }) 
-      res.json({ success: true, id: req.params.id })
+      const { weight, properties } = req.body || {}
+      if (weight === undefined && properties === undefined) {
+        return res.status(400).json({ error: 'weight or properties required' })
+      }
+      if (weight === null) return res.status(400).json({ error: 'Edge weight must be a number' })
+      const edge = await graphDB.getEdge(req.params.id, req.collection)
+      if (!edge) return res.status(404).json({ error: 'Edge not found' })
+      try {
+        validateEdgeProperties(properties, { update: true })
+        if (weight !== undefined) await validateEdge({ ...edge, weight }, req.collection)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+
+      const updated = await graphDB.updateEdge(req.params.id, { weight: weight === undefined ? undefined : Number(weight), properties }, req.collection)
+      if (!updated) return res.status(404).json({ error: 'Edge not found' })
+      res.json({ success: true, edge: updated, collection: req.collection })
     } catch (error) {
       res.status(500).json({ error: error.message })
     }
   })
 
-  // 🔥 FIXED DELETE ROUTE - COPIED FROM WORKING VECTOR ROUTE
-  router.delete('/nodes/:id', async (req, res) => {
-    const nodeId = req.params.id;
-    console.log(`🗑️ DELETE STARTED: ${nodeId}`);
-    
-    // 1. VECTOR DELETE (FIXED - follows working pattern)
+  router.delete('/edges/:id', async (req, res) => {
     try {
-      console.log('🔍 VECTOR DELETE ATTEMPT...');
-      
-      // Check if document exists first (safe pattern)
+      const edge = await graphDB.deleteEdge(req.params.id, req.collection)
+      if (!edge) return res.status(404).json({ error: 'Edge not found' })
+      console.log(`🗑️ Deleted edge ${edge.source} -[${edge.type}]-> ${edge.target} from ${req.collection}`)
+      res.json({ success: true, deleted: edge, collection: req.collection })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  router.put('/nodes/:id', async (req, res) => {
+    try {
+      const { text, metadata, chunking } = req.body
       try {
-        await vectorDB.getDocument(nodeId);
-        console.log(`✅ Document ${nodeId} exists - proceeding to delete`);
-      } catch {
-        console.log(`ℹ️ Document ${nodeId} already gone from vectorDB`);
+        resolveChunking(chunking)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+      if (!text) return res.status(400).json({ error: 'text required' })
+      const id = req.params.id
+      try {
+        validateNodeSchema({ id, text, metadata }, schemas.schemaFor(req.collection))
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
       }
       
-      // Actual delete
-      await vectorDB.deleteDocument(nodeId);
-      console.log('✅ VECTOR DELETED SUCCESSFULLY');
-      
-    } catch (vError) {
-      console.error('⚠️ VECTOR DELETE SKIPPED (may not exist):', vError.message);
-      // Don't fail the whole operation if vector delete fails
+      // Re-chunk from scratch: old chunk rows and chunk nodes are replaced
+      const op = await writeDocument(vectorDB, graphDB, oplog, req.collection, {
+        id,
+        text,
+        metadata,
+        chunking,
+        replace: true,
+        author: resolveAuthor(req),
+        node: { ...metadata, text }
+      })
+      if (op.status !== 'applied') {
+        return res.status(500).json({ error: op.error, operation: describeOperation(op) })
+      }
+      res.json({
+        success: true,
+        id,
+        collection: req.collection,
+        chunks: op.stores.vector.result.chunks,
+        operation: describeOperation(op)
+      })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
     }
-    
-    // 2. GRAPH DELETE (always works)
+  })
+
+  // Deletes from LanceDB, then the graph. A store that still fails after
+  // retries is reported as such and the operation is left for /admin/reconcile.
+  router.delete('/nodes/:id', async (req, res) => {
+    const nodeId = req.params.id
+    console.log(`🗑️ DELETE STARTED: ${nodeId}`)
     try {
-      console.log('🔍 GRAPH DELETE ATTEMPT...');
-      await graphDB.session.run('MATCH (n:Node {id: $id}) DETACH DELETE n', { id: nodeId });
-      console.log('✅ GRAPH DELETED SUCCESSFULLY');
-    } catch (gError) {
-      console.error('❌ GRAPH DELETE FAILED:', gError.message);
-      return res.status(500).json({ error: `Graph delete failed: ${gError.message}` });
+      const op = await deleteNode(vectorDB, graphDB, oplog, req.collection, nodeId, { author: resolveAuthor(req) })
+      const { vector, graph } = op.stores
+      if (op.status !== 'applied') {
+        console.error(`❌ DELETE INCOMPLETE: ${nodeId} (vector ${vector.status}, graph ${graph.status})`)
+        return res.status(500).json({ error: op.error, operation: describeOperation(op) })
+      }
+      if (!vector.result.found && !graph.result.found) {
+        return res.status(404).json({ error: 'Node not found', operation: describeOperation(op) })
+      }
+      console.log('🗑️ DELETE FINISHED: BOTH STORES CLEANED')
+      res.json({
+        success: true,
+        deleted: nodeId,
+        collection: req.collection,
+        message: 'Node deleted from both vector and graph stores',
+        operation: describeOperation(op)
+      })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
     }
-    
-    console.log('🗑️ DELETE FINISHED: BOTH STORES CLEANED');
-    res.json({ success: true, deleted: nodeId, message: 'Node deleted from both vector and graph stores' });
-  });
+  })
 
   router.post('/search', async (req, res) => {
   try {
-    const { query, type = 'hybrid', vector_weight = 0.7, graph_weight = 0.3, top_k = 5, page = 1 } = req.body
+    const {
+      query, type = 'hybrid', vector_weight = 0.7, graph_weight = 0.3, keyword_weight = 0, top_k = 5, page = 1, filter,
+      group_by_parent = true, graph_mode = 'text', activation, fusion = 'weighted', fusion_model,
+      rerank = false, rerank_top_n, as_of
+    } = req.body
     const offset = (page - 1) * top_k
     
+    try {
+      await vectorDB.compileFilter(filter, { collection: req.collection })
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid filter: ${error.message}` })
+    }
+    if (!GRAPH_MODES.includes(graph_mode)) {
+      return res.status(400).json({ error: `Invalid graph_mode: ${graph_mode}. Allowed: ${GRAPH_MODES.join(', ')}` })
+    }
+    let activationConfig
+    try {
+      activationConfig = resolveActivation(activation)
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid activation: ${error.message}` })
+    }
+    let fusionConfig, rerankTopN, asOf
+    try {
+      fusionConfig = resolveFusion(fusion, fusion_model)
+      rerankTopN = resolveRerankTopN(rerank_top_n)
+      asOf = parseAsOf(as_of)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+    
     console.log(`🔍 Hybrid search: "${query}" (${type})`)
     
     // 🔥 FORCE REFRESH VECTOR STATS BEFORE SEARCH
-    await vectorDB.forceRefresh()
+    await vectorDB.forceRefresh({ collection: req.collection })
+    
+    // Reranking needs at least rerank_top_n candidates to choose from
+    const minK = rerank ? rerankTopN : 0
+    const fetchK = Math.max(group_by_parent ? top_k * CHUNK_OVERFETCH : top_k, minK)
+    const { found: vectorResults, hits: groupedVectorHits } = await collectHits(
+      k => vectorDB.search(query, k, { collection: req.collection, filter, asOf }),
+      top_k,
+      { group: group_by_parent, minK }
+    )
     
-    const vectorResults = await vectorDB.search(query, top_k)
+    // Keyword hits join the candidates; the vector side may have missed them
+    let keywordHits = []
+    if (keyword_weight > 0) {
+      const keywordResults = await collectHits(
+        k => vectorDB.keywordSearch(query, k, { collection: req.collection, filter, asOf }),
+        top_k,
+        { group: group_by_parent, scoreKey: 'keyword_score', minK }
+      )
+      keywordHits = keywordResults.hits
+    }
     
     // If no results, early return
-    if (vectorResults.totalResults === 0) {
+    if (vectorResults.totalResults === 0 && keywordHits.length === 0) {
       return res.json({
         success: true,
         query,
         type,
+        collection: req.collection,
         results: [],
         total_pages: 0,
         vector_hits: 0,
@@ -303,29 +913,137 @@ export default function hybridRoutes(vectorDB, graphDB) {
       })
     }
     
-    let graphScoreBoost = {}
-    if (type === 'hybrid' || type === 'graph') {
-      const graphMatches = await graphSearch(graphDB, query)  
+    let vectorHits = groupedVectorHits
+    const graphScores = new Map()
+    const graphDetails = new Map()
+    let graphFound = 0
+    if ((type === 'hybrid' || type === 'graph') && graph_mode === 'text') {
+      const graphMatches = await graphDB.graphSearch(query, { collection: req.collection, limit: fetchK })
+        .catch(error => {
+          console.error('Graph search failed:', error.message)
+          return []
+        })
+      // Chunk nodes boost their parent document when hits are grouped
       graphMatches.forEach(match => {
-        graphScoreBoost[match.docId] = match.score * graph_weight
+        const key = group_by_parent && match.parent_id ? match.parent_id : match.docId
+        if (match.score <= (graphScores.get(key) || 0)) return
+        graphScores.set(key, match.score)
+        graphDetails.set(key, {
+          rule: 'fulltext',
+          matched_node: { id: match.docId, name: match.name, type: match.type }
+        })
       })
+    } else if (type === 'hybrid' || type === 'graph') {
+      // Seed the walk with the top vector hits and boost what they lead to
+      const seeds = seedWeights(vectorHits.slice(0, activationConfig.seeds))
+      const edges = await graphDB.getSubgraph([...seeds.keys()], activationConfig.hops, req.collection)
+      const scores = rankNeighborhood(graph_mode, seeds, edges, activationConfig)
+
+      // Documents reached only through the graph are scored by the vector
+      // store too (same filter), so they can join the results
+      const hitIds = new Set(vectorHits.map(hit => hit.docId))
+      const missed = [...scores.keys()]
+        .filter(id => !hitIds.has(id))
+        .sort((a, b) => scores.get(b) - scores.get(a))
+        .slice(0, top_k * CHUNK_OVERFETCH)
+      if (missed.length) {
+        const { hits: extra } = await collectHits(
+          k => vectorDB.search(query, k, { collection: req.collection, filter, ids: missed, asOf }),
+          missed.length,
+          { group: group_by_parent }
+        )
+        const extraHits = extra
+          .filter(hit => !hitIds.has(hit.docId))
+          .map(hit => ({ ...hit, found_by: 'graph' }))
+        graphFound = extraHits.length
+        vectorHits = [...vectorHits, ...extraHits]
+      }
+
+      const boosts = normalizeScores(scores, new Set(vectorHits.map(hit => hit.docId)))
+      for (const [id, score] of boosts) graphScores.set(id, score)
+      const paths = strongestPaths(seeds, edges, new Set(boosts.keys()), activationConfig)
+      for (const id of boosts.keys()) {
+        const path = paths.get(id)
+        graphDetails.set(id, {
+          rule: graph_mode,
+          seed: path?.seed || null,
+          path: path ? { nodes: path.nodes, edges: path.edges } : null
+        })
+      }
     }
     
-    const hybridResults = mergeResults(vectorResults.results, graphScoreBoost, vector_weight)
+    const hitsById = new Map(vectorHits.map(hit => [hit.docId, hit]))
+    for (const hit of keywordHits) {
+      const existing = hitsById.get(hit.docId)
+      if (existing) existing.keyword_score = hit.keyword_score
+      else hitsById.set(hit.docId, { ...hit, found_by: 'keyword' })
+    }
+    // Graph matches only rank documents the vector or keyword side can return text for
+    for (const id of graphScores.keys()) {
+      if (!hitsById.has(id)) graphScores.delete(id)
+    }
+    const fused = fuse({
+      vector: new Map(vectorHits.map(hit => [hit.docId, hit.similarity])),
+      graph: graphScores,
+      keyword: new Map(keywordHits.map(hit => [hit.docId, hit.keyword_score]))
+    }, {
+      ...fusionConfig,
+      weights: { vector: vector_weight, graph: graph_weight, keyword: keyword_weight }
+    })
+    const explainContext = {
+      fusion: fusionConfig.strategy,
+      weights: { vector: vector_weight, graph: graph_weight, keyword: keyword_weight },
+      graphMode: graph_mode
+    }
+    let hybridResults = [...fused].map(([id, { score, signals }], index) => ({
+      ...hitsById.get(id),
+      rank: index + 1,
+      hybrid_score: score,
+      signals,
+      explanation: explainResult(hitsById.get(id), signals, { ...explainContext, graphDetail: graphDetails.get(id) })
+    }))
+    // A reranker that cannot load leaves the fused order in place
+    let rerankError = null
+    if (rerank) {
+      try {
+        hybridResults = (await rerankResults(query, hybridResults, { topN: rerankTopN })).map(result =>
+          result.rerank_score === undefined ? result : {
+            ...result,
+            explanation: {
+              ...result.explanation,
+              rerank: { score: result.rerank_score, pre_rerank_score: result.pre_rerank_score, pre_rerank_rank: result.pre_rerank_rank }
+            }
+          })
+      } catch (error) {
+        console.error('Rerank failed:', error.message)
+        rerankError = error.message
+      }
+    }
     const paginatedResults = hybridResults.slice(offset, offset + top_k)
     
     res.json({
       success: true,
       query,
       type,
+      collection: req.collection,
+      filter: filter || null,
       vector_weight,
       graph_weight,
+      keyword_weight,
+      graph_mode,
+      fusion: fusionConfig.strategy,
+      rerank: !!rerank && !rerankError,
+      ...(rerankError ? { rerank_error: rerankError } : {}),
+      ...(asOf ? { as_of: vectorResults.as_of, table_version: vectorResults.table_version } : {}),
+      ...(rerank ? { rerank_top_n: rerankTopN } : {}),
       page,
       top_k,
       total_pages: Math.ceil(hybridResults.length / top_k),
       results: paginatedResults,
       vector_hits: vectorResults.totalResults,
-      graph_boosts: Object.keys(graphScoreBoost).length
+      keyword_hits: keywordHits.length,
+      graph_boosts: graphScores.size,
+      graph_found: graphFound
     })
   } catch (error) {
     console.error('Hybrid search failed:', error.message)
@@ -335,11 +1053,12 @@ export default function hybridRoutes(vectorDB, graphDB) {
 
   router.get('/stats', async (req, res) => {
     try {
-      const vectorStats = await vectorDB.getStats()
-      const graphStats = await graphDB.getStats()  
+      const vectorStats = await vectorDB.getStats({ collection: req.collection })
+      const graphStats = await graphDB.getStats(req.collection)
       
       res.json({
         success: true,
+        collection: req.collection,
         vector: vectorStats,
         graph: graphStats,
         total_nodes: graphStats.totalNodes,
@@ -353,35 +1072,24 @@ export default function hybridRoutes(vectorDB, graphDB) {
 
   router.get('/search/multi-hop', async (req, res) => {
     try {
-      const { start_id, hops = 2, relationship_types = '' } = req.query
+      const { start_id, hops = 2, relationship_types } = req.query
       if (!start_id) return res.status(400).json({ error: 'start_id required' })
       
-      const types = relationship_types ? relationship_types.split(',') : ['USES', 'MENTIONS', 'RELATED']
-      const typePattern = types.join('|')
-      
-      const query = `
-        MATCH path=(start:Node {id: $startId})-[r:${typePattern}*1..${hops}]-(related:Node)
-        RETURN start {id: start.id, name: start.name} as start_node,
-               related {.*, id: related.id} as related_node,
-               [rel in relationships(path) | {type: type(rel), weight: rel.weight}] as relationships,
-               length(path) as hop_count
-        ORDER BY hop_count ASC
-        LIMIT 20
-      `
-      
-      const result = await graphDB.driver.session().run(query, { startId: start_id })
-      
-      const paths = result.records.map(record => ({
-        start: record.get('start_node'),
-        related: record.get('related_node'),
-        hop_count: record.get('hop_count').low,
-        relationships: record.get('relationships'),
-        path_length: record.get('hop_count').low + 1
+      let types
+      try {
+        types = assertRelationshipTypes(resolveTypeList(relationship_types) ?? ['USES', 'MENTIONS', 'RELATED'])
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+      const paths = (await graphDB.multiHop(start_id, { hops, types }, req.collection)).map(path => ({
+        ...path,
+        path_length: path.hop_count + 1
       }))
       
       res.json({ 
         success: true,
         start_id,
+        collection: req.collection,
         hops: parseInt(hops),
         paths,
         total_paths: paths.length
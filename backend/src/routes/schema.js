@@ -0,0 +1,69 @@
+import express from 'express'
+import { withCollection } from '../utils/collections.js'
+
+// The ontology of a collection (?collection=, default "documents"): node types
+// with typed properties, and edge types with allowed endpoints, direction and
+// weight range. See utils/validation.js for the format. Changes apply to later
+// writes; data already stored is not re-checked.
+export default function schemaRoutes(vectorDB, schemas) {
+  const router = express.Router()
+
+  router.use(withCollection(vectorDB))
+
+  // Schema problems are the caller's; anything else (the file write) is ours
+  const apply = async (res, update) => {
+    let described
+    try {
+      described = await update()
+    } catch (error) {
+      return res.status(error.code ? 500 : 400).json({ error: error.message })
+    }
+    console.log(`📐 Schema for ${described.collection} updated`)
+    res.json({ success: true, ...described })
+  }
+
+  // The body minus the `collection` selector
+  const definitionOf = req => {
+    const { collection, ...definition } = req.body || {}
+    return definition
+  }
+
+  router.get('/', (req, res) => {
+    res.json({ success: true, ...schemas.describe(req.collection) })
+  })
+
+  router.put('/', (req, res) => apply(res, () => schemas.set(req.collection, definitionOf(req))))
+
+  router.delete('/', async (req, res) => {
+    try {
+      const existed = await schemas.reset(req.collection)
+      if (!existed) return res.status(404).json({ error: `Collection ${req.collection} has no custom schema` })
+      console.log(`📐 Schema for ${req.collection} reset to the default`)
+      res.json({ success: true, ...schemas.describe(req.collection) })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+
+  // Adds or replaces one type, leaving the rest of the schema as it is
+  const typeRoutes = (path, key, label) => {
+    router.put(`/${path}/:name`, (req, res) => apply(res, () =>
+      schemas.change(req.collection, schema => ({ ...schema, [key]: { ...schema[key], [req.params.name]: definitionOf(req) } }))))
+
+    router.delete(`/${path}/:name`, (req, res) => {
+      const { name } = req.params
+      if (!Object.hasOwn(schemas.schemaFor(req.collection)[key], name)) {
+        return res.status(404).json({ error: `Unknown ${label}: ${name}` })
+      }
+      // Removing a node type still named by an edge type fails validation
+      return apply(res, () => schemas.change(req.collection, schema => {
+        const { [name]: removed, ...rest } = schema[key]
+        return { ...schema, [key]: rest }
+      }))
+    })
+  }
+  typeRoutes('node-types', 'node_types', 'node type')
+  typeRoutes('edge-types', 'edge_types', 'edge type')
+
+  return router
+}
@@ -1,7 +1,25 @@
 import express from 'express'
+import { listEmbeddingProviders } from '../utils/embedding.js'
+import { withCollection } from '../utils/collections.js'
+import { resolvePageSize, resolveFields, decodeCursor } from '../utils/pagination.js'
+import { resolveAuthor } from '../utils/versions.js'
+import { validateNodeSchema, validateNodeType } from '../utils/validation.js'
 
-export function setupVectorRoutes(app, vectorDB) {
+const MAX_BATCH_IDS = 10000
+
+export function setupVectorRoutes(app, vectorDB, schemas) {
   const router = express.Router()
+
+  router.use(withCollection(vectorDB))
+
+  // History is best-effort: the write already succeeded
+  const recordVersion = async (req, id, version) => {
+    try {
+      await vectorDB.recordVersion(id, { ...version, author: resolveAuthor(req) }, { collection: req.collection })
+    } catch (error) {
+      console.error(`⚠️ Version record for ${id} failed:`, error.message)
+    }
+  }
   
   router.post('/nodes', async (req, res) => {
     try {
@@ -9,7 +27,13 @@ export function setupVectorRoutes(app, vectorDB) {
       if (!id || !text) {
         return res.status(400).json({ error: 'Missing required fields: id, text' })
       }
-      const document = await vectorDB.addDocument(id, text, metadata)
+      try {
+        validateNodeSchema(req.body, schemas.schemaFor(req.collection))
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+      const document = await vectorDB.addDocument(id, text, metadata, { collection: req.collection })
+      await recordVersion(req, id, { text, metadata })
       res.status(201).json({ success: true, nodeId: id, document })
     } catch (error) {
       res.status(500).json({ error: error.message })
@@ -18,17 +42,48 @@ export function setupVectorRoutes(app, vectorDB) {
   
   router.get('/nodes/:id', async (req, res) => {
     try {
-      const document = await vectorDB.getDocument(req.params.id)
+      const document = await vectorDB.getDocument(req.params.id, { collection: req.collection })
       res.json({ success: true, document })
     } catch (error) {
       res.status(404).json({ error: error.message })
     }
   })
   
+  // Batch lookup by id: { ids: [...], fields }
+  router.post('/nodes/batch', async (req, res) => {
+    const { ids } = req.body
+    let fields
+    try {
+      if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+        throw new Error('ids must be an array of strings')
+      }
+      if (ids.length > MAX_BATCH_IDS) throw new Error(`At most ${MAX_BATCH_IDS} ids per request`)
+      fields = resolveFields(req.body.fields)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    try {
+      const documents = await vectorDB.getDocuments(ids, { collection: req.collection, fields })
+      const found = new Set(documents.map(doc => doc.id))
+      res.json({ success: true, documents, missing: ids.filter(id => !found.has(id)) })
+    } catch (error) {
+      res.status(500).json({ error: error.message })
+    }
+  })
+  
   router.put('/nodes/:id', async (req, res) => {
     try {
       const { text, metadata } = req.body
-      const updated = await vectorDB.updateDocument(req.params.id, text, metadata)
+      if (metadata) {
+        try {
+          validateNodeType(metadata.type, metadata, schemas.schemaFor(req.collection))
+        } catch (error) {
+          return res.status(400).json({ error: error.message })
+        }
+      }
+      const updated = await vectorDB.updateDocument(req.params.id, text, metadata, { collection: req.collection })
+      await recordVersion(req, req.params.id, { text, metadata })
       res.json({ success: true, document: updated })
     } catch (error) {
       res.status(500).json({ error: error.message })
@@ -43,7 +98,7 @@ export function setupVectorRoutes(app, vectorDB) {
     try {
       // 1. Check if exists first
       try {
-        await vectorDB.getDocument(docId);
+        await vectorDB.getDocument(docId, { collection: req.collection });
         console.log(`✅ Document ${docId} exists - proceeding to delete`);
       } catch {
         console.log(`ℹ️ Document ${docId} already gone from vectorDB`);
@@ -51,7 +106,8 @@ export function setupVectorRoutes(app, vectorDB) {
       }
       
       // 2. ACTUAL DELETE
-      await vectorDB.deleteDocument(docId);
+      await vectorDB.deleteDocument(docId, { collection: req.collection });
+      await recordVersion(req, docId, { operation: 'delete' });
       console.log(`✅ VECTOR ROUTE: Document ${docId} DELETED SUCCESSFULLY`);
       
       res.json({ success: true, message: `Document deleted: ${docId}` });
@@ -63,21 +119,45 @@ export function setupVectorRoutes(app, vectorDB) {
   
   router.post('/search', async (req, res) => {
     try {
-      const { query_text, top_k = 5 } = req.body
+      const { query_text, top_k = 5, filter } = req.body
       if (!query_text) {
         return res.status(400).json({ error: 'Missing required field: query_text' })
       }
-      const results = await vectorDB.search(query_text, top_k)
+      try {
+        await vectorDB.compileFilter(filter, { collection: req.collection })
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid filter: ${error.message}` })
+      }
+      const results = await vectorDB.search(query_text, top_k, { collection: req.collection, filter })
       res.json({ success: true, ...results })
     } catch (error) {
       res.status(500).json({ error: error.message })
     }
   })
   
+  // Pages through a collection in id order: ?limit=100&cursor=<next_cursor>&fields=id,text,metadata
+  // Embeddings are left out unless `fields` asks for them.
   router.get('/all', async (req, res) => {
+    const { cursor } = req.query
+    let options
     try {
-      const documents = await vectorDB.getAllDocuments()
-      res.json({ success: true, totalDocuments: documents.length, documents })
+      decodeCursor(cursor)
+      options = { limit: resolvePageSize(req.query.limit), cursor, fields: resolveFields(req.query.fields) }
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    try {
+      const page = await vectorDB.listDocuments({ collection: req.collection, ...options })
+      res.json({
+        success: true,
+        collection: req.collection,
+        totalDocuments: page.total,
+        count: page.documents.length,
+        documents: page.documents,
+        next_cursor: page.next_cursor,
+        has_more: page.has_more
+      })
     } catch (error) {
       res.status(500).json({ error: error.message })
     }
@@ -85,12 +165,21 @@ export function setupVectorRoutes(app, vectorDB) {
   
   router.get('/stats', async (req, res) => {
     try {
-      const stats = await vectorDB.getStats()
+      const stats = await vectorDB.getStats({ collection: req.collection })
       res.json({ success: true, stats })
     } catch (error) {
       res.status(500).json({ error: error.message })
     }
   })
   
+  router.get('/models', (req, res) => {
+    res.json({
+      success: true,
+      default: vectorDB.embeddingProvider,
+      dimensions: vectorDB.dimensions,
+      providers: listEmbeddingProviders()
+    })
+  })
+  
   app.use('/vector', router)
 }
@@ -0,0 +1,161 @@
+// Graph-aware ranking seeded by vector hits. Both algorithms walk weighted
+// edges (in either direction) and score each node by how much relevance
+// reaches it from the seeds, excluding what a seed contributes to itself.
+
+export const GRAPH_MODES = ['text', 'activation', 'pagerank']
+
+export const DEFAULT_ACTIVATION = {
+  seeds: 10,       // top vector hits used as seeds
+  hops: 2,         // activation pulses / subgraph depth
+  decay: 0.5,      // share of activation passed on per hop
+  damping: 0.85,   // PageRank probability of following an edge
+  iterations: 20
+}
+
+export function resolveActivation(options = {}) {
+  const config = { ...DEFAULT_ACTIVATION, ...(typeof options === 'object' && options ? options : {}) }
+  config.seeds = parseInt(config.seeds)
+  config.hops = parseInt(config.hops)
+  config.decay = Number(config.decay)
+  config.damping = Number(config.damping)
+  config.iterations = parseInt(config.iterations)
+
+  if (!(config.seeds >= 1 && config.seeds <= 100)) throw new Error('seeds must be between 1 and 100')
+  if (!(config.hops >= 1 && config.hops <= 3)) throw new Error('hops must be between 1 and 3')
+  if (!(config.decay > 0 && config.decay <= 1)) throw new Error('decay must be in (0, 1]')
+  if (!(config.damping > 0 && config.damping < 1)) throw new Error('damping must be in (0, 1)')
+  if (!(config.iterations >= 1 && config.iterations <= 100)) throw new Error('iterations must be between 1 and 100')
+  return config
+}
+
+function adjacency(edges) {
+  const neighbors = new Map()
+  const link = (from, to, weight, type) => {
+    if (!neighbors.has(from)) neighbors.set(from, [])
+    neighbors.get(from).push({ id: to, weight, type })
+  }
+  for (const edge of edges) {
+    const weight = Number.isFinite(edge.weight) && edge.weight > 0 ? edge.weight : 0
+    if (!weight || edge.source === edge.target) continue
+    link(edge.source, edge.target, weight, edge.type)
+    link(edge.target, edge.source, weight, edge.type)
+  }
+  return neighbors
+}
+
+function totalWeight(list) {
+  return list.reduce((sum, n) => sum + n.weight, 0)
+}
+
+// Seeds are weighted by min-max normalised similarity, so the best vector
+// hit spreads the most. similarity can be negative for L2 tables.
+export function seedWeights(hits) {
+  const scores = hits.map(hit => hit.similarity)
+  const min = Math.min(...scores)
+  const max = Math.max(...scores)
+  return new Map(hits.map(hit => [
+    hit.docId,
+    max === min ? 1 : 0.1 + 0.9 * (hit.similarity - min) / (max - min)
+  ]))
+}
+
+// Each seed sends out pulses; at every hop a node passes `decay` of its
+// activation to its neighbours in proportion to edge weight.
+export function spreadActivation(seeds, edges, { hops, decay } = DEFAULT_ACTIVATION) {
+  const neighbors = adjacency(edges)
+  const received = new Map()
+
+  for (const [seed, strength] of seeds) {
+    let frontier = new Map([[seed, strength]])
+    for (let hop = 0; hop < hops; hop++) {
+      const next = new Map()
+      for (const [node, energy] of frontier) {
+        const links = neighbors.get(node) || []
+        const total = totalWeight(links)
+        for (const link of links) {
+          next.set(link.id, (next.get(link.id) || 0) + energy * decay * link.weight / total)
+        }
+      }
+      for (const [node, energy] of next) {
+        if (node !== seed) received.set(node, (received.get(node) || 0) + energy)
+      }
+      frontier = next
+    }
+  }
+  return received
+}
+
+// Personalised PageRank with restarts at the seeds. The restart mass a seed
+// gives itself is removed, leaving only what arrives over edges.
+export function personalizedPageRank(seeds, edges, { damping, iterations } = DEFAULT_ACTIVATION) {
+  const neighbors = adjacency(edges)
+  const total = [...seeds.values()].reduce((a, b) => a + b, 0) || 1
+  const restart = new Map([...seeds].map(([id, weight]) => [id, weight / total]))
+
+  let rank = new Map(restart)
+  for (let i = 0; i < iterations; i++) {
+    const next = new Map([...restart].map(([id, p]) => [id, (1 - damping) * p]))
+    for (const [node, score] of rank) {
+      const links = neighbors.get(node) || []
+      const weight = totalWeight(links)
+      if (!weight) continue
+      for (const link of links) {
+        next.set(link.id, (next.get(link.id) || 0) + damping * score * link.weight / weight)
+      }
+    }
+    rank = next
+  }
+
+  const scores = new Map()
+  for (const [node, score] of rank) {
+    const own = (1 - damping) * (restart.get(node) || 0)
+    if (score - own > 1e-12) scores.set(node, score - own)
+  }
+  return scores
+}
+
+// For explanations: the single strongest seed-to-node path reaching each
+// target, as node ids and edge types, with the activation it carries.
+export function strongestPaths(seeds, edges, targets, { hops, decay } = DEFAULT_ACTIVATION) {
+  const neighbors = adjacency(edges)
+  const best = new Map()
+
+  for (const [seed, strength] of seeds) {
+    let frontier = new Map([[seed, { strength, nodes: [seed], edges: [] }]])
+    for (let hop = 0; hop < hops; hop++) {
+      const next = new Map()
+      for (const [node, path] of frontier) {
+        const links = neighbors.get(node) || []
+        const total = totalWeight(links)
+        for (const link of links) {
+          if (path.nodes.includes(link.id)) continue
+          const carried = path.strength * decay * link.weight / total
+          if ((next.get(link.id)?.strength || 0) >= carried) continue
+          next.set(link.id, { strength: carried, nodes: [...path.nodes, link.id], edges: [...path.edges, link.type] })
+        }
+      }
+      for (const [node, path] of next) {
+        if (node !== seed && targets.has(node) && (best.get(node)?.strength || 0) < path.strength) {
+          best.set(node, { seed, ...path })
+        }
+      }
+      frontier = next
+    }
+  }
+  return best
+}
+
+// Scales scores into (0, 1] by the largest one. With `ids`, only those nodes
+// are kept, so entity and chunk nodes do not set the scale for documents.
+export function normalizeScores(scores, ids = null) {
+  const kept = ids ? [...scores].filter(([id]) => ids.has(id)) : [...scores]
+  const max = Math.max(0, ...kept.map(([, score]) => score))
+  if (!max) return new Map()
+  return new Map(kept.map(([id, score]) => [id, score / max]))
+}
+
+export function rankNeighborhood(mode, seeds, edges, config) {
+  return mode === 'pagerank'
+    ? personalizedPageRank(seeds, edges, config)
+    : spreadActivation(seeds, edges, config)
+}
@@ -0,0 +1,294 @@
+import zlib from 'zlib'
+import readline from 'readline'
+import { once } from 'events'
+import { pipeline } from 'stream/promises'
+import { getEmbeddingProvider } from './embedding.js'
+
+// Backup archive: gzip-compressed JSON lines, so any tool can read it and it
+// streams in both directions. Line 1 is the manifest; each collection follows
+// as its documents (with embeddings), then graph nodes, then edges.
+//   { kind: 'manifest', format, version, created_at, graph_store, collections: [...] }
+//   { kind: 'document', collection, id, text, metadata, embedding }
+//   { kind: 'node', collection, node }
+//   { kind: 'edge', collection, source, target, type, weight, properties }
+
+export const BACKUP_FORMAT = 'jeridb-backup'
+export const BACKUP_VERSION = 1
+export const RESTORE_MODES = ['empty', 'merge']
+
+const PAGE_SIZE = 500
+
+export function backupFilename(date = new Date()) {
+  return `jeridb-${date.toISOString().replace(/[:.]/g, '-')}.jsonl.gz`
+}
+
+export async function resolveBackupCollections(vectorDB, collections) {
+  const existing = await vectorDB.listCollectionNames()
+  if (!collections?.length) return existing
+  const missing = collections.filter(name => !existing.includes(name))
+  if (missing.length) throw new Error(`Collection not found: ${missing.join(', ')}`)
+  return collections
+}
+
+// Streams an archive of the given collections (default: all) into `output`
+export async function writeBackup(vectorDB, graphDB, output, { collections } = {}) {
+  const names = await resolveBackupCollections(vectorDB, collections)
+
+  const graphs = new Map()
+  const entries = []
+  for (const name of names) {
+    const info = await vectorDB.describeCollection(name)
+    const graph = await graphDB.exportCollection(name)
+    graphs.set(name, graph)
+    entries.push({
+      name,
+      embedding_model: info.embeddingModel,
+      dimensions: info.dimensions,
+      metadata_fields: info.metadataFields,
+      description: info.description,
+      documents: info.totalDocuments,
+      nodes: graph.nodes.length,
+      edges: graph.edges.length
+    })
+  }
+  const manifest = {
+    kind: 'manifest',
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created_at: new Date().toISOString(),
+    graph_store: graphDB.name,
+    collections: entries
+  }
+
+  const gzip = zlib.createGzip()
+  const done = pipeline(gzip, output)
+  const write = async record => {
+    if (!gzip.write(JSON.stringify(record) + '\n')) await once(gzip, 'drain')
+  }
+
+  try {
+    await write(manifest)
+    for (const entry of entries) {
+      const collection = entry.name
+      let cursor = null
+      let documents = 0
+      do {
+        const page = await vectorDB.listDocuments({
+          collection,
+          limit: PAGE_SIZE,
+          cursor,
+          fields: ['id', 'text', 'metadata', 'embedding']
+        })
+        for (const doc of page.documents) await write({ kind: 'document', collection, ...doc })
+        documents += page.documents.length
+        cursor = page.next_cursor
+      } while (cursor)
+      if (documents !== entry.documents) {
+        throw new Error(`Collection ${collection} changed during backup (${entry.documents} documents expected, ${documents} read)`)
+      }
+
+      const { nodes, edges } = graphs.get(collection)
+      for (const node of nodes) await write({ kind: 'node', collection, node })
+      for (const { source, target, type, weight, properties } of edges) {
+        await write({ kind: 'edge', collection, source, target, type, weight, properties })
+      }
+      console.log(`💾 Backed up ${collection}: ${documents} documents, ${nodes.length} nodes, ${edges.length} edges`)
+    }
+    gzip.end()
+  } catch (error) {
+    gzip.destroy(error)
+    throw error
+  }
+  await done
+  return manifest
+}
+
+// Parsed archive records, one per line
+export async function* readBackup(input) {
+  const gunzip = zlib.createGunzip()
+  input.on('error', error => gunzip.destroy(error))
+  const lines = readline.createInterface({ input: input.pipe(gunzip), crlfDelay: Infinity })
+  let lineNumber = 0
+  try {
+    for await (const line of lines) {
+      lineNumber++
+      if (!line.trim()) continue
+      try {
+        yield JSON.parse(line)
+      } catch (error) {
+        throw new Error(`Archive line ${lineNumber}: ${error.message}`)
+      }
+    }
+  } catch (error) {
+    if (error.code === 'Z_DATA_ERROR' || error.code === 'Z_BUF_ERROR') {
+      throw new Error(`Archive is not a valid gzip file: ${error.message}`)
+    }
+    throw error
+  }
+}
+
+function checkRecord(record, entry, counts) {
+  switch (record.kind) {
+    case 'document':
+      if (typeof record.id !== 'string' || typeof record.text !== 'string') {
+        throw new Error(`Document without id or text in ${entry.name}`)
+      }
+      if (!Array.isArray(record.embedding) || record.embedding.length !== entry.dimensions) {
+        throw new Error(`Document ${record.id} in ${entry.name} has an embedding of the wrong size (expected ${entry.dimensions})`)
+      }
+      counts.documents++
+      break
+    case 'node':
+      if (typeof record.node?.id !== 'string') throw new Error(`Graph node without id in ${entry.name}`)
+      counts.nodes++
+      break
+    case 'edge':
+      if (!record.source || !record.target || !record.type) throw new Error(`Edge without source, target or type in ${entry.name}`)
+      counts.edges++
+      break
+    default:
+      throw new Error(`Unknown archive record kind: ${record.kind}`)
+  }
+}
+
+// Reads the whole archive once before anything is written: the manifest must
+// be one this version understands, every collection's embedding model must be
+// registered with the manifest's dimension, every record must be well formed
+// and the counts must match the manifest (so a truncated file is rejected).
+// `empty` restores only into collections with no documents or nodes; `merge`
+// needs existing collections to use the same embedding model.
+export async function validateBackup(vectorDB, graphDB, openInput, { mode = 'empty', collections } = {}) {
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new Error(`Invalid mode: ${mode}. Allowed: ${RESTORE_MODES.join(', ')}`)
+  }
+
+  let manifest = null
+  let selected = null
+  const counts = new Map()
+  for await (const record of readBackup(openInput())) {
+    if (!manifest) {
+      if (record.kind !== 'manifest' || record.format !== BACKUP_FORMAT) {
+        throw new Error('Not a jeriDB backup: the first line must be its manifest')
+      }
+      if (!(record.version >= 1 && record.version <= BACKUP_VERSION)) {
+        throw new Error(`Unsupported backup version ${record.version} (this build reads up to ${BACKUP_VERSION})`)
+      }
+      if (!Array.isArray(record.collections)) throw new Error('Manifest has no collections')
+      manifest = record
+
+      const names = manifest.collections.map(entry => entry.name)
+      const missing = (collections || []).filter(name => !names.includes(name))
+      if (missing.length) throw new Error(`Not in this backup: ${missing.join(', ')}`)
+      selected = manifest.collections.filter(entry => !collections?.length || collections.includes(entry.name))
+      for (const entry of selected) {
+        const provider = getEmbeddingProvider(entry.embedding_model)
+        if (provider.dimensions !== entry.dimensions) {
+          throw new Error(
+            `Collection ${entry.name} was embedded with ${entry.embedding_model} at ${entry.dimensions} dims, ` +
+            `but that provider has ${provider.dimensions} here`
+          )
+        }
+        counts.set(entry.name, { documents: 0, nodes: 0, edges: 0 })
+      }
+      continue
+    }
+
+    const entry = manifest.collections.find(e => e.name === record.collection)
+    if (!entry) throw new Error(`Record for collection ${record.collection}, which the manifest does not list`)
+    const count = counts.get(record.collection)
+    if (count) checkRecord(record, entry, count)
+  }
+  if (!manifest) throw new Error('Archive is empty')
+
+  for (const entry of selected) {
+    const count = counts.get(entry.name)
+    for (const kind of ['documents', 'nodes', 'edges']) {
+      if (count[kind] !== entry[kind]) {
+        throw new Error(`Archive is incomplete: ${entry.name} has ${count[kind]} ${kind}, manifest says ${entry[kind]}`)
+      }
+    }
+
+    if (!(await vectorDB.hasCollection(entry.name))) continue
+    const info = await vectorDB.describeCollection(entry.name)
+    if (mode === 'empty') {
+      const graph = await graphDB.getStats(entry.name)
+      if (info.totalDocuments > 0 || graph.totalNodes > 0) {
+        throw new Error(`Collection ${entry.name} is not empty; restore with mode=merge to combine them`)
+      }
+    } else if (info.embeddingModel !== entry.embedding_model) {
+      throw new Error(
+        `Collection ${entry.name} uses ${info.embeddingModel}, the backup uses ${entry.embedding_model}; ` +
+        'embeddings from different models cannot be merged'
+      )
+    }
+  }
+
+  return { manifest, mode, collections: selected }
+}
+
+// Writes a validated archive. Documents keep their stored embeddings; in merge
+// mode, documents with the same id are replaced and nodes and edges are upserted.
+export async function restoreBackup(vectorDB, graphDB, openInput, plan) {
+  const { mode } = plan
+  const summary = new Map()
+
+  for (const entry of plan.collections) {
+    const exists = await vectorDB.hasCollection(entry.name)
+    if (exists && mode === 'empty' && (await vectorDB.describeCollection(entry.name)).embeddingModel !== entry.embedding_model) {
+      // Empty, but built with another model: recreate it to match the backup
+      await vectorDB.dropCollection(entry.name)
+    }
+    if (!(await vectorDB.hasCollection(entry.name))) {
+      await vectorDB.createCollection(entry.name, {
+        embeddingProvider: entry.embedding_model,
+        description: entry.description,
+        metadataFields: entry.metadata_fields
+      })
+      // Dropping the default collection clears the active table; reopen it
+      if (entry.name === vectorDB.tableName && !vectorDB.table) await vectorDB.ensureTable(entry.name)
+    }
+    summary.set(entry.name, { collection: entry.name, documents: 0, nodes: 0, edges: 0, edges_skipped: 0 })
+  }
+
+  let batch = []
+  let batchKey = null
+  const flush = async () => {
+    if (batch.length === 0) return
+    const [kind, collection] = batchKey.split('\u0000')
+    const counts = summary.get(collection)
+    if (kind === 'document') {
+      await vectorDB.importDocuments(batch, { collection, replace: mode === 'merge' })
+      counts.documents += batch.length
+    } else if (kind === 'node') {
+      await graphDB.addNodes(batch, collection)
+      counts.nodes += batch.length
+    } else {
+      const written = await graphDB.addEdges(batch, collection)
+      counts.edges += written.length
+      counts.edges_skipped += batch.length - written.length
+    }
+    batch = []
+  }
+
+  for await (const record of readBackup(openInput())) {
+    if (record.kind === 'manifest' || !summary.has(record.collection)) continue
+    const key = `${record.kind}\u0000${record.collection}`
+    if (key !== batchKey || batch.length >= PAGE_SIZE) {
+      await flush()
+      batchKey = key
+    }
+    if (record.kind === 'document') {
+      batch.push({ id: record.id, text: record.text, metadata: record.metadata, embedding: record.embedding })
+    } else if (record.kind === 'node') {
+      batch.push(record.node)
+    } else {
+      batch.push({ source: record.source, target: record.target, type: record.type, weight: record.weight ?? 1, properties: record.properties })
+    }
+  }
+  await flush()
+
+  for (const counts of summary.values()) {
+    console.log(`♻️ Restored ${counts.collection}: ${counts.documents} documents, ${counts.nodes} nodes, ${counts.edges} edges`)
+  }
+  return { mode, backup_created_at: plan.manifest.created_at, collections: [...summary.values()] }
+}
@@ -0,0 +1,169 @@
+export const DEFAULT_CHUNKING = {
+  size: 1000,      // max characters per chunk
+  overlap: 150,    // characters of trailing context repeated in the next chunk
+  strategy: 'auto' // 'sentence' | 'markdown' | 'auto'
+}
+
+export const CHUNK_EDGE_TYPE = 'HAS_CHUNK'
+
+const HEADING = /^#{1,6}\s+(.+?)\s*#*\s*$/
+
+export function chunkId(parentId, index) {
+  return `${parentId}::chunk-${index}`
+}
+
+export function resolveChunking(options) {
+  if (options === false) return null
+  const config = { ...DEFAULT_CHUNKING, ...(typeof options === 'object' ? options : {}) }
+  if (config.enabled === false) return null
+
+  config.size = parseInt(config.size)
+  config.overlap = parseInt(config.overlap)
+  if (!(config.size >= 100)) throw new Error('Chunk size must be at least 100 characters')
+  if (!(config.overlap >= 0) || config.overlap >= config.size) {
+    throw new Error('Chunk overlap must be between 0 and the chunk size')
+  }
+  if (!['auto', 'sentence', 'markdown'].includes(config.strategy)) {
+    throw new Error(`Invalid chunking strategy: ${config.strategy}. Allowed: auto, sentence, markdown`)
+  }
+  return config
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n{2,}/)
+    .map(s => s.trim())
+    .filter(Boolean)
+}
+
+// Sentences longer than a whole chunk are cut on word boundaries
+function splitLong(sentence, size) {
+  if (sentence.length <= size) return [sentence]
+  const pieces = []
+  let current = ''
+  for (const word of sentence.split(/\s+/)) {
+    if (current && current.length + word.length + 1 > size) {
+      pieces.push(current)
+      current = ''
+    }
+    current = current ? `${current} ${word}` : word.slice(0, size)
+  }
+  if (current) pieces.push(current)
+  return pieces
+}
+
+function packSentences(sentences, { size, overlap }) {
+  const units = sentences.flatMap(s => splitLong(s, size))
+  const chunks = []
+  let current = []
+  let length = 0
+
+  for (const unit of units) {
+    if (current.length && length + unit.length + 1 > size) {
+      chunks.push(current.join(' '))
+
+      // Carry trailing sentences forward as overlap
+      const carried = []
+      let carriedLength = 0
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (carriedLength + current[i].length + 1 > overlap) break
+        carried.unshift(current[i])
+        carriedLength += current[i].length + 1
+      }
+      current = carried
+      length = carriedLength
+    }
+    current.push(unit)
+    length += unit.length + 1
+  }
+  if (current.length) chunks.push(current.join(' '))
+  return chunks
+}
+
+function splitMarkdownSections(text) {
+  const sections = []
+  let current = { heading: null, lines: [] }
+
+  for (const line of text.split('\n')) {
+    const match = line.match(HEADING)
+    if (match) {
+      if (current.lines.join('').trim()) sections.push(current)
+      current = { heading: match[1], lines: [] }
+    } else {
+      current.lines.push(line)
+    }
+  }
+  if (current.lines.join('').trim() || current.heading) sections.push(current)
+  return sections
+}
+
+// Splits text into overlapping chunks on sentence or Markdown heading boundaries.
+// Returns [{ index, text, heading }] where heading is the Markdown section title.
+export function chunkText(text, options = {}) {
+  const config = resolveChunking(options) || DEFAULT_CHUNKING
+  const strategy = config.strategy === 'auto'
+    ? (text.split('\n').some(line => HEADING.test(line)) ? 'markdown' : 'sentence')
+    : config.strategy
+
+  let pieces
+  if (strategy === 'markdown') {
+    pieces = splitMarkdownSections(text).flatMap(section => {
+      const body = section.lines.join('\n').trim()
+      const prefix = section.heading ? `${section.heading}: ` : ''
+      const budget = Math.max(100, config.size - prefix.length)
+      return packSentences(splitSentences(body), { size: budget, overlap: config.overlap })
+        .map(chunk => ({ heading: section.heading, text: prefix + chunk }))
+    })
+  } else {
+    pieces = packSentences(splitSentences(text), config).map(chunk => ({ heading: null, text: chunk }))
+  }
+
+  return pieces.map((piece, index) => ({ index, ...piece }))
+}
+
+export function shouldChunk(text, config) {
+  return !!config && typeof text === 'string' && text.length > config.size
+}
+
+// Collapses chunk hits onto their parent document. The best-scoring chunk
+// becomes the snippet; the other matching chunks are listed under it.
+export function groupByParent(results, scoreKey = 'similarity') {
+  const groups = new Map()
+
+  for (const result of results) {
+    const parentId = result.metadata?.parent_id
+    const key = parentId || result.docId
+    const chunk = parentId
+      ? { docId: result.docId, chunk_index: result.metadata.chunk_index, [scoreKey]: result[scoreKey] }
+      : null
+
+    const existing = groups.get(key)
+    if (!existing) {
+      groups.set(key, {
+        ...result,
+        docId: key,
+        parent_id: parentId || null,
+        best_chunk: chunk?.docId || null,
+        snippet: result.text,
+        chunks: chunk ? [chunk] : []
+      })
+      continue
+    }
+
+    if (chunk) existing.chunks.push(chunk)
+    if (result[scoreKey] > existing[scoreKey]) {
+      Object.assign(existing, {
+        ...result,
+        docId: key,
+        best_chunk: chunk?.docId || null,
+        snippet: result.text,
+        chunks: existing.chunks,
+        parent_id: existing.parent_id
+      })
+    }
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => b[scoreKey] - a[scoreKey])
+    .map((group, index) => ({ ...group, rank: index + 1 }))
+}
@@ -0,0 +1,38 @@
+export const DEFAULT_COLLECTION = 'documents'
+
+const COLLECTION_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/
+
+export function validateCollectionName(name) {
+  if (typeof name !== 'string' || !COLLECTION_NAME.test(name)) {
+    throw new Error(
+      `Invalid collection name: ${name}. Use 1-64 letters, digits, "_" or "-", starting with a letter or digit`
+    )
+  }
+  return name
+}
+
+export function resolveCollection(req) {
+  const name = req.body?.collection || req.query?.collection || DEFAULT_COLLECTION
+  return validateCollectionName(name)
+}
+
+// Resolves the optional `collection` (body or query string) into req.collection
+// and rejects requests that name a collection which does not exist.
+export function withCollection(vectorDB) {
+  return async (req, res, next) => {
+    try {
+      req.collection = resolveCollection(req)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    try {
+      if (!(await vectorDB.hasCollection(req.collection))) {
+        return res.status(404).json({ error: `Collection not found: ${req.collection}` })
+      }
+    } catch (error) {
+      return res.status(500).json({ error: error.message })
+    }
+    next()
+  }
+}
@@ -0,0 +1,185 @@
+import { parseCsv, splitTags } from './parsers.js'
+import { validateNodeSchema, validateEdgeSchema, coerceProperties, lookupNodeTypes, DEFAULT_SCHEMA } from './validation.js'
+import { ingestRecords, DEFAULT_BATCH_SIZE } from './ingest.js'
+
+// Spreadsheet import: a nodes file (id, text, type, tags, ...) and/or an edges
+// file (source, target, type, weight). A mapping renames the columns each field
+// is read from, e.g. { nodes: { text: 'Body' }, edges: { source: 'From' } }.
+// Unmapped node columns are kept as metadata.
+
+export const NODE_FIELDS = ['id', 'text', 'type', 'tags', 'name']
+export const EDGE_FIELDS = ['source', 'target', 'type', 'weight']
+
+const REQUIRED = {
+  nodes: ['id', 'text'],
+  edges: ['source', 'target', 'type']
+}
+
+// { field: column } for one file, defaulting each field to a column of the same name
+export function resolveMapping(kind, mapping = {}) {
+  const fields = kind === 'nodes' ? NODE_FIELDS : EDGE_FIELDS
+  const unknown = Object.keys(mapping).filter(field => !fields.includes(field))
+  if (unknown.length) {
+    throw new Error(`Unknown ${kind} mapping fields: ${unknown.join(', ')}. Allowed: ${fields.join(', ')}`)
+  }
+  return Object.fromEntries(fields.map(field => [field, String(mapping[field] ?? field)]))
+}
+
+// "id=ID,text=Body" (CLI and multipart form fields) or an object
+export function parseMappingSpec(spec) {
+  if (!spec) return {}
+  if (typeof spec === 'object') return spec
+  return Object.fromEntries(spec.split(',').filter(Boolean).map(pair => {
+    const [field, ...column] = pair.split('=')
+    if (!column.length) throw new Error(`Invalid mapping "${pair}", expected field=column`)
+    return [field.trim(), column.join('=').trim()]
+  }))
+}
+
+function readCsv(kind, content, columns, delimiter) {
+  const { header, rows, lines } = parseCsv(content, { delimiter })
+  if (header.length === 0) return []
+  const missing = REQUIRED[kind].map(field => columns[field]).filter(column => !header.includes(column))
+  if (missing.length) {
+    throw new Error(`${kind} file has no ${missing.map(c => `"${c}"`).join(', ')} column. Columns: ${header.join(', ')}`)
+  }
+  return rows.map((row, i) => ({ row: lines[i], values: row }))
+}
+
+function toNode(values, columns) {
+  const mapped = new Set(Object.values(columns))
+  const metadata = {}
+  for (const [column, value] of Object.entries(values)) {
+    if (mapped.has(column) || value === '') continue
+    metadata[column] = value
+  }
+  const type = values[columns.type]?.trim()
+  const tags = values[columns.tags]
+  const name = values[columns.name]?.trim()
+  if (type) metadata.type = type
+  if (tags) metadata.tags = splitTags(tags)
+  if (name) metadata.name = name
+  return { id: values[columns.id]?.trim(), text: values[columns.text], metadata }
+}
+
+function toEdge(values, columns) {
+  const raw = values[columns.weight]?.trim()
+  const weight = raw ? Number(raw) : 1
+  if (Number.isNaN(weight)) throw new Error(`weight must be a number, got "${raw}"`)
+  return {
+    source: values[columns.source]?.trim(),
+    target: values[columns.target]?.trim(),
+    type: values[columns.type]?.trim(),
+    weight
+  }
+}
+
+// Parses and validates both files against the collection's schema without
+// writing anything. Returns the rows that passed, plus one error per rejected
+// row (numbered by line in its file).
+export async function planCsvImport(graphDB, { nodes, edges }, { collection, mapping = {}, delimiter = ',', schema = DEFAULT_SCHEMA } = {}) {
+  if (!nodes && !edges) throw new Error('Provide a nodes file, an edges file or both')
+  const nodeColumns = resolveMapping('nodes', mapping.nodes)
+  const edgeColumns = resolveMapping('edges', mapping.edges)
+  const nodeRows = nodes ? readCsv('nodes', nodes, nodeColumns, delimiter) : []
+  const edgeRows = edges ? readCsv('edges', edges, edgeColumns, delimiter) : []
+
+  const errors = []
+  const validNodes = []
+  const firstRow = new Map()
+  for (const { row, values } of nodeRows) {
+    try {
+      const record = toNode(values, nodeColumns)
+      record.metadata = coerceProperties(record.metadata.type, record.metadata, schema)
+      validateNodeSchema(record, schema)
+      if (firstRow.has(record.id)) throw new Error(`Duplicate id ${record.id} (first on row ${firstRow.get(record.id)})`)
+      firstRow.set(record.id, row)
+      validNodes.push({ row, record })
+    } catch (error) {
+      errors.push({ file: 'nodes', row, id: values[nodeColumns.id] || null, error: error.message })
+    }
+  }
+
+  const validEdges = []
+  // Node types by id: the file's nodes first, then the graph's
+  const known = new Map(validNodes.map(({ record }) => [record.id, record.metadata.type ?? null]))
+  for (const { row, values } of edgeRows) {
+    try {
+      const record = toEdge(values, edgeColumns)
+      validateEdgeSchema(record, schema)
+      const types = await lookupNodeTypes(graphDB, [record.source, record.target], collection, known)
+      const missing = [record.source, record.target].filter(id => !types.has(id))
+      if (missing.length) throw new Error(`Node not found: ${[...new Set(missing)].join(', ')}`)
+      validateEdgeSchema(record, schema, { source: types.get(record.source), target: types.get(record.target) })
+      validEdges.push({ row, record })
+    } catch (error) {
+      errors.push({ file: 'edges', row, error: error.message })
+    }
+  }
+
+  return {
+    nodes: validNodes,
+    edges: validEdges,
+    errors,
+    counts: { nodes: nodeRows.length, edges: edgeRows.length }
+  }
+}
+
+function summarize(kind, plan, errors, dryRun) {
+  const total = plan.counts[kind]
+  const failed = errors.filter(error => error.file === kind).length
+  return { total, [dryRun ? 'valid' : 'imported']: total - failed, failed }
+}
+
+// Writes a plan's valid rows (unless dryRun): nodes in batches, with one
+// embedding pass and one UNWIND per batch, then edges the same way.
+export async function applyCsvImport(vectorDB, graphDB, oplog, plan, {
+  collection,
+  dryRun = false,
+  chunking,
+  batchSize = DEFAULT_BATCH_SIZE,
+  author = null,
+  schema
+} = {}) {
+  const errors = [...plan.errors]
+
+  if (!dryRun) {
+    for (const kind of ['nodes', 'edges']) {
+      const entries = plan[kind]
+      if (entries.length === 0) continue
+      const report = await ingestRecords(vectorDB, graphDB, oplog, entries.map(entry => entry.record), {
+        collection,
+        chunking,
+        batchSize,
+        author,
+        schema
+      })
+      for (const result of report) {
+        if (result.status !== 'error') continue
+        const entry = entries[result.index]
+        errors.push({
+          file: kind,
+          row: entry.row,
+          ...(kind === 'nodes' ? { id: entry.record.id } : {}),
+          error: result.error
+        })
+      }
+    }
+  }
+
+  errors.sort((a, b) => (a.file === b.file ? a.row - b.row : a.file === 'nodes' ? -1 : 1))
+  console.log(`📥 CSV ${dryRun ? 'dry run' : 'import'} into ${collection}: ${plan.counts.nodes} node rows, ` +
+    `${plan.counts.edges} edge rows, ${errors.length} errors`)
+  return {
+    dry_run: dryRun,
+    collection,
+    nodes: summarize('nodes', plan, errors, dryRun),
+    edges: summarize('edges', plan, errors, dryRun),
+    errors
+  }
+}
+
+export async function importCsv(vectorDB, graphDB, oplog, files, { mapping, delimiter, ...options } = {}) {
+  const plan = await planCsvImport(graphDB, files, { collection: options.collection, mapping, delimiter, schema: options.schema })
+  return applyCsvImport(vectorDB, graphDB, oplog, plan, options)
+}
@@ -0,0 +1,189 @@
+import { resolveChunking, shouldChunk, chunkText, CHUNK_EDGE_TYPE } from './chunking.js'
+import { storeExtraction } from './extraction.js'
+
+// Hybrid writes: a document is embedded in LanceDB and mirrored as a graph
+// node. Each write runs as an operation in the OperationLog, so a failure in
+// one store is retried, compensated or left for /admin/reconcile to replay.
+// Graph-only writes (entities, edges, source nodes) are logged the same way.
+
+export const OPERATION_TYPES = {
+  PUT_DOCUMENT: 'put_document',
+  PUT_GRAPH: 'put_graph',
+  DELETE_NODE: 'delete_node'
+}
+
+export function cleanText(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/[^\w\s.,!?]/g, '')
+    .trim()
+}
+
+// Embeds a document as one row, or as one row per chunk when it is longer than
+// the chunk size. Chunks are cleaned after splitting so Markdown headings survive.
+export async function storeDocument(vectorDB, { id, text, rawText, metadata, collection, chunking }) {
+  const config = resolveChunking(chunking)
+  const source = rawText || text
+  if (!shouldChunk(source, config)) {
+    await vectorDB.addDocument(id, text, metadata, { collection })
+    return []
+  }
+
+  const chunks = chunkText(source, config)
+    .map(chunk => rawText ? { ...chunk, text: cleanText(chunk.text) } : chunk)
+    .filter(chunk => chunk.text.length >= 10)
+  return vectorDB.addChunks(id, chunks, metadata, { collection })
+}
+
+export async function linkChunks(graphDB, parentId, chunks, collection) {
+  for (const chunk of chunks) {
+    await graphDB.addNode(chunk.id, {
+      name: `${parentId} #${chunk.metadata.chunk_index}`,
+      type: 'chunk',
+      text: chunk.text,
+      parent_id: parentId,
+      chunk_index: chunk.metadata.chunk_index
+    }, collection)
+    await graphDB.addEdge(parentId, chunk.id, CHUNK_EDGE_TYPE, 1, collection)
+  }
+}
+
+// payload: { id, text, rawText, metadata, node, chunking, extraction, replace, author }
+// `node` holds the graph properties; chunk_count is added once the text is chunked.
+function putDocumentSteps(vectorDB, graphDB, collection, payload) {
+  const { id, text, rawText, metadata, node, chunking, extraction, replace } = payload
+  let chunks = []
+  return [
+    {
+      store: 'vector',
+      // A retry or a replace clears rows from the earlier attempt first
+      apply: async ({ attempt }) => {
+        if (replace || attempt > 1) await vectorDB.deleteDocument(id, { collection })
+        chunks = await storeDocument(vectorDB, { id, text, rawText, metadata, collection, chunking })
+        return { rows: chunks.length || 1, chunks: chunks.length }
+      },
+      compensate: () => vectorDB.deleteDocument(id, { collection })
+    },
+    {
+      store: 'graph',
+      apply: async () => {
+        if (replace) await graphDB.deleteChunks(id, collection)
+        await graphDB.addNode(id, {
+          ...node,
+          ...(chunks.length ? { chunk_count: chunks.length } : {})
+        }, collection)
+        await linkChunks(graphDB, id, chunks, collection)
+        if (extraction) await storeExtraction(graphDB, id, extraction, collection)
+        return { nodes: 1 + chunks.length + (extraction?.entities.length || 0) }
+      },
+      compensate: () => graphDB.deleteNode(id, collection)
+    }
+  ]
+}
+
+// payload: { nodes: [{ id, ...properties }], edges: [{ source, target, type, weight }] }
+// Both are upserts, so a retry or replay writes the same graph again.
+function putGraphSteps(graphDB, collection, { nodes = [], edges = [] }) {
+  return [
+    {
+      store: 'graph',
+      apply: async () => {
+        if (nodes.length) await graphDB.addNodes(nodes, collection)
+        const written = new Set(edges.length ? await graphDB.addEdges(edges, collection) : [])
+        // Edges with a missing endpoint are left out, by position in the payload
+        const missing = edges.flatMap((edge, index) => (written.has(edge) ? [] : [index]))
+        return { nodes: nodes.length, edges: written.size, ...(missing.length ? { missing } : {}) }
+      }
+    }
+  ]
+}
+
+function deleteNodeSteps(vectorDB, graphDB, collection, { id }) {
+  return [
+    {
+      store: 'vector',
+      apply: async () => ({ found: await vectorDB.deleteDocument(id, { collection }) })
+    },
+    {
+      store: 'graph',
+      apply: async () => {
+        const found = !!(await graphDB.getNode(id, collection))
+        await graphDB.deleteNode(id, collection)
+        return { found }
+      }
+    }
+  ]
+}
+
+function planOperation(vectorDB, graphDB, { type, collection, payload }) {
+  switch (type) {
+    case OPERATION_TYPES.PUT_DOCUMENT:
+      return putDocumentSteps(vectorDB, graphDB, collection, payload)
+    case OPERATION_TYPES.PUT_GRAPH:
+      return putGraphSteps(graphDB, collection, payload)
+    case OPERATION_TYPES.DELETE_NODE:
+      return deleteNodeSteps(vectorDB, graphDB, collection, payload)
+    default:
+      throw new Error(`Unknown operation type: ${type}`)
+  }
+}
+
+async function documentExists(vectorDB, graphDB, collection, id) {
+  if (await graphDB.getNode(id, collection)) return true
+  return vectorDB.hasDocument(id, { collection })
+}
+
+// Appends a version record once a write or delete has landed. History is
+// best-effort: a failure here is logged, not undone.
+async function recordHistory(vectorDB, op) {
+  if (op.status !== 'applied') return
+  const { id, text, metadata, author } = op.payload
+  try {
+    if (op.type === OPERATION_TYPES.DELETE_NODE) {
+      if (!op.stores.vector.result?.found) return
+      await vectorDB.recordVersion(id, { operation: 'delete', author }, { collection: op.collection })
+    } else if (op.type === OPERATION_TYPES.PUT_DOCUMENT) {
+      await vectorDB.recordVersion(id, { text, metadata, author }, { collection: op.collection })
+    }
+  } catch (error) {
+    console.error(`⚠️ Version record for ${id} failed:`, error.message)
+  }
+}
+
+// New documents are rolled back in both stores if either write fails.
+// Replacements cannot restore the old version, so they stay failed for replay.
+// A write to an id that either store already holds is a replacement, even
+// when the caller did not say so: rolling it back would delete the old rows.
+export async function writeDocument(vectorDB, graphDB, oplog, collection, payload) {
+  if (!payload.replace && await documentExists(vectorDB, graphDB, collection, payload.id)) {
+    payload = { ...payload, replace: true }
+  }
+  const op = { type: OPERATION_TYPES.PUT_DOCUMENT, target: payload.id, collection, payload }
+  const result = await oplog.run(op, planOperation(vectorDB, graphDB, op), { compensate: !payload.replace })
+  await recordHistory(vectorDB, result)
+  return result
+}
+
+// Graph nodes and edges with no text of their own. Nothing is compensated: a
+// failed write stays failed and is replayed by /admin/reconcile.
+export async function writeGraph(graphDB, oplog, collection, { target = null, nodes = [], edges = [] }) {
+  const op = { type: OPERATION_TYPES.PUT_GRAPH, target, collection, payload: { nodes, edges } }
+  return oplog.run(op, planOperation(null, graphDB, op))
+}
+
+export async function deleteNode(vectorDB, graphDB, oplog, collection, id, { author = null } = {}) {
+  const op = { type: OPERATION_TYPES.DELETE_NODE, target: id, collection, payload: { id, author } }
+  const result = await oplog.run(op, planOperation(vectorDB, graphDB, op))
+  await recordHistory(vectorDB, result)
+  return result
+}
+
+// Runs an unfinished operation again from its payload. Document writes are
+// replayed as replacements so rows from the first attempt are not duplicated.
+export async function replayOperation(vectorDB, graphDB, oplog, op) {
+  if (op.type === OPERATION_TYPES.PUT_DOCUMENT) op.payload = { ...op.payload, replace: true }
+  const payload = op.payload
+  const result = await oplog.execute(op, planOperation(vectorDB, graphDB, op))
+  await recordHistory(vectorDB, { ...result, payload })
+  return result
+}
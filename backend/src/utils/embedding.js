@@ -16,47 +16,170 @@ export function generateMockEmbedding(text, dimensions = 384) {
   return embedding
 }
 
-let embeddingModel = null
+// Registry of local embedding providers, keyed by short name.
+// Each provider reports its own dimension so tables can be sized per model.
+const providers = new Map()
+
+export const DEFAULT_EMBEDDING_PROVIDER = 'minilm'
+
+export function registerEmbeddingProvider(name, options) {
+  if (!name || !options?.dimensions) {
+    throw new Error('Embedding provider needs a name and dimensions')
+  }
+  if (!options.model && typeof options.embed !== 'function') {
+    throw new Error(`Embedding provider "${name}" needs a model or an embed function`)
+  }
+
+  providers.set(name, {
+    name,
+    model: options.model || null,
+    dimensions: options.dimensions,
+    pooling: options.pooling || 'mean',
+    normalize: options.normalize ?? true,
+    queryPrefix: options.queryPrefix || '',
+    passagePrefix: options.passagePrefix || '',
+    embed: options.embed || null,
+    pipeline: null,
+    loaded: false
+  })
+  return providers.get(name)
+}
+
+registerEmbeddingProvider('minilm', {
+  model: 'Xenova/all-MiniLM-L6-v2',
+  dimensions: 384
+})
+
+registerEmbeddingProvider('bge-small', {
+  model: 'Xenova/bge-small-en-v1.5',
+  dimensions: 384,
+  pooling: 'cls',
+  queryPrefix: 'Represent this sentence for searching relevant passages: '
+})
+
+registerEmbeddingProvider('e5-small', {
+  model: 'Xenova/e5-small-v2',
+  dimensions: 384,
+  queryPrefix: 'query: ',
+  passagePrefix: 'passage: '
+})
+
+registerEmbeddingProvider('multilingual', {
+  model: 'Xenova/paraphrase-multilingual-MiniLM-L12-v2',
+  dimensions: 384
+})
+
+export function getDefaultProviderName() {
+  return process.env.EMBEDDING_PROVIDER || DEFAULT_EMBEDDING_PROVIDER
+}
+
+export function getEmbeddingProvider(name = getDefaultProviderName()) {
+  const provider = providers.get(name)
+  if (!provider) {
+    throw new Error(`Unknown embedding provider: ${name}. Registered: ${[...providers.keys()].join(', ')}`)
+  }
+  return provider
+}
+
+export function listEmbeddingProviders() {
+  return [...providers.values()].map(p => ({
+    name: p.name,
+    model: p.model,
+    dimensions: p.dimensions,
+    loaded: p.loaded,
+    real: !!(p.pipeline || p.embed)
+  }))
+}
+
+export async function loadEmbeddingProvider(name = getDefaultProviderName()) {
+  const provider = getEmbeddingProvider(name)
+  if (provider.loaded || provider.embed) return provider
 
-export async function initializeRealEmbeddings() {
   try {
     const { pipeline } = await import('@xenova/transformers')
-    console.log('Loading embedding model...')
-    embeddingModel = await pipeline(
-      'feature-extraction',
-      'Xenova/all-MiniLM-L6-v2'
-    )
-    console.log('Embedding model loaded')
+    console.log(`Loading embedding model ${provider.model} (${provider.name})...`)
+    provider.pipeline = await pipeline('feature-extraction', provider.model)
+    console.log(`Embedding model loaded: ${provider.name}`)
   } catch (error) {
-    console.warn('Real embeddings not available, using mock')
-    embeddingModel = null
+    console.warn(`Real embeddings not available for ${provider.name}, using mock`)
+    provider.pipeline = null
   }
+  provider.loaded = true
+  return provider
 }
 
-export async function generateRealEmbedding(text) {
-  if (!embeddingModel) {
-    return generateMockEmbedding(text)
+export async function initializeRealEmbeddings(name = getDefaultProviderName()) {
+  return loadEmbeddingProvider(name)
+}
+
+export async function generateRealEmbedding(text, { provider: name, inputType = 'passage' } = {}) {
+  const provider = getEmbeddingProvider(name)
+
+  if (provider.embed) {
+    return Array.from(await provider.embed(text, { inputType }))
   }
-  
+  if (!provider.pipeline) {
+    return generateMockEmbedding(text, provider.dimensions)
+  }
+
+  const prefix = inputType === 'query' ? provider.queryPrefix : provider.passagePrefix
   try {
-    const result = await embeddingModel(text, {
-      pooling: 'mean',
-      normalize: true
+    const result = await provider.pipeline(prefix + text, {
+      pooling: provider.pooling,
+      normalize: provider.normalize
     })
     return Array.from(result.data)
   } catch (error) {
     console.warn('Error generating real embedding, falling back to mock')
-    return generateMockEmbedding(text)
+    return generateMockEmbedding(text, provider.dimensions)
+  }
+}
+
+export async function generateEmbedding(text, useReal = false, options = {}) {
+  const provider = getEmbeddingProvider(options.provider)
+  if (useReal && (provider.pipeline || provider.embed)) {
+    return await generateRealEmbedding(text, { ...options, provider: provider.name })
   }
+  return generateMockEmbedding(text, provider.dimensions)
 }
 
-export async function generateEmbedding(text, useReal = false) {
-  if (useReal && embeddingModel) {
-    return await generateRealEmbedding(text)
+// Embeds many texts in one model call; falls back to one call per text
+export async function generateEmbeddings(texts, useReal = false, options = {}) {
+  const provider = getEmbeddingProvider(options.provider)
+  if (!useReal || !(provider.pipeline || provider.embed)) {
+    return texts.map(text => generateMockEmbedding(text, provider.dimensions))
   }
-  return generateMockEmbedding(text)
+
+  if (provider.pipeline && texts.length > 1) {
+    const prefix = options.inputType === 'query' ? provider.queryPrefix : provider.passagePrefix
+    try {
+      const result = await provider.pipeline(texts.map(text => prefix + text), {
+        pooling: provider.pooling,
+        normalize: provider.normalize
+      })
+      return result.tolist()
+    } catch (error) {
+      console.warn(`Batch embedding failed (${error.message}), embedding one by one`)
+    }
+  }
+
+  const embeddings = []
+  for (const text of texts) {
+    embeddings.push(await generateRealEmbedding(text, { ...options, provider: provider.name }))
+  }
+  return embeddings
 }
 
-export function getEmbeddingDimensions() {
-  return 384
+export function getEmbeddingDimensions(name) {
+  return getEmbeddingProvider(name).dimensions
+}
+
+export function assertEmbeddingDimensions(embedding, expected, context = 'embedding') {
+  if (embedding.length !== expected) {
+    throw new Error(
+      `Embedding dimension mismatch for ${context}: got ${embedding.length}, table expects ${expected}. ` +
+      'Use the embedding provider the table was built with.'
+    )
+  }
+  return embedding
 }
@@ -0,0 +1,294 @@
+import { validateGraphNode, validateEdgeSchema } from './validation.js'
+
+// Local entity and relationship extraction for raw-text ingest.
+// Entities come from a token-classification (NER) model via @xenova/transformers,
+// with a capitalisation heuristic when the model is unavailable. Relationships
+// come from rule-based patterns over each sentence.
+
+export const MENTION_EDGE_TYPE = 'MENTIONS'
+
+const NER_MODEL = 'Xenova/bert-base-NER'
+
+const LABEL_TYPES = {
+  PER: 'person',
+  ORG: 'org',
+  LOC: 'concept',
+  MISC: 'concept'
+}
+
+// Connecting text between two entities in a sentence -> relationship type
+const RELATION_PATTERNS = [
+  { type: 'WORKS_AT', pattern: /\b(works?|working|worked|employed|engineer|scientist|researcher|manager|director|developer|intern|lead|head)\b.*\b(at|for|by)\s*$/i },
+  { type: 'WORKS_AT', pattern: /\b(joined|joins)\s*$/i },
+  { type: 'STUDIED_AT', pattern: /\b(graduated|graduates|studied|studies|degree|alumn\w*)\b.*\b(from|at)\s*$/i },
+  { type: 'FOUNDED', pattern: /\b(co-?)?founded\s*$/i },
+  { type: 'ACQUIRED', pattern: /\bacquired\s*$/i },
+  { type: 'LOCATED_IN', pattern: /\b(based|located|headquartered)\s+in\s*$/i },
+  { type: 'PART_OF', pattern: /\b(part|division|subsidiary)\s+of\s*$/i },
+  { type: 'USES', pattern: /\b(uses|using|built (with|on))\s*$/i }
+]
+
+// "specializing in X and Y" style phrases produce concept entities
+const CONCEPT_PATTERN = /\b(?:speciali[sz]\w*|focus\w*|expert|expertise|experience|research\w*|works? on)\s+(?:in|on)\s+([^.;!?]+)/gi
+const CONCEPT_EDGE_TYPE = 'SPECIALIZES_IN'
+
+const ORG_HINT = /\b(inc|corp|corporation|ltd|llc|gmbh|university|college|institute|labs?|technologies|systems|group|bank|foundation|ai)\b\.?$/i
+const ORG_PREPOSITION = /\b(at|for|from|joined|by)\s+$/i
+const STOPWORDS = new Set(['The', 'A', 'An', 'This', 'That', 'These', 'Those', 'He', 'She', 'They', 'It', 'We', 'I', 'His', 'Her', 'Their', 'Previously', 'Currently', 'Also', 'In', 'On', 'At'])
+
+let nerPipeline = null
+let nerLoaded = false
+
+export async function initializeExtractor(model = process.env.NER_MODEL || NER_MODEL) {
+  if (nerLoaded) return !!nerPipeline
+  try {
+    const { pipeline } = await import('@xenova/transformers')
+    console.log(`Loading NER model ${model}...`)
+    nerPipeline = await pipeline('token-classification', model)
+    console.log('NER model loaded')
+  } catch (error) {
+    console.warn('NER model not available, using heuristic entity extraction')
+    nerPipeline = null
+  }
+  nerLoaded = true
+  return !!nerPipeline
+}
+
+export function normalizeEntityName(name) {
+  return name
+    .toLowerCase()
+    .replace(/[’']s\b/g, '')
+    .replace(/[^\p{L}\p{N}\s&+-]/gu, ' ')
+    .replace(/^(the|a|an)\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+export function entityId(name) {
+  return `entity:${normalizeEntityName(name).replace(/\s+/g, '-')}`
+}
+
+function splitSentences(text) {
+  const sentences = []
+  const regex = /[^.!?]+[.!?]*/g
+  let match
+  while ((match = regex.exec(text)) !== null) {
+    if (match[0].trim()) sentences.push({ text: match[0], start: match.index })
+  }
+  return sentences
+}
+
+// Merges B-/I- word pieces from the token-classification output into spans
+function groupTokens(tokens) {
+  const spans = []
+  for (const token of tokens) {
+    const [prefix, label] = token.entity.includes('-') ? token.entity.split('-') : ['B', token.entity]
+    const word = token.word
+    const last = spans[spans.length - 1]
+    const continues = last && last.label === label && (prefix === 'I' || word.startsWith('##'))
+
+    if (continues) {
+      last.name += word.startsWith('##') ? word.slice(2) : ` ${word}`
+      last.scores.push(token.score)
+    } else {
+      spans.push({ label, name: word.replace(/^##/, ''), scores: [token.score] })
+    }
+  }
+  return spans.map(span => ({
+    name: span.name,
+    type: LABEL_TYPES[span.label] || 'concept',
+    score: span.scores.reduce((a, b) => a + b, 0) / span.scores.length
+  }))
+}
+
+function heuristicEntities(text) {
+  return splitSentences(text).flatMap(sentence => sentenceEntities(sentence.text))
+}
+
+// Capitalised word runs; the type is guessed from suffixes and prepositions
+function sentenceEntities(text) {
+  const entities = []
+  const regex = /\b([A-Z][\w&-]*(?:\s+(?:of|and|&|for)?\s*[A-Z][\w&-]*)*)/g
+  let match
+  while ((match = regex.exec(text)) !== null) {
+    const name = match[1].replace(/[.,]+$/, '').trim()
+    const words = name.split(/\s+/)
+    if (words.length === 1 && STOPWORDS.has(name)) continue
+
+    const before = text.slice(Math.max(0, match.index - 12), match.index)
+    const sentenceStart = /(^\s*|[:]\s*)$/.test(before)
+    if (sentenceStart && words.length === 1 && !/^[A-Z0-9]{2,}s?$/.test(name)) continue
+    const cleaned = STOPWORDS.has(words[0]) ? words.slice(1).join(' ') : name
+    if (!cleaned || cleaned.length < 2) continue
+
+    let type = 'concept'
+    if (ORG_HINT.test(cleaned) || ORG_PREPOSITION.test(before)) type = 'org'
+    else if (words.length >= 2 && words.length <= 3 && words.every(w => /^[A-Z][a-z]+$/.test(w))) type = 'person'
+    entities.push({ name: cleaned, type, score: 0.5 })
+  }
+  return entities
+}
+
+function conceptEntities(text) {
+  const concepts = []
+  for (const match of text.matchAll(CONCEPT_PATTERN)) {
+    match[1]
+      .split(/,|\band\b|\bor\b/)
+      .map(part => part.replace(/^\s*(the|a|an)\s+/i, '').trim())
+      .filter(part => part.length > 1 && part.split(/\s+/).length <= 5)
+      .forEach(name => concepts.push({ name, type: 'concept', score: 0.6, fromPattern: true }))
+  }
+  return concepts
+}
+
+// Finds where each entity is mentioned so sentences can be scanned in order
+function locateMentions(sentence, entities) {
+  const lower = sentence.text.toLowerCase()
+  const mentions = []
+  for (const entity of entities) {
+    const index = lower.indexOf(entity.name.toLowerCase())
+    if (index !== -1) mentions.push({ entity, start: index, end: index + entity.name.length })
+  }
+  return mentions.sort((a, b) => a.start - b.start)
+}
+
+function extractRelations(text, entities) {
+  const relations = []
+  let lastPerson = null
+
+  for (const sentence of splitSentences(text)) {
+    const mentions = locateMentions(sentence, entities)
+    const people = mentions.filter(m => m.entity.type === 'person')
+    const subject = people[0]?.entity || lastPerson
+
+    for (const mention of mentions) {
+      if (mention.entity.type === 'person') continue
+      // Nearest preceding entity is the subject; fall back to the sentence's person
+      const preceding = mentions.filter(m => m.end <= mention.start && m.entity !== mention.entity)
+      const source = preceding[preceding.length - 1]?.entity || subject
+      if (!source || source === mention.entity) continue
+
+      const between = sentence.text.slice(
+        preceding.length ? preceding[preceding.length - 1].end : 0,
+        mention.start
+      )
+      if (mention.entity.fromPattern && subject) {
+        relations.push({ source: subject, target: mention.entity, type: CONCEPT_EDGE_TYPE })
+        continue
+      }
+      const rule = RELATION_PATTERNS.find(r => r.pattern.test(between))
+      if (rule) relations.push({ source: source.type === 'person' ? source : subject || source, target: mention.entity, type: rule.type })
+    }
+    if (people.length) lastPerson = people[people.length - 1].entity
+  }
+  return relations
+}
+
+function dedupe(entities) {
+  const byId = new Map()
+  for (const entity of entities) {
+    const normalized = normalizeEntityName(entity.name)
+    if (!normalized || normalized.length < 2) continue
+    const id = entityId(entity.name)
+    const existing = byId.get(id)
+    if (!existing || entity.score > existing.score) {
+      byId.set(id, { ...entity, id, normalized, fromPattern: entity.fromPattern || existing?.fromPattern })
+    }
+  }
+  return [...byId.values()]
+}
+
+// Returns { entities: [{ id, name, normalized, type, score }], relations: [{ source, target, type }] }
+// where relation endpoints are entity ids.
+export async function extractEntities(text) {
+  await initializeExtractor()
+
+  let found
+  if (nerPipeline) {
+    try {
+      found = groupTokens(await nerPipeline(text))
+    } catch (error) {
+      console.warn(`NER failed (${error.message}), using heuristic entity extraction`)
+      found = heuristicEntities(text)
+    }
+  } else {
+    found = heuristicEntities(text)
+  }
+
+  const entities = dedupe([...found, ...conceptEntities(text)])
+  const relations = extractRelations(text, entities)
+
+  const seen = new Set()
+  return {
+    entities: entities.map(({ fromPattern, ...entity }) => entity),
+    relations: relations
+      .map(r => ({ source: r.source.id, target: r.target.id, type: r.type }))
+      .filter(r => {
+        const key = `${r.source}|${r.type}|${r.target}`
+        if (r.source === r.target || seen.has(key)) return false
+        seen.add(key)
+        return true
+      })
+  }
+}
+
+// Drops the entities and relations the collection's schema does not allow:
+// entity types it does not declare, entities it would not let the document
+// MENTION, and relations whose type or endpoints it rejects.
+export function conformExtraction(extraction, schema, { documentId, documentType }) {
+  const entities = extraction.entities.filter(entity => {
+    try {
+      validateGraphNode({ id: entity.id, name: entity.name, type: entity.type, normalized_name: entity.normalized }, schema)
+      validateEdgeSchema(
+        { source: documentId, target: entity.id, type: MENTION_EDGE_TYPE, weight: Math.round(entity.score * 100) / 100 },
+        schema,
+        { source: documentType, target: entity.type }
+      )
+      return true
+    } catch {
+      return false
+    }
+  })
+  const types = new Map(entities.map(entity => [entity.id, entity.type]))
+  const relations = extraction.relations.filter(relation => {
+    if (!types.has(relation.source) || !types.has(relation.target)) return false
+    try {
+      validateEdgeSchema({ ...relation, weight: 1 }, schema, { source: types.get(relation.source), target: types.get(relation.target) })
+      return true
+    } catch {
+      return false
+    }
+  })
+
+  const droppedEntities = extraction.entities.length - entities.length
+  const droppedRelations = extraction.relations.length - relations.length
+  if (droppedEntities || droppedRelations) {
+    console.log(`📐 Schema dropped ${droppedEntities} extracted entities and ${droppedRelations} relations`)
+  }
+  return { entities, relations }
+}
+
+// Writes one node per entity (merged on the normalized name, so entities
+// already in the collection are reused), MENTIONS edges from the document
+// node and relationship edges between entities. The document node must exist.
+export async function storeExtraction(graphDB, documentId, extraction, collection) {
+  const { entities, relations } = extraction
+  if (entities.length === 0) return { entities: 0, relations: 0 }
+
+  await graphDB.addNodes(entities.map(entity => ({
+    id: entity.id,
+    name: entity.name,
+    type: entity.type,
+    normalized_name: entity.normalized
+  })), collection)
+
+  const mentions = entities.map(entity => ({
+    source: documentId,
+    target: entity.id,
+    type: MENTION_EDGE_TYPE,
+    weight: Math.round(entity.score * 100) / 100
+  }))
+  await graphDB.addEdges([...mentions, ...relations.map(r => ({ ...r, weight: 1 }))], collection)
+
+  return { entities: entities.length, relations: relations.length }
+}
@@ -0,0 +1,191 @@
+// Metadata fields promoted to typed LanceDB columns so search filters run
+// inside the query (before top-k) instead of being applied in JS afterwards.
+export const METADATA_FIELD_TYPES = ['string', 'number', 'boolean', 'string[]']
+
+export const DEFAULT_METADATA_FIELDS = {
+  type: 'string',
+  tags: 'string[]',
+  created_at: 'number',
+  parent_id: 'string',   // set on chunk rows, see utils/chunking.js
+  chunk_index: 'number'
+}
+
+export const RESERVED_COLUMNS = ['id', 'text', 'embedding', 'metadata']
+
+const FIELD_NAME = /^[a-z_][a-z0-9_]{0,63}$/
+
+export function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`
+}
+
+export function validateMetadataFields(fields = {}) {
+  for (const [name, type] of Object.entries(fields)) {
+    if (!FIELD_NAME.test(name) || RESERVED_COLUMNS.includes(name)) {
+      throw new Error(`Invalid metadata field name: ${name}`)
+    }
+    if (!METADATA_FIELD_TYPES.includes(type)) {
+      throw new Error(`Invalid type for metadata field ${name}: ${type}. Allowed: ${METADATA_FIELD_TYPES.join(', ')}`)
+    }
+  }
+  return { ...DEFAULT_METADATA_FIELDS, ...fields }
+}
+
+// SQL used by table.addColumns() when an older table is missing a field
+export function columnDefaultSql(type) {
+  switch (type) {
+    case 'string': return 'CAST(NULL AS STRING)'
+    case 'number': return 'CAST(NULL AS DOUBLE)'
+    case 'boolean': return 'FALSE'
+    case 'string[]': return "arrow_cast(make_array(), 'List(Utf8)')"
+  }
+}
+
+// Non-null values for the init row so LanceDB can infer each column type
+export function initColumnValue(type) {
+  switch (type) {
+    case 'string': return 'init'
+    case 'number': return 0
+    case 'boolean': return false
+    case 'string[]': return ['init']
+  }
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (typeof value === 'string') {
+    const numeric = Number(value)
+    if (value.trim() !== '' && Number.isFinite(numeric)) return numeric
+    const timestamp = Date.parse(value)
+    return Number.isNaN(timestamp) ? null : timestamp
+  }
+  return null
+}
+
+export function toColumnValue(value, type) {
+  switch (type) {
+    case 'string':
+      return value === undefined || value === null ? null : String(value)
+    case 'number':
+      return toNumber(value)
+    case 'boolean':
+      // LanceDB rejects null booleans, so a missing flag is stored as false
+      return value === true || value === 'true'
+    case 'string[]':
+      if (value === undefined || value === null) return []
+      return (Array.isArray(value) ? value : [value]).map(String)
+  }
+}
+
+function literal(value, type, field) {
+  switch (type) {
+    case 'string':
+    case 'string[]':
+      if (typeof value === 'object' && value !== null) {
+        throw new Error(`Filter value for ${field} must be a string`)
+      }
+      return sqlString(value)
+    case 'number': {
+      const numeric = toNumber(value)
+      if (numeric === null) throw new Error(`Filter value for ${field} must be a number or date`)
+      return String(numeric)
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') throw new Error(`Filter value for ${field} must be a boolean`)
+      return value ? 'TRUE' : 'FALSE'
+  }
+}
+
+function listLiteral(values, type, field) {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new Error(`Filter value for ${field} must be a non-empty array`)
+  }
+  return values.map(v => literal(v, type, field)).join(', ')
+}
+
+function compileCondition(field, condition, type) {
+  const column = `\`${field}\``
+  const isList = type === 'string[]'
+
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    if (Array.isArray(condition)) return compileCondition(field, { $in: condition }, type)
+    return compileCondition(field, { $eq: condition }, type)
+  }
+
+  const clauses = Object.entries(condition).map(([op, value]) => {
+    switch (op) {
+      case '$eq':
+        if (value === null) return `${column} IS NULL`
+        return isList ? `array_has(${column}, ${literal(value, type, field)})` : `${column} = ${literal(value, type, field)}`
+      case '$ne':
+        if (value === null) return `${column} IS NOT NULL`
+        return isList ? `NOT array_has(${column}, ${literal(value, type, field)})` : `${column} != ${literal(value, type, field)}`
+      case '$in':
+        return isList
+          ? `array_has_any(${column}, make_array(${listLiteral(value, type, field)}))`
+          : `${column} IN (${listLiteral(value, type, field)})`
+      case '$nin':
+        return isList
+          ? `NOT array_has_any(${column}, make_array(${listLiteral(value, type, field)}))`
+          : `${column} NOT IN (${listLiteral(value, type, field)})`
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte': {
+        if (type !== 'number' && type !== 'string') throw new Error(`Range filter not supported on ${field}`)
+        const sqlOp = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' }[op]
+        return `${column} ${sqlOp} ${literal(value, type, field)}`
+      }
+      case '$contains':
+        if (!isList) throw new Error(`$contains requires a list field, ${field} is ${type}`)
+        return `array_has(${column}, ${literal(value, type, field)})`
+      case '$containsAny':
+        if (!isList) throw new Error(`$containsAny requires a list field, ${field} is ${type}`)
+        return `array_has_any(${column}, make_array(${listLiteral(value, type, field)}))`
+      case '$containsAll':
+        if (!isList) throw new Error(`$containsAll requires a list field, ${field} is ${type}`)
+        return `array_has_all(${column}, make_array(${listLiteral(value, type, field)}))`
+      case '$exists':
+        if (isList) return value ? `array_length(${column}) > 0` : `(${column} IS NULL OR array_length(${column}) = 0)`
+        return value ? `${column} IS NOT NULL` : `${column} IS NULL`
+      default:
+        throw new Error(`Unsupported filter operator on ${field}: ${op}`)
+    }
+  })
+  return clauses.length === 1 ? clauses[0] : `(${clauses.join(' AND ')})`
+}
+
+function compileNode(filter, fields) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('Filter must be an object')
+  }
+
+  const clauses = Object.entries(filter).map(([key, value]) => {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(value) || value.length === 0) throw new Error(`${key} must be a non-empty array`)
+      const parts = value.map(sub => compileNode(sub, fields))
+      return `(${parts.join(key === '$and' ? ' AND ' : ' OR ')})`
+    }
+    if (key === '$not') return `NOT (${compileNode(value, fields)})`
+
+    const type = key === 'id' ? 'string' : fields[key]
+    if (!type) {
+      throw new Error(`Unknown filter field: ${key}. Filterable: id, ${Object.keys(fields).join(', ')}`)
+    }
+    return compileCondition(key, value, type)
+  })
+
+  if (clauses.length === 0) throw new Error('Filter must not be empty')
+  return clauses.length === 1 ? clauses[0] : `(${clauses.join(' AND ')})`
+}
+
+// Compiles a JSON filter into a LanceDB WHERE clause.
+//   { type: 'report' }                         equality
+//   { type: { $in: ['report', 'paper'] } }     membership
+//   { created_at: { $gte: '2024-01-01' } }     range (numbers or dates)
+//   { tags: { $contains: 'kafka' } }           tag contains
+//   { $or: [...], $and: [...], $not: {...} }   boolean combinations
+export function buildWhereClause(filter, fields = DEFAULT_METADATA_FIELDS) {
+  if (filter === undefined || filter === null) return null
+  if (typeof filter === 'object' && !Array.isArray(filter) && Object.keys(filter).length === 0) return null
+  return compileNode(filter, fields)
+}
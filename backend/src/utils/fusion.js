@@ -0,0 +1,99 @@
+import fs from 'fs'
+
+// Fusion of per-signal rankings (vector, graph, ...) into one hybrid score.
+// Each signal is a Map of docId -> raw score where higher is better.
+
+export const FUSION_STRATEGIES = ['weighted', 'rrf', 'combmnz', 'max', 'learned']
+export const DEFAULT_FUSION = 'weighted'
+
+// Rank constant from the original RRF paper (Cormack et al., 2009)
+export const RRF_K = 60
+
+// Scales scores to [0, 1]. A signal where every hit scores the same maps to 1.
+export function minMaxNormalize(scores) {
+  const values = [...scores.values()]
+  const min = Math.min(...values)
+  const max = Math.max(...values)
+  return new Map([...scores].map(([id, score]) => [id, max === min ? 1 : (score - min) / (max - min)]))
+}
+
+function ranks(scores) {
+  return new Map([...scores]
+    .sort((a, b) => b[1] - a[1])
+    .map(([id], index) => [id, index + 1]))
+}
+
+// Learned fusion is a logistic model over the normalised signals:
+//   { "bias": -1.2, "weights": { "vector": 2.5, "graph": 0.8 } }
+// It comes from the request or from the JSON file at FUSION_MODEL_PATH.
+export function loadFusionModel(model) {
+  if (!model && process.env.FUSION_MODEL_PATH) {
+    model = JSON.parse(fs.readFileSync(process.env.FUSION_MODEL_PATH, 'utf8'))
+  }
+  if (!model) throw new Error('learned fusion needs a fusion_model or FUSION_MODEL_PATH')
+  if (typeof model.weights !== 'object' || model.weights === null) {
+    throw new Error('fusion_model.weights must be an object of signal weights')
+  }
+  for (const [signal, weight] of Object.entries(model.weights)) {
+    if (!Number.isFinite(weight)) throw new Error(`fusion_model weight for ${signal} must be a number`)
+  }
+  return { bias: Number(model.bias) || 0, weights: model.weights }
+}
+
+export function resolveFusion(strategy = DEFAULT_FUSION, model) {
+  if (!FUSION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid fusion: ${strategy}. Allowed: ${FUSION_STRATEGIES.join(', ')}`)
+  }
+  return { strategy, model: strategy === 'learned' ? loadFusionModel(model) : null }
+}
+
+// Returns Map docId -> { score, signals } sorted by score, where signals holds
+// each signal's raw score, normalised score and rank for that document.
+export function fuse(signals, { strategy = DEFAULT_FUSION, weights = {}, model = null, rrfK = RRF_K } = {}) {
+  const prepared = Object.entries(signals)
+    .filter(([, scores]) => scores.size > 0)
+    .map(([name, scores]) => ({
+      name,
+      scores,
+      normalized: minMaxNormalize(scores),
+      ranks: ranks(scores),
+      weight: weights[name] ?? 1
+    }))
+
+  const ids = new Set(prepared.flatMap(signal => [...signal.scores.keys()]))
+  const fused = new Map()
+
+  for (const id of ids) {
+    const present = prepared.filter(signal => signal.scores.has(id))
+    const breakdown = Object.fromEntries(present.map(signal => [signal.name, {
+      raw: signal.scores.get(id),
+      normalized: signal.normalized.get(id),
+      rank: signal.ranks.get(id)
+    }]))
+
+    let score
+    switch (strategy) {
+      case 'rrf':
+        score = present.reduce((sum, signal) => sum + signal.weight / (rrfK + signal.ranks.get(id)), 0)
+        break
+      case 'combmnz': {
+        const matched = present.filter(signal => signal.normalized.get(id) > 0)
+        score = matched.reduce((sum, signal) => sum + signal.normalized.get(id), 0) * matched.length
+        break
+      }
+      case 'max':
+        score = Math.max(...present.map(signal => signal.normalized.get(id)))
+        break
+      case 'learned': {
+        const z = present.reduce((sum, signal) => sum + (model.weights[signal.name] || 0) * signal.normalized.get(id), model.bias)
+        score = 1 / (1 + Math.exp(-z))
+        break
+      }
+      default:
+        score = present.reduce((sum, signal) => sum + signal.weight * signal.normalized.get(id), 0)
+    }
+    fused.set(id, { score, signals: breakdown })
+  }
+
+  return new Map([...fused].sort((a, b) => b[1].score - a[1].score))
+}
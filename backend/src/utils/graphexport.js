@@ -0,0 +1,201 @@
+// Serialises a graph export ({ nodes, edges } from GraphStore.exportCollection)
+// for other tools: GraphML for Gephi and yEd, a Cypher script that recreates
+// the graph in another Neo4j, and JSON-LD for publishing as linked data.
+
+export const MAX_EXPORT_DEPTH = 5
+
+export const EXPORT_FORMATS = {
+  graphml: { contentType: 'application/graphml+xml; charset=utf-8', extension: 'graphml', render: toGraphML },
+  cypher: { contentType: 'text/plain; charset=utf-8', extension: 'cypher', render: toCypher },
+  jsonld: { contentType: 'application/ld+json; charset=utf-8', extension: 'jsonld', render: toJsonLd }
+}
+
+// Default base IRI for JSON-LD node ids; pass `base` to publish under your own
+export const DEFAULT_JSONLD_BASE = 'urn:jeridb:'
+
+export function resolveExportFormat(value = 'graphml') {
+  const format = EXPORT_FORMATS[String(value).toLowerCase()]
+  if (!format) throw new Error(`Unknown format: ${value}. Allowed: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+  return format
+}
+
+export function resolveExportDepth(value) {
+  if (value === undefined || value === null || value === '') return 1
+  const depth = Number(value)
+  if (!Number.isInteger(depth) || depth < 0 || depth > MAX_EXPORT_DEPTH) {
+    throw new Error(`depth must be an integer between 0 and ${MAX_EXPORT_DEPTH}`)
+  }
+  return depth
+}
+
+// --- GraphML ---
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and newlines are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+}
+
+// GraphML attributes are scalars; lists and objects are written as JSON strings
+function graphmlType(values) {
+  if (values.every(value => typeof value === 'boolean')) return 'boolean'
+  if (values.every(value => Number.isInteger(value))) return 'long'
+  if (values.every(value => typeof value === 'number')) return 'double'
+  return 'string'
+}
+
+function graphmlValue(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : value
+}
+
+// One <key> per property name across the records, typed from its values
+function graphmlKeys(records, prefix) {
+  const columns = new Map()
+  for (const record of records) {
+    for (const [key, value] of Object.entries(record)) {
+      if (key === 'id' || value === null || value === undefined) continue
+      if (!columns.has(key)) columns.set(key, [])
+      columns.get(key).push(value)
+    }
+  }
+  return [...columns].map(([name, values], i) => ({ id: `${prefix}${i}`, name, type: graphmlType(values) }))
+}
+
+export function toGraphML({ nodes, edges }, { collection } = {}) {
+  const keys = graphmlKeys(nodes, 'n')
+  const edgeKeys = graphmlKeys(edges.map(edge => edge.properties || {}), 'e')
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys.map(key => `  <key id="${key.id}" for="node" attr.name="${escapeXml(key.name)}" attr.type="${key.type}"/>`),
+    '  <key id="e_type" for="edge" attr.name="type" attr.type="string"/>',
+    '  <key id="e_weight" for="edge" attr.name="weight" attr.type="double"/>',
+    ...edgeKeys.map(key => `  <key id="${key.id}" for="edge" attr.name="${escapeXml(key.name)}" attr.type="${key.type}"/>`),
+    `  <graph id="${escapeXml(collection || 'jeridb')}" edgedefault="directed">`
+  ]
+  for (const node of nodes) {
+    lines.push(`    <node id="${escapeXml(node.id)}">`)
+    for (const key of keys) {
+      const value = node[key.name]
+      if (value === null || value === undefined) continue
+      lines.push(`      <data key="${key.id}">${escapeXml(graphmlValue(value))}</data>`)
+    }
+    lines.push('    </node>')
+  }
+  for (const edge of edges) {
+    lines.push(
+      `    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`,
+      `      <data key="e_type">${escapeXml(edge.type)}</data>`,
+      `      <data key="e_weight">${Number(edge.weight ?? 1)}</data>`
+    )
+    for (const key of edgeKeys) {
+      const value = edge.properties?.[key.name]
+      if (value === null || value === undefined) continue
+      lines.push(`      <data key="${key.id}">${escapeXml(graphmlValue(value))}</data>`)
+    }
+    lines.push('    </edge>')
+  }
+  lines.push('  </graph>', '</graphml>')
+  return lines.join('\n') + '\n'
+}
+
+// --- Cypher ---
+
+function cypherString(value) {
+  return `'${String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')}'`
+}
+
+// Neo4j properties are scalars or lists of scalars; anything else becomes a JSON string
+function cypherValue(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : cypherString(value)
+  if (typeof value === 'boolean') return String(value)
+  if (Array.isArray(value) && value.every(item => ['string', 'number', 'boolean'].includes(typeof item))) {
+    return `[${value.map(cypherValue).join(', ')}]`
+  }
+  if (typeof value === 'object') return cypherString(JSON.stringify(value))
+  return cypherString(value)
+}
+
+function cypherKey(key) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : `\`${key.replace(/`/g, '``')}\``
+}
+
+function cypherMap(props) {
+  const entries = Object.entries(props).filter(([, value]) => value !== null && value !== undefined)
+  return `{${entries.map(([key, value]) => `${cypherKey(key)}: ${cypherValue(value)}`).join(', ')}}`
+}
+
+// Nodes keep jeriDB's layout (label Node, keyed on id + collection), so the
+// script can also be replayed into another jeriDB's Neo4j
+export function toCypher({ nodes, edges }, { collection } = {}) {
+  const lines = [
+    `// jeriDB graph export${collection ? ` of collection ${collection}` : ''}: ${nodes.length} nodes, ${edges.length} edges`,
+    'CREATE INDEX node_id_collection IF NOT EXISTS FOR (n:Node) ON (n.id, n.collection);'
+  ]
+  for (const node of nodes) {
+    lines.push(`CREATE (:Node ${cypherMap({ id: node.id, ...node, collection })});`)
+  }
+  for (const edge of edges) {
+    const match = id => cypherMap({ id, collection })
+    lines.push(
+      `MATCH (a:Node ${match(edge.source)}), (b:Node ${match(edge.target)}) ` +
+      `CREATE (a)-[:${cypherKey(edge.type)} ${cypherMap({ ...edge.properties, id: edge.id, weight: Number(edge.weight ?? 1) })}]->(b);`
+    )
+  }
+  return lines.join('\n') + '\n'
+}
+
+// --- JSON-LD ---
+
+// Each node is a resource whose edges are links named after the edge type.
+// Edges also appear as resources of their own, which is where weights and
+// edge properties live.
+export function toJsonLd({ nodes, edges }, { collection, base = DEFAULT_JSONLD_BASE } = {}) {
+  const prefix = `${base}${encodeURIComponent(collection || 'default')}/`
+  const nodeIri = id => `${prefix}node/${encodeURIComponent(id)}`
+
+  const resources = new Map(nodes.map(({ id, type, ...props }) => [id, {
+    '@id': nodeIri(id),
+    ...(type ? { '@type': type } : {}),
+    identifier: id,
+    ...props
+  }]))
+  const edgeResources = []
+  for (const edge of edges) {
+    const source = resources.get(edge.source)
+    if (source) {
+      const links = source[edge.type] || []
+      source[edge.type] = [...links, { '@id': nodeIri(edge.target) }]
+    }
+    edgeResources.push({
+      ...edge.properties,
+      '@id': `${prefix}edge/${encodeURIComponent(edge.id)}`,
+      '@type': 'Edge',
+      relation: edge.type,
+      source: nodeIri(edge.source),
+      target: nodeIri(edge.target),
+      weight: Number(edge.weight ?? 1)
+    })
+  }
+
+  return JSON.stringify({
+    '@context': {
+      '@vocab': `${base}vocab#`,
+      xsd: 'http://www.w3.org/2001/XMLSchema#',
+      source: { '@type': '@id' },
+      target: { '@type': '@id' },
+      weight: { '@type': 'xsd:double' }
+    },
+    '@graph': [...resources.values(), ...edgeResources]
+  }, null, 2) + '\n'
+}
@@ -0,0 +1,358 @@
+import { validateNodeSchema, validateEdgeSchema, edgeNeedsEndpoints, lookupNodeTypes, DEFAULT_SCHEMA } from './validation.js'
+import { resolveChunking, shouldChunk, chunkText, chunkId, CHUNK_EDGE_TYPE } from './chunking.js'
+import { parseFile } from './parsers.js'
+import { OPERATION_TYPES, writeGraph } from './dualwrite.js'
+
+export const DEFAULT_BATCH_SIZE = 256
+export const MAX_BATCH_SIZE = 2000
+
+// Every record extracted from an uploaded file points back at the file's source node
+export const SOURCE_EDGE_TYPE = 'DERIVED_FROM'
+
+function isEdge(item) {
+  return !!((item.source || item.from) && (item.target || item.to))
+}
+
+function toEdge(item) {
+  return {
+    source: item.source || item.from,
+    target: item.target || item.to,
+    type: item.type,
+    weight: item.weight ?? 1
+  }
+}
+
+function edgeKey(edge) {
+  return `${edge.source}-[${edge.type}]->${edge.target}`
+}
+
+function nodeFor(id, text, metadata, chunks) {
+  return {
+    id,
+    name: metadata.name || id,
+    type: metadata.type,
+    tags: metadata.tags || [],
+    ...metadata,
+    text,
+    ...(chunks.length ? { chunk_count: chunks.length } : {})
+  }
+}
+
+// Writes a batch of graph nodes with one UNWIND; if the batch is rejected,
+// retries item by item so one bad record only fails itself.
+async function writeNodes(graphDB, entries, collection) {
+  const failed = new Map()
+  try {
+    await graphDB.addNodes(entries.map(e => e.node), collection)
+  } catch (error) {
+    console.warn(`⚠️ Batch node write failed (${error.message}), retrying one by one`)
+    for (const entry of entries) {
+      try {
+        await graphDB.addNodes([entry.node], collection)
+      } catch (itemError) {
+        failed.set(entry, itemError.message)
+      }
+    }
+  }
+  return failed
+}
+
+async function writeDocuments(vectorDB, entries, collection) {
+  const failed = new Map()
+  try {
+    await vectorDB.addDocuments(entries.flatMap(e => e.documents), { collection })
+  } catch (error) {
+    console.warn(`⚠️ Batch vector write failed (${error.message}), retrying one by one`)
+    for (const entry of entries) {
+      try {
+        await vectorDB.addDocuments(entry.documents, { collection })
+      } catch (itemError) {
+        failed.set(entry, itemError.message)
+      }
+    }
+  }
+  return failed
+}
+
+// Logs each node as its own put_document operation, as a single write would
+// be, before either store is touched
+async function beginOperations(oplog, entries, { collection, chunking, author, replaced }) {
+  await Promise.all(entries.map(async entry => {
+    const { id, text, metadata = {} } = entry.item
+    entry.op = await oplog.begin({
+      type: OPERATION_TYPES.PUT_DOCUMENT,
+      target: id,
+      collection,
+      payload: { id, text, metadata, chunking, author, replace: replaced.has(id), node: nodeFor(id, text, metadata, []) }
+    }, ['vector', 'graph'])
+    entry.result.operation = entry.op.id
+  }))
+}
+
+function failEntry(oplog, entry, store, message, reason) {
+  entry.result.status = 'error'
+  entry.result.error = reason
+  oplog.settle(entry.op, store, { error: message })
+  if (store === 'vector') oplog.settle(entry.op, 'graph', { status: 'skipped' })
+}
+
+// Deletes the rows and chunk nodes of replaced entries. Entries that could
+// not be cleared are marked failed; their operations are left for replay.
+async function clearReplaced(vectorDB, graphDB, oplog, entries, collection) {
+  if (entries.length === 0) return
+  try {
+    await vectorDB.deleteDocuments(entries.map(entry => entry.item.id), { collection })
+  } catch (error) {
+    for (const entry of entries) {
+      failEntry(oplog, entry, 'vector', error.message, `Could not replace existing rows: ${error.message}`)
+    }
+    return
+  }
+  for (const entry of entries) {
+    try {
+      await graphDB.deleteChunks(entry.item.id, collection)
+    } catch (error) {
+      failEntry(oplog, entry, 'graph', error.message, `Could not replace existing chunk nodes: ${error.message} (run /admin/reconcile)`)
+      oplog.settle(entry.op, 'vector', { status: 'skipped' })
+    }
+  }
+}
+
+// Writes the node records of a batch to both stores (steps 1-3 below),
+// settling each record's operation as it goes. Returns the entries stored.
+async function writeNodeEntries(vectorDB, graphDB, oplog, entries, replaced, collection) {
+  await clearReplaced(vectorDB, graphDB, oplog, entries.filter(entry => replaced.has(entry.item.id)), collection)
+  const pending = entries.filter(entry => entry.result.status !== 'error')
+
+  // 1. Vector rows: one embedding pass and one table.add for the batch
+  const vectorFailures = await writeDocuments(vectorDB, pending, collection)
+  for (const [entry, message] of vectorFailures) {
+    failEntry(oplog, entry, 'vector', message, `Vector write failed: ${message}`)
+  }
+  let stored = pending.filter(entry => !vectorFailures.has(entry))
+  for (const entry of stored) {
+    oplog.settle(entry.op, 'vector', { result: { rows: entry.documents.length, chunks: entry.chunks.length } })
+  }
+
+  // 2. Graph nodes; new items whose node could not be written are rolled back
+  // in LanceDB. A replacement keeps its new rows, as a single write does: the
+  // old ones are already gone, so its operation stays failed for replay.
+  const graphFailures = await writeNodes(graphDB, stored, collection)
+  for (const [entry, message] of graphFailures) {
+    failEntry(oplog, entry, 'graph', message, `Graph write failed: ${message}`)
+    if (replaced.has(entry.item.id)) continue
+    try {
+      await vectorDB.deleteDocument(entry.item.id, { collection })
+      oplog.settle(entry.op, 'vector', { status: 'compensated' })
+    } catch (rollbackError) {
+      oplog.settle(entry.op, 'vector', { status: 'compensation_failed', error: rollbackError.message })
+      entry.result.error += `; vector rollback failed: ${rollbackError.message} (run /admin/reconcile)`
+    }
+  }
+  stored = stored.filter(entry => !graphFailures.has(entry))
+
+  // 3. Chunk nodes and HAS_CHUNK edges for chunked items
+  const chunkNodes = stored.flatMap(entry => entry.documents
+    .filter(doc => doc.metadata.parent_id)
+    .map(doc => ({
+      id: doc.id,
+      name: `${entry.item.id} #${doc.metadata.chunk_index}`,
+      type: 'chunk',
+      text: doc.text,
+      parent_id: entry.item.id,
+      chunk_index: doc.metadata.chunk_index
+    })))
+  if (chunkNodes.length) {
+    try {
+      await graphDB.addNodes(chunkNodes, collection)
+      await graphDB.addEdges(chunkNodes.map(chunk => ({
+        source: chunk.parent_id,
+        target: chunk.id,
+        type: CHUNK_EDGE_TYPE,
+        weight: 1
+      })), collection)
+    } catch (error) {
+      for (const entry of stored.filter(e => e.chunks.length)) {
+        failEntry(oplog, entry, 'graph', error.message, `Chunk nodes failed: ${error.message}`)
+      }
+    }
+  }
+  stored = stored.filter(entry => entry.result.status !== 'error')
+  for (const entry of stored) oplog.settle(entry.op, 'graph', { result: { nodes: 1 + entry.chunks.length } })
+  return stored
+}
+
+// Ingests one batch of records (nodes and edges mixed) and reports per item.
+// Nodes: { id, text, metadata }   Edges: { source|from, target|to, type, weight }
+// Records that break the collection's schema fail on their own. Every write
+// is logged in the OperationLog, so a partial failure can be replayed.
+export async function ingestBatch(vectorDB, graphDB, oplog, items, { collection, chunking, offset = 0, author = null, schema = DEFAULT_SCHEMA } = {}) {
+  const config = resolveChunking(chunking)
+  const report = []
+  const nodeEntries = []
+  const edgeEntries = []
+  const seen = new Set()
+
+  items.forEach((item, i) => {
+    const result = { index: offset + i, status: 'ok' }
+    report.push(result)
+    try {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        throw new Error('Record must be an object')
+      }
+      if (isEdge(item)) {
+        const edge = toEdge(item)
+        result.kind = 'edge'
+        result.id = edgeKey(edge)
+        validateEdgeSchema(edge, schema)
+        edgeEntries.push({ result, edge })
+        return
+      }
+
+      result.kind = 'node'
+      result.id = item.id
+      validateNodeSchema(item, schema)
+      if (seen.has(item.id)) throw new Error(`Duplicate id in batch: ${item.id}`)
+      seen.add(item.id)
+
+      const metadata = item.metadata || {}
+      const chunks = shouldChunk(item.text, config) ? chunkText(item.text, config) : []
+      const documents = chunks.length
+        ? chunks.map(chunk => ({
+          id: chunkId(item.id, chunk.index),
+          text: chunk.text,
+          metadata: {
+            ...metadata,
+            parent_id: item.id,
+            chunk_index: chunk.index,
+            ...(chunk.heading ? { heading: chunk.heading } : {})
+          }
+        }))
+        : [{ id: item.id, text: item.text, metadata }]
+
+      nodeEntries.push({ result, item, documents, chunks, node: nodeFor(item.id, item.text, metadata, chunks) })
+      if (chunks.length) result.chunks = chunks.length
+    } catch (error) {
+      result.status = 'error'
+      result.error = error.message
+    }
+  })
+
+  // Ids that already have rows are replacements: their old rows and chunk
+  // nodes go first, so a document is never stored twice
+  const replaced = nodeEntries.length
+    ? await vectorDB.existingDocumentIds(nodeEntries.map(entry => entry.item.id), { collection })
+    : new Set()
+  await beginOperations(oplog, nodeEntries, { collection, chunking, author, replaced })
+  let stored = []
+  try {
+    stored = await writeNodeEntries(vectorDB, graphDB, oplog, nodeEntries, replaced, collection)
+  } finally {
+    // An operation still pending after an unexpected error ends up failed, for replay
+    await Promise.all(nodeEntries.filter(entry => entry.op).map(entry =>
+      oplog.finish(entry.op, { compensate: !replaced.has(entry.item.id) })
+    ))
+  }
+
+  // Version history for every stored document, in one write
+  if (stored.length) {
+    try {
+      await vectorDB.recordVersions(stored.map(entry => ({
+        id: entry.item.id,
+        text: entry.item.text,
+        metadata: entry.item.metadata || {},
+        author
+      })), { collection })
+    } catch (error) {
+      console.error('⚠️ Version records for batch failed:', error.message)
+    }
+  }
+
+  // Edge types that restrict their endpoints are checked against the stored nodes
+  const known = new Map(stored.map(entry => [entry.item.id, entry.item.metadata?.type ?? null]))
+  for (const entry of edgeEntries) {
+    if (!edgeNeedsEndpoints(entry.edge.type, schema)) continue
+    try {
+      const { source, target } = entry.edge
+      const types = await lookupNodeTypes(graphDB, [source, target], collection, known)
+      validateEdgeSchema(entry.edge, schema, { source: types.get(source), target: types.get(target) })
+    } catch (error) {
+      entry.result.status = 'error'
+      entry.result.error = error.message
+    }
+  }
+  const edgesToWrite = edgeEntries.filter(entry => entry.result.status !== 'error')
+
+  // 4. Edges, after the nodes they may reference, as one put_graph operation
+  if (edgesToWrite.length) {
+    const op = await writeGraph(graphDB, oplog, collection, { edges: edgesToWrite.map(entry => entry.edge) })
+    const missing = new Set(op.stores.graph.result?.missing)
+    edgesToWrite.forEach((entry, index) => {
+      entry.result.operation = op.id
+      if (op.status !== 'applied') {
+        entry.result.status = 'error'
+        entry.result.error = `Graph write failed: ${op.stores.graph.error}`
+      } else if (missing.has(index)) {
+        entry.result.status = 'error'
+        entry.result.error = `Source or target node not found: ${entry.edge.source}, ${entry.edge.target}`
+      }
+    })
+  }
+
+  return report
+}
+
+export async function ingestRecords(vectorDB, graphDB, oplog, records, { collection, chunking, batchSize = DEFAULT_BATCH_SIZE, author = null, schema } = {}) {
+  const report = []
+  for (let i = 0; i < records.length; i += batchSize) {
+    const results = await ingestBatch(vectorDB, graphDB, oplog, records.slice(i, i + batchSize), {
+      collection,
+      chunking,
+      offset: i,
+      author,
+      schema
+    })
+    report.push(...results)
+  }
+  return report
+}
+
+// Parses one uploaded file, ingests its records and links each stored node
+// to a source node describing the file.
+export async function ingestFile(vectorDB, graphDB, oplog, file, { collection, chunking, csv = {}, batchSize, author = null, schema } = {}) {
+  const { format, sourceId, records } = parseFile(file, csv)
+
+  const source = await writeGraph(graphDB, oplog, collection, {
+    target: sourceId,
+    nodes: [{
+      id: sourceId,
+      name: file.filename,
+      type: 'source',
+      format,
+      size: file.size ?? file.content.length,
+      uploaded_at: new Date().toISOString()
+    }]
+  })
+  if (source.status !== 'applied') throw new Error(`Source node failed: ${source.error} (operation ${source.id})`)
+
+  const report = await ingestRecords(vectorDB, graphDB, oplog, records, { collection, chunking, batchSize, author, schema })
+  const linked = report
+    .filter(r => r.kind === 'node' && r.status === 'ok')
+    .map(r => ({ source: r.id, target: sourceId, type: SOURCE_EDGE_TYPE, weight: 1 }))
+  // The records are stored either way; a failed link is left for replay
+  const links = linked.length ? await writeGraph(graphDB, oplog, collection, { target: sourceId, edges: linked }) : null
+  const linkError = links && links.status !== 'applied' ? { error: `Linking records to ${sourceId} failed: ${links.error} (operation ${links.id})` } : {}
+
+  return { file: file.filename, format, source_id: sourceId, ...linkError, ...summarizeReport(report), results: report }
+}
+
+export function summarizeReport(report) {
+  const failed = report.filter(r => r.status === 'error').length
+  return {
+    total: report.length,
+    succeeded: report.length - failed,
+    failed,
+    nodes: report.filter(r => r.kind === 'node' && r.status === 'ok').length,
+    edges: report.filter(r => r.kind === 'edge' && r.status === 'ok').length
+  }
+}
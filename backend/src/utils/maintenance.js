@@ -0,0 +1,31 @@
+// Backups and restores pause writes so the vector store and the graph are
+// captured (or rebuilt) at the same point. Reads keep working.
+
+let current = null
+
+// POST routes that only read
+const READ_ONLY_POSTS = [/\/search(\/|$)/, /\/nodes\/batch$/, /\/graph\/export$/]
+
+export function maintenanceTask() {
+  return current
+}
+
+// Runs `fn` as the only maintenance task. Throws if another one is running.
+export async function runExclusive(task, fn) {
+  if (current) throw new Error(`A ${current.task} is already running (started ${current.started_at})`)
+  current = { task, started_at: new Date().toISOString() }
+  try {
+    return await fn()
+  } finally {
+    current = null
+  }
+}
+
+export function writeGate() {
+  return (req, res, next) => {
+    if (!current || req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return next()
+    if (req.method === 'POST' && READ_ONLY_POSTS.some(pattern => pattern.test(req.path))) return next()
+    res.set('Retry-After', '5')
+    res.status(503).json({ error: `Writes are paused while a ${current.task} runs`, maintenance: current })
+  }
+}
@@ -0,0 +1,81 @@
+// Keyset pagination over document ids. The cursor is the last id of the
+// previous page, so pages stay stable while rows are added, deleted or the
+// table is compacted (which renumbers LanceDB row ids).
+
+export const DEFAULT_PAGE_SIZE = 100
+export const MAX_PAGE_SIZE = 1000
+
+// Columns a document listing can return; embeddings only when asked for
+export const DOCUMENT_FIELDS = ['id', 'text', 'metadata', 'embedding']
+export const DEFAULT_DOCUMENT_FIELDS = ['id', 'text', 'metadata']
+
+export function resolvePageSize(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_PAGE_SIZE
+  const size = parseInt(value)
+  if (!(size >= 1 && size <= MAX_PAGE_SIZE)) {
+    throw new Error(`limit must be between 1 and ${MAX_PAGE_SIZE}`)
+  }
+  return size
+}
+
+// "text,metadata" or ["text", "metadata"]; id is always included
+export function resolveFields(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_DOCUMENT_FIELDS
+  const fields = (Array.isArray(value) ? value : String(value).split(','))
+    .map(field => field.trim())
+    .filter(Boolean)
+  const unknown = fields.filter(field => !DOCUMENT_FIELDS.includes(field))
+  if (unknown.length) {
+    throw new Error(`Unknown fields: ${unknown.join(', ')}. Allowed: ${DOCUMENT_FIELDS.join(', ')}`)
+  }
+  return ['id', ...new Set(fields.filter(field => field !== 'id'))]
+}
+
+export function encodeCursor(id) {
+  return Buffer.from(id, 'utf8').toString('base64url')
+}
+
+export function decodeCursor(cursor) {
+  if (cursor === undefined || cursor === null || cursor === '') return null
+  const id = Buffer.from(String(cursor), 'base64url').toString('utf8')
+  if (!id || encodeCursor(id) !== String(cursor)) throw new Error('Invalid cursor')
+  return id
+}
+
+// Code point order, which is how the SQL filter compares strings (UTF-8 bytes)
+export function compareIds(a, b) {
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    const x = a.codePointAt(i)
+    const y = b.codePointAt(j)
+    if (x !== y) return x - y
+    i += x > 0xffff ? 2 : 1
+    j += y > 0xffff ? 2 : 1
+  }
+  return (a.length - i) - (b.length - j)
+}
+
+// Index of the first id in a compareIds-sorted list that comes after `after`
+export function firstAfter(sortedIds, after) {
+  if (after === null) return 0
+  let low = 0
+  let high = sortedIds.length
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (compareIds(sortedIds[mid], after) <= 0) low = mid + 1
+    else high = mid
+  }
+  return low
+}
+
+// One page of `items` in keyOf() order, after the key in `cursor`. For lists
+// that are built whole in memory, such as a node's neighbourhood.
+export function keysetPage(items, keyOf, { limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  const after = decodeCursor(cursor)
+  const sorted = [...items].sort((a, b) => compareIds(keyOf(a), keyOf(b)))
+  const rest = after === null ? sorted : sorted.filter(item => compareIds(keyOf(item), after) > 0)
+  const page = rest.slice(0, limit)
+  const hasMore = rest.length > limit
+  return { items: page, next_cursor: hasMore ? encodeCursor(keyOf(page[page.length - 1])) : null, has_more: hasMore }
+}
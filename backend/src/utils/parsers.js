@@ -0,0 +1,185 @@
+import path from 'path'
+
+export const SUPPORTED_FORMATS = ['md', 'txt', 'csv', 'json', 'jsonl']
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/
+
+export function detectFormat(filename) {
+  const ext = path.extname(filename).slice(1).toLowerCase()
+  if (ext === 'markdown') return 'md'
+  if (ext === 'ndjson') return 'jsonl'
+  return SUPPORTED_FORMATS.includes(ext) ? ext : null
+}
+
+export function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 64) || 'untitled'
+}
+
+// RFC 4180 CSV: quoted fields, doubled quotes and newlines inside quotes.
+// `lines[i]` is the line of the file that rows[i] starts on (the header is line 1
+// unless blank lines precede it), for error reports.
+export function parseCsv(content, { delimiter = ',' } = {}) {
+  const rows = []
+  const starts = []
+  let row = []
+  let field = ''
+  let quoted = false
+  let line = 1
+  let rowStart = 1
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i]
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        if (char === '\n' || (char === '\r' && content[i + 1] !== '\n')) line++
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      starts.push(rowStart)
+      row = []
+      field = ''
+      rowStart = ++line
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field)
+    rows.push(row)
+    starts.push(rowStart)
+  }
+
+  const kept = rows.map((cells, i) => ({ cells, line: starts[i] })).filter(r => r.cells.some(cell => cell.trim() !== ''))
+  if (kept.length === 0) return { header: [], rows: [], lines: [] }
+
+  const header = kept[0].cells.map(h => h.trim())
+  return {
+    header,
+    rows: kept.slice(1).map(({ cells }) => Object.fromEntries(header.map((h, i) => [h, cells[i] ?? '']))),
+    lines: kept.slice(1).map(r => r.line)
+  }
+}
+
+export function splitTags(value) {
+  return value.split(/[;|]/).map(t => t.trim()).filter(Boolean)
+}
+
+function markdownRecords(content, fileId) {
+  const sections = []
+  let current = { heading: null, level: 0, lines: [] }
+
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(HEADING)
+    if (match) {
+      if (current.lines.join('').trim()) sections.push(current)
+      current = { heading: match[2], level: match[1].length, lines: [] }
+    } else {
+      current.lines.push(line)
+    }
+  }
+  if (current.lines.join('').trim()) sections.push(current)
+
+  return sections.map((section, index) => ({
+    id: `${fileId}::section-${index}`,
+    text: (section.heading ? `${section.heading}\n\n` : '') + section.lines.join('\n').trim(),
+    metadata: {
+      type: 'document',
+      name: section.heading || `${fileId} (section ${index + 1})`,
+      section_index: index,
+      ...(section.heading ? { heading: section.heading, heading_level: section.level } : {})
+    }
+  }))
+}
+
+function csvRecords(content, fileId, { textColumn = 'text', idColumn = 'id' }) {
+  const { header, rows } = parseCsv(content)
+  if (header.length && !header.includes(textColumn)) {
+    throw new Error(`CSV has no "${textColumn}" column. Columns: ${header.join(', ')}`)
+  }
+
+  return rows.map((row, index) => {
+    const metadata = {}
+    for (const [column, value] of Object.entries(row)) {
+      if (column === textColumn || column === idColumn || value === '') continue
+      metadata[column] = column === 'tags' ? splitTags(value) : value
+    }
+    return {
+      id: row[idColumn] || `${fileId}::row-${index + 1}`,
+      text: row[textColumn],
+      metadata
+    }
+  })
+}
+
+function jsonRecords(content) {
+  const parsed = JSON.parse(content)
+  if (Array.isArray(parsed)) return parsed
+  if (parsed && (Array.isArray(parsed.nodes) || Array.isArray(parsed.edges))) {
+    return [...(parsed.nodes || []), ...(parsed.edges || [])]
+  }
+  return [parsed]
+}
+
+function jsonlRecords(content) {
+  return content
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line)
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`)
+      }
+    })
+}
+
+// Maps an uploaded file onto ingest records ({ id, text, metadata } nodes and
+// { source, target, type, weight } edges) for utils/ingest.js.
+export function parseFile({ filename, content }, options = {}) {
+  const format = detectFormat(filename)
+  if (!format) {
+    throw new Error(`Unsupported file type: ${filename}. Allowed: ${SUPPORTED_FORMATS.map(f => `.${f}`).join(', ')}`)
+  }
+
+  const fileId = slugify(filename)
+  const sourceId = `source:${fileId}`
+  let records
+  switch (format) {
+    case 'md':
+      records = markdownRecords(content, fileId)
+      break
+    case 'txt':
+      records = content.trim()
+        ? [{ id: fileId, text: content.trim(), metadata: { type: 'document', name: filename } }]
+        : []
+      break
+    case 'csv':
+      records = csvRecords(content, fileId, options)
+      break
+    case 'json':
+      records = jsonRecords(content)
+      break
+    case 'jsonl':
+      records = jsonlRecords(content)
+      break
+  }
+
+  return { format, sourceId, records }
+}
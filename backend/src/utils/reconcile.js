@@ -0,0 +1,168 @@
+import { storeDocument, linkChunks, replayOperation } from './dualwrite.js'
+
+// Graph properties that are not part of a document's metadata
+const NODE_INTERNAL_FIELDS = ['id', 'collection', 'text', 'tags_text', 'chunk_count', 'parent_id', 'chunk_index']
+
+function nodeMetadata(node) {
+  return Object.fromEntries(Object.entries(node).filter(([key]) => !NODE_INTERNAL_FIELDS.includes(key)))
+}
+
+// Compares LanceDB rows with graph nodes in one collection.
+//   missing_in_graph:  rows (documents or chunks) with no graph node
+//   missing_in_vector: graph nodes holding text with no row. A chunked parent
+//                      only counts when neither its chunk rows nor chunk nodes exist.
+// Entity, source and other text-less graph nodes have no row by design.
+export async function diffStores(vectorDB, graphDB, collection) {
+  const rows = await vectorDB.listDocumentIds({ collection })
+  const nodes = await graphDB.listNodes(collection)
+
+  const nodeIds = new Set(nodes.map(node => node.id))
+  const rowIds = new Set(rows.map(row => row.id))
+  const parentsWithRows = new Set(rows.map(row => row.parent_id).filter(Boolean))
+  const parentsWithChunkNodes = new Set(nodes.filter(node => node.type === 'chunk').map(node => node.parent_id))
+
+  const missingInGraph = rows
+    .filter(row => !nodeIds.has(row.id))
+    .map(row => ({ id: row.id, parent_id: row.parent_id }))
+
+  const missingInVector = nodes
+    .filter(node => node.has_text && !rowIds.has(node.id))
+    .filter(node => !node.chunk_count || (!parentsWithRows.has(node.id) && !parentsWithChunkNodes.has(node.id)))
+    .map(node => ({ id: node.id, type: node.type, parent_id: node.parent_id }))
+
+  return {
+    documents: rows.length,
+    nodes: nodes.length,
+    missing_in_graph: missingInGraph,
+    missing_in_vector: missingInVector
+  }
+}
+
+// Rebuilds graph nodes from orphaned rows. Chunk rows whose parent node is
+// also gone get a parent rebuilt from their text, in chunk order.
+async function restoreGraphNodes(vectorDB, graphDB, collection, orphans) {
+  const repaired = []
+  const documents = await vectorDB.getDocuments(orphans.map(orphan => orphan.id), { collection })
+  const chunksByParent = new Map()
+
+  for (const doc of documents) {
+    const parentId = doc.metadata.parent_id
+    if (parentId) {
+      if (!chunksByParent.has(parentId)) chunksByParent.set(parentId, [])
+      chunksByParent.get(parentId).push(doc)
+      continue
+    }
+    try {
+      await graphDB.addNode(doc.id, {
+        name: doc.metadata.name || doc.id,
+        type: doc.metadata.type,
+        tags: doc.metadata.tags || [],
+        ...doc.metadata,
+        text: doc.text
+      }, collection)
+      repaired.push({ id: doc.id, store: 'graph', action: 'restored' })
+    } catch (error) {
+      repaired.push({ id: doc.id, store: 'graph', action: 'failed', error: error.message })
+    }
+  }
+
+  for (const [parentId, chunks] of chunksByParent) {
+    chunks.sort((a, b) => a.metadata.chunk_index - b.metadata.chunk_index)
+    try {
+      if (!(await graphDB.getNode(parentId, collection))) {
+        const { parent_id, chunk_index, heading, ...metadata } = chunks[0].metadata
+        await graphDB.addNode(parentId, {
+          name: metadata.name || parentId,
+          type: metadata.type,
+          tags: metadata.tags || [],
+          ...metadata,
+          text: chunks.map(chunk => chunk.text).join('\n\n'),
+          chunk_count: chunks.length
+        }, collection)
+        repaired.push({ id: parentId, store: 'graph', action: 'restored' })
+      }
+      await linkChunks(graphDB, parentId, chunks, collection)
+      repaired.push(...chunks.map(chunk => ({ id: chunk.id, store: 'graph', action: 'restored' })))
+    } catch (error) {
+      repaired.push(...chunks.map(chunk => ({ id: chunk.id, store: 'graph', action: 'failed', error: error.message })))
+    }
+  }
+  return repaired
+}
+
+// Re-embeds the text held by orphaned graph nodes
+async function restoreVectorRows(vectorDB, graphDB, collection, orphans) {
+  const repaired = []
+  for (const orphan of orphans) {
+    try {
+      const node = await graphDB.getNode(orphan.id, collection)
+      if (node.type === 'chunk' && node.parent_id) {
+        const parent = await graphDB.getNode(node.parent_id, collection)
+        await vectorDB.addDocuments([{
+          id: node.id,
+          text: node.text,
+          metadata: { ...(parent ? nodeMetadata(parent) : {}), parent_id: node.parent_id, chunk_index: node.chunk_index }
+        }], { collection })
+      } else {
+        const chunks = await storeDocument(vectorDB, { id: node.id, text: node.text, metadata: nodeMetadata(node), collection })
+        if (chunks.length) {
+          await graphDB.deleteChunks(node.id, collection)
+          await graphDB.addNode(node.id, { ...node, chunk_count: chunks.length }, collection)
+          await linkChunks(graphDB, node.id, chunks, collection)
+        }
+      }
+      repaired.push({ id: orphan.id, store: 'vector', action: 'restored' })
+    } catch (error) {
+      repaired.push({ id: orphan.id, store: 'vector', action: 'failed', error: error.message })
+    }
+  }
+  return repaired
+}
+
+// Reports (or with `repair`, fixes) drift between the stores. Repair first
+// replays unfinished operations, so interrupted deletes finish rather than
+// being undone; orphans left after that are restored from the other store.
+// Orphans whose operation is still unfinished are skipped.
+export async function reconcile(vectorDB, graphDB, oplog, { collection, repair = false } = {}) {
+  const replayed = []
+  if (repair) {
+    for (const op of oplog.unfinished(collection)) {
+      const result = await replayOperation(vectorDB, graphDB, oplog, op)
+      replayed.push({ id: result.id, type: result.type, target: result.target, status: result.status, error: result.error })
+    }
+  }
+
+  const diff = await diffStores(vectorDB, graphDB, collection)
+  const unfinished = new Map(oplog.unfinished(collection).map(op => [op.target, op.id]))
+  const annotate = orphan => {
+    const operation = unfinished.get(orphan.id) || unfinished.get(orphan.parent_id)
+    return operation ? { ...orphan, operation } : orphan
+  }
+  const missingInGraph = diff.missing_in_graph.map(annotate)
+  const missingInVector = diff.missing_in_vector.map(annotate)
+
+  const repaired = []
+  if (repair) {
+    const skipped = [...missingInGraph, ...missingInVector].filter(orphan => orphan.operation)
+    repaired.push(...skipped.map(orphan => ({
+      id: orphan.id,
+      action: 'skipped',
+      error: `Operation ${orphan.operation} is still unfinished`
+    })))
+    repaired.push(...await restoreGraphNodes(vectorDB, graphDB, collection, missingInGraph.filter(orphan => !orphan.operation)))
+    repaired.push(...await restoreVectorRows(vectorDB, graphDB, collection, missingInVector.filter(orphan => !orphan.operation)))
+  }
+
+  return {
+    collection,
+    repair,
+    documents: diff.documents,
+    nodes: diff.nodes,
+    in_sync: missingInGraph.length === 0 && missingInVector.length === 0,
+    missing_in_graph: missingInGraph,
+    missing_in_vector: missingInVector,
+    replayed,
+    repaired,
+    unfinished_operations: oplog.unfinished(collection).length
+  }
+}
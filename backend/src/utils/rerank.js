@@ -0,0 +1,86 @@
+// Cross-encoder reranking: the query and each candidate are scored together,
+// which is slower than comparing embeddings but much more precise.
+
+const RERANK_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2'
+
+export const DEFAULT_RERANK_TOP_N = 20
+export const MAX_RERANK_TOP_N = 100
+
+// Candidates are scored in groups to bound memory on long result lists
+const RERANK_BATCH = 16
+
+let reranker = null
+let loading = null
+
+export async function initializeReranker(model = process.env.RERANK_MODEL || RERANK_MODEL) {
+  if (reranker) return reranker
+  if (!loading) {
+    loading = (async () => {
+      const { AutoTokenizer, AutoModelForSequenceClassification } = await import('@xenova/transformers')
+      console.log(`Loading reranker ${model}...`)
+      const [tokenizer, crossEncoder] = await Promise.all([
+        AutoTokenizer.from_pretrained(model),
+        AutoModelForSequenceClassification.from_pretrained(model)
+      ])
+      console.log('Reranker loaded')
+      reranker = { model, tokenizer, crossEncoder }
+      return reranker
+    })().catch(error => {
+      loading = null
+      throw new Error(`Reranker ${model} unavailable: ${error.message}`)
+    })
+  }
+  return loading
+}
+
+export function resolveRerankTopN(value) {
+  if (value === undefined || value === null) return DEFAULT_RERANK_TOP_N
+  const topN = parseInt(value)
+  if (!(topN >= 1 && topN <= MAX_RERANK_TOP_N)) {
+    throw new Error(`rerank_top_n must be between 1 and ${MAX_RERANK_TOP_N}`)
+  }
+  return topN
+}
+
+// Relevance of each text to the query, as a probability in (0, 1)
+export async function scorePairs(query, texts) {
+  const { tokenizer, crossEncoder } = await initializeReranker()
+  const scores = []
+  for (let i = 0; i < texts.length; i += RERANK_BATCH) {
+    const batch = texts.slice(i, i + RERANK_BATCH)
+    const inputs = tokenizer(new Array(batch.length).fill(query), {
+      text_pair: batch,
+      padding: true,
+      truncation: true
+    })
+    const { logits } = await crossEncoder(inputs)
+    const values = Array.from(logits.data)
+    const perRow = values.length / batch.length
+    for (let row = 0; row < batch.length; row++) {
+      // Single-logit models give relevance directly; two-logit ones use the positive class
+      const logit = values[row * perRow + perRow - 1]
+      scores.push(1 / (1 + Math.exp(-logit)))
+    }
+  }
+  return scores
+}
+
+// Re-scores the first `topN` results and reorders them; the rest keep their
+// order after them. Each reranked result keeps its fused score and rank.
+export async function rerankResults(query, results, { topN = DEFAULT_RERANK_TOP_N, scoreKey = 'hybrid_score' } = {}) {
+  const head = results.slice(0, topN)
+  const tail = results.slice(topN)
+  if (head.length === 0) return results
+
+  const scores = await scorePairs(query, head.map(result => result.snippet || result.text || ''))
+  const reranked = head
+    .map((result, index) => ({
+      ...result,
+      pre_rerank_score: result[scoreKey],
+      pre_rerank_rank: index + 1,
+      rerank_score: scores[index]
+    }))
+    .sort((a, b) => b.rerank_score - a.rerank_score)
+
+  return [...reranked, ...tail].map((result, index) => ({ ...result, rank: index + 1 }))
+}
@@ -0,0 +1,276 @@
+import { METADATA_FIELD_TYPES } from './filters.js'
+import { splitTags } from './parsers.js'
+
+// The ontology a collection's writes are checked against: node types with
+// their properties, and edge types with the node types they may connect.
+//
+// {
+//   node_types: {
+//     report: { description: '...', properties: { year: { type: 'number', required: true } } }
+//   },
+//   edge_types: {
+//     CITES: { source: ['report'], target: ['report', 'paper'], directed: true, weight: { min: 0, max: 1 } }
+//   }
+// }
+//
+// Node properties are the document's metadata (or the node itself for graph-only
+// writes); undeclared properties are allowed. Nodes may omit a type; a type that
+// is given must be declared. Every edge needs a declared type. Collections
+// without a schema of their own use DEFAULT_SCHEMA.
+
+export const PROPERTY_TYPES = METADATA_FIELD_TYPES
+
+// Nodes the server creates itself; edge types may name them as endpoints
+export const INTERNAL_NODE_TYPES = ['chunk', 'source']
+
+const NODE_TYPE_NAME = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/
+// Edge types end up as Neo4j relationship types, so only plain identifiers
+const EDGE_TYPE_NAME = /^[A-Z][A-Z0-9_]{0,63}$/
+const PROPERTY_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/
+
+const DEFAULT_NODE_TYPES = [
+  'person', 'org', 'document', 'concept', 'healthcare_ai', 'medical_ml', 'test', 'notes', 'note', 'node', 'article',
+  'report', 'paper', 'book', 'tool', 'software', 'framework', 'library', 'platform', 'device', 'algorithm', 'model',
+  'dataset', 'procedure', 'technique', 'methodology', 'redis', 'postgresql', 'mongodb', 'mysql', 'sqlite',
+  'elasticsearch', 'cassandra', 'hadoop', 'spark', 'kafka', 'docker', 'kubernetes', 'aws', 'azure', 'gcp', 'heroku',
+  'netlify', 'vercel', 'graph', 'cache'
+]
+
+const DEFAULT_EDGE_TYPES = [
+  'USES', 'MENTIONS', 'CREATED', 'RELATED', 'DEPLOYED', 'RELATED_TO', 'ASSOCIATED_WITH', 'PART_OF', 'CONNECTED_TO',
+  'INTERACTS_WITH', 'LINKED_TO', 'BASED_ON', 'DERIVED_FROM', 'SIMILAR_TO', 'CITES', 'EXTENDS', 'IMPLEMENTED_BY',
+  'WORKS_AT', 'STUDIED_AT', 'FOUNDED', 'ACQUIRED', 'LOCATED_IN', 'SPECIALIZES_IN'
+]
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
+function rejectUnknownKeys(object, allowed, where) {
+  const unknown = Object.keys(object).filter(key => !allowed.includes(key))
+  if (unknown.length) throw new Error(`Unknown ${where} field: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`)
+}
+
+function parseNodeType(name, definition = {}) {
+  if (!NODE_TYPE_NAME.test(name)) {
+    throw new Error(`Invalid node type name: ${name}. Use 1-64 letters, digits, "_" or "-", starting with a letter`)
+  }
+  if (!isPlainObject(definition)) throw new Error(`Node type ${name} must be an object`)
+  rejectUnknownKeys(definition, ['description', 'properties'], `node type ${name}`)
+
+  const { description = '', properties = {} } = definition
+  if (!isPlainObject(properties)) throw new Error(`properties of node type ${name} must be an object`)
+  const parsed = {}
+  for (const [property, spec] of Object.entries(properties)) {
+    if (!PROPERTY_NAME.test(property)) throw new Error(`Invalid property name on node type ${name}: ${property}`)
+    // { year: 'number' } is shorthand for { year: { type: 'number' } }
+    const { type, required = false, ...rest } = typeof spec === 'string' ? { type: spec } : (spec || {})
+    rejectUnknownKeys(rest, [], `property ${name}.${property}`)
+    if (!PROPERTY_TYPES.includes(type)) {
+      throw new Error(`Invalid type for property ${name}.${property}: ${type}. Allowed: ${PROPERTY_TYPES.join(', ')}`)
+    }
+    parsed[property] = { type, required: required === true }
+  }
+  return { description: String(description), properties: parsed }
+}
+
+function parseEdgeType(name, definition = {}, nodeTypes) {
+  if (!EDGE_TYPE_NAME.test(name)) {
+    throw new Error(`Invalid edge type name: ${name}. Use 1-64 upper-case letters, digits or "_", starting with a letter`)
+  }
+  if (!isPlainObject(definition)) throw new Error(`Edge type ${name} must be an object`)
+  rejectUnknownKeys(definition, ['description', 'source', 'target', 'directed', 'weight'], `edge type ${name}`)
+
+  const { description = '', directed = true, weight = {} } = definition
+  const endpoint = side => {
+    const value = definition[side]
+    if (value === undefined || value === null) return null
+    const types = typeof value === 'string' ? [value] : value
+    if (!Array.isArray(types) || types.length === 0) {
+      throw new Error(`${side} of edge type ${name} must be a node type or a non-empty list of node types`)
+    }
+    const unknown = types.filter(type => !nodeTypes.includes(type) && !INTERNAL_NODE_TYPES.includes(type))
+    if (unknown.length) throw new Error(`Edge type ${name} refers to undeclared node types: ${unknown.join(', ')}`)
+    return [...new Set(types)]
+  }
+
+  if (typeof directed !== 'boolean') throw new Error(`directed of edge type ${name} must be true or false`)
+  if (!isPlainObject(weight)) throw new Error(`weight of edge type ${name} must be { min, max }`)
+  rejectUnknownKeys(weight, ['min', 'max'], `weight of edge type ${name}`)
+  const { min = 0, max = 1 } = weight
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+    throw new Error(`weight of edge type ${name} must have numeric min <= max`)
+  }
+
+  return { description: String(description), source: endpoint('source'), target: endpoint('target'), directed, weight: { min, max } }
+}
+
+// Validates a schema definition and fills in defaults. Throws on the first problem.
+export function parseSchema(definition) {
+  if (!isPlainObject(definition)) throw new Error('Schema must be an object with node_types and edge_types')
+  rejectUnknownKeys(definition, ['node_types', 'edge_types'], 'schema')
+  const { node_types = {}, edge_types = {} } = definition
+  if (!isPlainObject(node_types) || !isPlainObject(edge_types)) {
+    throw new Error('node_types and edge_types must be objects keyed by type name')
+  }
+
+  const nodeTypes = {}
+  for (const [name, spec] of Object.entries(node_types)) nodeTypes[name] = parseNodeType(name, spec)
+  const edgeTypes = {}
+  for (const [name, spec] of Object.entries(edge_types)) edgeTypes[name] = parseEdgeType(name, spec, Object.keys(nodeTypes))
+  return { node_types: nodeTypes, edge_types: edgeTypes }
+}
+
+export const DEFAULT_SCHEMA = parseSchema({
+  node_types: Object.fromEntries(DEFAULT_NODE_TYPES.map(type => [type, {}])),
+  edge_types: Object.fromEntries(DEFAULT_EDGE_TYPES.map(type => [type, {}]))
+})
+
+function nodeTypeOf(schema, type) {
+  return Object.hasOwn(schema.node_types, type) ? schema.node_types[type] : null
+}
+
+function edgeTypeOf(schema, type) {
+  return Object.hasOwn(schema.edge_types, type) ? schema.edge_types[type] : null
+}
+
+function describeValue(value) {
+  return Array.isArray(value) ? 'array' : typeof value
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string'
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+    case 'boolean': return typeof value === 'boolean'
+    case 'string[]': return Array.isArray(value) && value.every(item => typeof item === 'string')
+  }
+}
+
+// Checks a node's type and its properties against the schema
+export function validateNodeType(type, properties = {}, schema = DEFAULT_SCHEMA) {
+  if (type === undefined || type === null || type === '') return true
+  const definition = nodeTypeOf(schema, type)
+  if (!definition) {
+    throw new Error(`Invalid node type: ${type}. Allowed: ${Object.keys(schema.node_types).join(', ') || '(none defined)'}`)
+  }
+  for (const [property, { type: expected, required }] of Object.entries(definition.properties)) {
+    const value = properties[property]
+    if (value === undefined || value === null || value === '') {
+      if (required) throw new Error(`Node type ${type} requires property ${property}`)
+      continue
+    }
+    if (!matchesType(value, expected)) {
+      throw new Error(`Property ${property} of a ${type} node must be ${expected}, got ${describeValue(value)}`)
+    }
+  }
+  return true
+}
+
+// Documents: { id, text, metadata } with the type and properties in metadata
+export function validateNodeSchema(data, schema = DEFAULT_SCHEMA) {
+  const required = ['id', 'text']
+  const missing = required.filter(field => !data[field])
+  if (missing.length > 0) {
+    throw new Error(`Missing required fields: ${missing.join(', ')}`)
+  }
+  return validateNodeType(data.metadata?.type, data.metadata || {}, schema)
+}
+
+// Graph-only nodes carry their type and properties on the node itself
+export function validateGraphNode(node, schema = DEFAULT_SCHEMA) {
+  if (!node?.id) throw new Error('Missing required fields: id')
+  return validateNodeType(node.type, node, schema)
+}
+
+// Whether checking an edge of this type needs its endpoints' node types
+export function edgeNeedsEndpoints(type, schema = DEFAULT_SCHEMA) {
+  const definition = edgeTypeOf(schema, type)
+  return !!(definition && (definition.source || definition.target))
+}
+
+// `endpoints` holds the source and target node types: null for an untyped node,
+// undefined when the node is unknown (edges to missing nodes are not written anyway)
+export function validateEdgeSchema(data, schema = DEFAULT_SCHEMA, endpoints = {}) {
+  const required = ['source', 'target', 'type']
+  const missing = required.filter(field => !data[field])
+  if (missing.length > 0) {
+    throw new Error(`Missing required fields: ${missing.join(', ')}`)
+  }
+
+  const definition = edgeTypeOf(schema, data.type)
+  if (!definition) {
+    throw new Error(`Invalid edge type: ${data.type}. Allowed: ${Object.keys(schema.edge_types).join(', ') || '(none defined)'}`)
+  }
+
+  const { min, max } = definition.weight
+  if (data.weight !== undefined && data.weight !== null) {
+    const weight = Number(data.weight)
+    if (!Number.isFinite(weight)) throw new Error('Edge weight must be a number')
+    if (weight < min || weight > max) throw new Error(`${data.type} edge weight must be ${min}-${max}`)
+  }
+
+  const allows = (types, type) => !types || type === undefined || types.includes(type)
+  const fits = (source, target) => allows(definition.source, source) && allows(definition.target, target)
+  const { source, target } = endpoints
+  if (!fits(source, target) && (definition.directed || !fits(target, source))) {
+    const side = types => (types ? types.join('|') : 'any')
+    throw new Error(
+      `${data.type} edges connect ${side(definition.source)} ${definition.directed ? '->' : '<->'} ${side(definition.target)}, ` +
+      `not ${source ?? 'untyped'} -> ${target ?? 'untyped'}`
+    )
+  }
+  return true
+}
+
+// Fields every edge has; properties may not shadow them
+const EDGE_FIELDS = ['id', 'source', 'target', 'type', 'weight', 'collection']
+
+// Free-form edge properties: scalars or string lists, stored on the relationship.
+// In an update, null removes the property.
+export function validateEdgeProperties(properties, { update = false } = {}) {
+  if (properties === undefined) return true
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    throw new Error('Edge properties must be an object')
+  }
+  for (const [name, value] of Object.entries(properties)) {
+    if (!PROPERTY_NAME.test(name) || EDGE_FIELDS.includes(name)) {
+      throw new Error(`Invalid edge property name: ${name}`)
+    }
+    if (value === null && update) continue
+    if (!PROPERTY_TYPES.some(type => matchesType(value, type))) {
+      throw new Error(`Edge property ${name} must be one of ${PROPERTY_TYPES.join(', ')}, got ${value === null ? 'null' : describeValue(value)}`)
+    }
+  }
+  return true
+}
+
+// Node types for the given ids, from `known` first and the graph otherwise.
+// Ids with no node are left out; untyped nodes map to null.
+export async function lookupNodeTypes(graphDB, ids, collection, known = new Map()) {
+  const types = new Map()
+  for (const id of new Set(ids)) {
+    if (!known.has(id)) {
+      const node = await graphDB.getNode(id, collection)
+      known.set(id, node ? node.type ?? null : undefined)
+    }
+    if (known.get(id) !== undefined) types.set(id, known.get(id))
+  }
+  return types
+}
+
+// Spreadsheet cells arrive as strings; converts the ones a node type declares
+// as number or boolean so they validate and are stored typed
+export function coerceProperties(type, properties, schema = DEFAULT_SCHEMA) {
+  const definition = nodeTypeOf(schema, type)
+  if (!definition) return properties
+  const coerced = { ...properties }
+  for (const [property, { type: expected }] of Object.entries(definition.properties)) {
+    const value = coerced[property]
+    if (typeof value !== 'string' || value === '') continue
+    if (expected === 'number' && Number.isFinite(Number(value))) coerced[property] = Number(value)
+    if (expected === 'boolean' && ['true', 'false'].includes(value.toLowerCase())) coerced[property] = value.toLowerCase() === 'true'
+    if (expected === 'string[]') coerced[property] = splitTags(value)
+  }
+  return coerced
+}
@@ -0,0 +1,31 @@
+// Document history. Every write through the API appends a version record to
+// one LanceDB table shared by all collections; its leading underscore keeps it
+// out of the collection namespace (collection names start with a letter or digit).
+export const VERSION_TABLE = '_versions'
+
+export const VERSION_OPERATIONS = ['create', 'update', 'delete']
+
+// LanceDB table versions older than this are pruned when tables are compacted,
+// which bounds how far back as_of reads can go
+export const VERSION_RETENTION_DAYS = parseInt(process.env.VERSION_RETENTION_DAYS) || 30
+
+export function parseVersion(value) {
+  const version = Number(value)
+  if (!Number.isInteger(version) || version < 1) throw new Error('version must be a positive integer')
+  return version
+}
+
+// ISO 8601 timestamp (or anything Date parses) for time-travel reads
+export function parseAsOf(value) {
+  if (value === undefined || value === null || value === '') return null
+  const time = new Date(value)
+  if (Number.isNaN(time.getTime())) throw new Error(`as_of must be a timestamp, got: ${value}`)
+  if (time.getTime() > Date.now()) throw new Error('as_of cannot be in the future')
+  return time
+}
+
+// Who made a change: `author` in the body, or the X-Author header
+export function resolveAuthor(req) {
+  const author = req.body?.author ?? req.get('x-author')
+  return author ? String(author).slice(0, 200) : null
+}
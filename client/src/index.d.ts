@@ -0,0 +1,571 @@
+// Type definitions for @jeridb/client
+
+export const DEFAULT_BASE_URL: string
+
+export type Metadata = Record<string, unknown>
+
+/** Metadata filter: exact values, `{ $in: [...] }`, or ranges (`$gt`, `$gte`, `$lt`, `$lte`) */
+export type Filter = Record<string, unknown>
+
+export interface ChunkingOptions {
+  strategy?: 'auto' | 'sentence' | 'markdown'
+  size?: number
+  overlap?: number
+}
+
+export interface ClientOptions {
+  /** Server root, without `/hybrid` (default http://localhost:3000) */
+  baseUrl?: string
+  /** Collection used when a call does not name one (server default: documents) */
+  collection?: string
+  /** Extra attempts for failed requests that are safe to repeat (default 2) */
+  retries?: number
+  /** First backoff delay in ms, doubled on each retry (default 300) */
+  retryDelay?: number
+  /** Per-request timeout in ms; 0 disables it (default 30000). Ingest calls never time out */
+  timeout?: number
+  headers?: Record<string, string>
+  /** Sent as X-Author and recorded in document history */
+  author?: string
+  fetch?: typeof fetch
+}
+
+export interface CollectionOption {
+  collection?: string
+}
+
+export type ErrorCode = 'HTTP_ERROR' | 'NETWORK_ERROR' | 'TIMEOUT'
+
+export class JeriDBError extends Error {
+  name: 'JeriDBError'
+  /** HTTP status, or 0 when the server could not be reached */
+  status: number
+  code: ErrorCode
+  /** Parsed error response, usually `{ error, ... }` */
+  body: { error?: string; operation?: Operation; [key: string]: unknown } | null
+  /** The logged operation behind a failed write, if the server reported one */
+  operation: Operation | null
+  readonly retryable: boolean
+}
+
+export interface RequestOptions extends CollectionOption {
+  query?: Record<string, unknown>
+  body?: unknown
+  form?: FormData
+  stream?: unknown
+  headers?: Record<string, string>
+  /** Return the fetch Response instead of parsed JSON */
+  raw?: boolean
+  /** Override whether the request may be retried after a failure */
+  idempotent?: boolean
+  timeout?: number
+}
+
+// --- responses ---
+// Every successful response also carries `success: true`
+
+export interface Operation {
+  id: string
+  type: string
+  status: string
+  stores: Record<string, { status: string; attempts: number; result?: unknown; error?: string }>
+  error?: string
+}
+
+export interface Document {
+  id: string
+  text: string
+  metadata: Metadata
+  parent_id?: string | null
+  chunk_index?: number | null
+  [field: string]: unknown
+}
+
+export interface GraphNode {
+  id: string
+  name?: string
+  type?: string
+  tags?: string[]
+  [property: string]: unknown
+}
+
+export type EdgePropertyValue = string | number | boolean | string[]
+
+export interface Edge {
+  /** Derived from source, target and type */
+  id: string
+  source: string
+  target: string
+  type: string
+  weight: number
+  properties: Record<string, EdgePropertyValue>
+}
+
+export interface EdgePage {
+  success: true
+  node_id: string
+  collection: string
+  direction: EdgeDirection
+  count: number
+  edges: Edge[]
+  next_cursor: string | null
+  has_more: boolean
+}
+
+export interface Neighbor {
+  id: string
+  /** Hops from the start node */
+  depth: number
+  /** The node it was reached from: the start node at depth 1 */
+  via: string
+  /** Its properties, without text */
+  node: { id: string; name?: string; type?: string; tags?: string[]; [property: string]: unknown }
+  /** Its edges to `via`, with direction relative to `via` */
+  edges: Array<Edge & { direction: 'out' | 'in' }>
+}
+
+export interface NeighborPage {
+  success: true
+  node_id: string
+  collection: string
+  direction: EdgeDirection
+  depth: number
+  /** Neighbours matching the filters, over all pages */
+  total: number
+  /** The walk stopped at the server's node limit */
+  truncated: boolean
+  count: number
+  neighbors: Neighbor[]
+  next_cursor: string | null
+  has_more: boolean
+  driver: string
+}
+
+export interface EdgeDeleteResponse {
+  success: true
+  deleted: Edge
+  collection: string
+}
+
+export interface NodeWriteResponse {
+  success: true
+  collection: string
+  chunks: number
+  operation: Operation
+  /** createNode */
+  node_id?: string
+  /** updateNode */
+  id?: string
+  [key: string]: unknown
+}
+
+export interface DeleteResponse {
+  success: true
+  deleted: string
+  collection: string
+  message: string
+  operation: Operation
+}
+
+export interface NodeResponse {
+  success: true
+  node: GraphNode
+}
+
+export interface NodeVersion {
+  id: string
+  version: number
+  text: string
+  metadata: Metadata
+  author: string | null
+  [field: string]: unknown
+}
+
+export interface VersionResponse {
+  success: true
+  version: NodeVersion
+}
+
+export interface HistoryResponse {
+  success: true
+  id: string
+  collection: string
+  total: number
+  versions: NodeVersion[]
+}
+
+export interface DocumentPage {
+  success: true
+  collection: string
+  totalDocuments: number
+  count: number
+  documents: Document[]
+  next_cursor: string | null
+  has_more: boolean
+}
+
+export interface BatchNodesResponse {
+  success: true
+  documents: Document[]
+  missing: string[]
+}
+
+export interface EdgeResponse {
+  success: true
+  edge: Edge
+  collection?: string
+  driver?: string
+}
+
+export interface IngestTextResponse {
+  success: true
+  routed_to: 'VECTOR_ONLY' | 'GRAPH_ONLY' | 'BOTH'
+  collection: string
+  cleaned_text_length: number
+  chunks: number
+  entities: Array<{ id: string; name: string; type: string }>
+  relationships: unknown[]
+  data_stored: string
+  operation?: Operation
+  /** The write of the request's explicit nodes and edges */
+  graph_operation?: Operation
+}
+
+export interface RecordResult {
+  index: number
+  status: 'ok' | 'error'
+  kind?: 'node' | 'edge'
+  id?: string
+  error?: string
+  /** Id of the logged operation that wrote the record (see /admin/operations) */
+  operation?: string
+  [key: string]: unknown
+}
+
+export interface IngestSummary {
+  total: number
+  succeeded: number
+  failed: number
+  nodes: number
+  edges: number
+  results: RecordResult[]
+}
+
+export interface BatchIngestResponse extends IngestSummary {
+  success: boolean
+  collection: string
+}
+
+export interface FileReport extends IngestSummary {
+  file: string
+  format?: string
+  source_id?: string
+  error?: string
+}
+
+export interface UploadResponse {
+  success: boolean
+  collection: string
+  files: FileReport[]
+}
+
+export interface CsvImportResponse {
+  success: boolean
+  dry_run: boolean
+  collection: string
+  /** `valid` on a dry run, `imported` otherwise */
+  nodes: { total: number; valid?: number; imported?: number; failed: number }
+  edges: { total: number; valid?: number; imported?: number; failed: number }
+  errors: Array<{ file: 'nodes' | 'edges'; row: number; id?: string; error: string }>
+}
+
+export interface VectorHit {
+  rank: number
+  docId: string
+  text: string
+  distance: number
+  similarity: number
+  metadata: Metadata
+  keyword_score?: number
+  [key: string]: unknown
+}
+
+export interface HybridHit extends VectorHit {
+  hybrid_score: number
+  signals: Record<string, number>
+  explanation: Record<string, unknown>
+  found_by?: string
+}
+
+export interface SearchResponse<Hit = VectorHit> {
+  success: true
+  query: string
+  collection: string
+  type: string
+  results: Hit[]
+  as_of?: string
+  table_version?: number
+  [key: string]: unknown
+}
+
+export interface HybridSearchResponse extends SearchResponse<HybridHit> {
+  page: number
+  top_k: number
+  total_pages: number
+  /** Whether the results were reranked; false when the reranker failed */
+  rerank: boolean
+  rerank_top_n?: number
+  /** Why reranking was skipped; the results keep their fused order */
+  rerank_error?: string
+  vector_hits: number
+  keyword_hits: number
+  graph_boosts: number
+  graph_found: boolean
+}
+
+export interface GraphSearchResponse {
+  success: true
+  query: string
+  collection: string
+  matches: Array<{ docId: string; name?: string; type?: string; parent_id: string | null; raw_score: number; score: number }>
+  driver: string
+}
+
+export interface TraverseResponse {
+  success: true
+  start_id: string
+  depth: number | string
+  collection: string
+  nodes: GraphNode[]
+  driver: string
+}
+
+export interface MultiHopResponse {
+  success: true
+  start_id: string
+  collection: string
+  hops: number
+  paths: Array<{ hop_count: number; path_length: number; [key: string]: unknown }>
+  total_paths: number
+}
+
+export interface StatsResponse {
+  success: true
+  collection: string
+  vector: { totalDocuments: number; totalChunks: number; embeddingDimension: number; embeddingModel: string; [key: string]: unknown }
+  graph: { totalNodes: number; totalEdges: number; driver: string; [key: string]: unknown }
+  total_nodes: number
+  total_edges: number
+  total_documents: number
+}
+
+export interface HealthResponse {
+  status: 'ok'
+  timestamp: string
+  vector_ready: boolean
+  embedding_model: string
+  graph_ready: boolean
+  graph_store: string
+  unfinished_operations: number
+  maintenance: unknown
+  [key: string]: unknown
+}
+
+export type PropertyType = 'string' | 'number' | 'boolean' | 'string[]'
+
+export interface NodeTypeDefinition {
+  description?: string
+  /** A bare type name is shorthand for `{ type }` */
+  properties?: Record<string, PropertyType | { type: PropertyType; required?: boolean }>
+}
+
+export interface EdgeTypeDefinition {
+  description?: string
+  /** Node types allowed at the source end; any when left out */
+  source?: string | string[]
+  target?: string | string[]
+  /** Undirected edges may connect their endpoint types either way round (default true) */
+  directed?: boolean
+  /** Default 0-1 */
+  weight?: { min?: number; max?: number }
+}
+
+export interface Schema {
+  node_types: Record<string, { description: string; properties: Record<string, { type: PropertyType; required: boolean }> }>
+  edge_types: Record<string, {
+    description: string
+    source: string[] | null
+    target: string[] | null
+    directed: boolean
+    weight: { min: number; max: number }
+  }>
+}
+
+export interface SchemaResponse {
+  success: true
+  collection: string
+  /** false while the collection uses the default ontology */
+  custom: boolean
+  updated_at: string | null
+  schema: Schema
+}
+
+// --- requests ---
+
+export interface NodeInput extends CollectionOption {
+  id: string
+  text: string
+  metadata?: Metadata
+  chunking?: ChunkingOptions
+}
+
+export interface EdgeInput extends CollectionOption {
+  source: string
+  target: string
+  type: string
+  weight?: number
+  properties?: Record<string, EdgePropertyValue>
+}
+
+export type EdgeDirection = 'out' | 'in' | 'both'
+
+export type BatchRecord =
+  | { id: string; text: string; metadata?: Metadata }
+  | { source: string; target: string; type: string; weight?: number }
+
+export interface UploadFile {
+  name: string
+  content: string | Blob | ArrayBuffer | Uint8Array
+}
+
+export interface CsvImportOptions extends CollectionOption {
+  nodes?: string
+  edges?: string
+  /** Column mapping, e.g. `{ id: 'ID', text: 'Body' }` or `"id=ID,text=Body"` */
+  mapping?: Record<string, string> | string
+  delimiter?: string
+  dryRun?: boolean
+  chunking?: ChunkingOptions
+  batchSize?: number
+}
+
+export interface SearchOptions extends CollectionOption {
+  vectorWeight?: number
+  graphWeight?: number
+  keywordWeight?: number
+  topK?: number
+  page?: number
+  filter?: Filter
+  groupByParent?: boolean
+  graphMode?: string
+  activation?: Record<string, unknown>
+  fusion?: string
+  fusionModel?: string
+  rerank?: boolean
+  rerankTopN?: number
+  /** ISO timestamp: search the documents as they were at that time */
+  asOf?: string
+  /** Any other field is passed through to the request body */
+  [field: string]: unknown
+}
+
+export interface SimpleSearchOptions extends CollectionOption {
+  topK?: number
+  filter?: Filter
+  groupByParent?: boolean
+  asOf?: string
+}
+
+export type ExportFormat = 'graphml' | 'cypher' | 'jsonld'
+
+export interface ExportOptions extends CollectionOption {
+  format?: ExportFormat
+  ids?: string[]
+  depth?: number
+  filter?: Filter
+  /** Base IRI for JSON-LD ids (default urn:jeridb:) */
+  base?: string
+}
+
+export class JeriDBClient {
+  constructor(options?: ClientOptions)
+
+  readonly baseUrl: string
+  readonly collection: string | undefined
+  retries: number
+  retryDelay: number
+  timeout: number
+
+  /** A client for another collection, sharing every other setting */
+  withCollection(collection: string): JeriDBClient
+
+  request<T = unknown>(method: string, path: string, options?: RequestOptions & { raw?: false }): Promise<T>
+  request(method: string, path: string, options: RequestOptions & { raw: true }): Promise<Response>
+
+  createNode(node: NodeInput): Promise<NodeWriteResponse>
+  getNode(id: string, options?: CollectionOption): Promise<NodeResponse>
+  getNode(id: string, options: CollectionOption & { version: number }): Promise<VersionResponse>
+  updateNode(id: string, update: Omit<NodeInput, 'id'>): Promise<NodeWriteResponse>
+  deleteNode(id: string, options?: CollectionOption): Promise<DeleteResponse>
+  getNodeHistory(id: string, options?: CollectionOption): Promise<HistoryResponse>
+  getNodes(ids: string[], options?: CollectionOption & { fields?: string[] }): Promise<BatchNodesResponse>
+  listDocuments(options?: CollectionOption & { limit?: number; cursor?: string; fields?: string[] }): Promise<DocumentPage>
+  iterateDocuments(options?: CollectionOption & { pageSize?: number; fields?: string[] }): AsyncGenerator<Document>
+
+  createEdge(edge: EdgeInput): Promise<EdgeResponse>
+  getEdge(id: string, options?: CollectionOption): Promise<EdgeResponse>
+  updateEdge(
+    id: string,
+    update: CollectionOption & { weight?: number; properties?: Record<string, EdgePropertyValue | null> }
+  ): Promise<EdgeResponse>
+  deleteEdge(id: string, options?: CollectionOption): Promise<EdgeDeleteResponse>
+  getNeighbors(
+    nodeId: string,
+    options?: CollectionOption & {
+      direction?: EdgeDirection
+      types?: string[]
+      nodeTypes?: string[]
+      minWeight?: number
+      /** 1-3, default 1 */
+      depth?: number
+      limit?: number
+      cursor?: string
+    }
+  ): Promise<NeighborPage>
+  listEdges(
+    nodeId: string,
+    options?: CollectionOption & { direction?: EdgeDirection; types?: string[]; limit?: number; cursor?: string }
+  ): Promise<EdgePage>
+
+  ingestText(text: string, options?: CollectionOption & { extract?: boolean; chunking?: ChunkingOptions }): Promise<IngestTextResponse>
+  ingestBatch(records: BatchRecord[], options?: CollectionOption & { chunking?: ChunkingOptions; batchSize?: number }): Promise<BatchIngestResponse>
+  uploadFiles(
+    files: Iterable<Blob | UploadFile>,
+    options?: CollectionOption & { textColumn?: string; idColumn?: string; chunking?: ChunkingOptions; batchSize?: number }
+  ): Promise<UploadResponse>
+  importCsv(options: CsvImportOptions): Promise<CsvImportResponse>
+
+  search(query: string, options?: SearchOptions): Promise<HybridSearchResponse>
+  vectorSearch(query: string, options?: SimpleSearchOptions): Promise<SearchResponse>
+  keywordSearch(query: string, options?: SimpleSearchOptions): Promise<SearchResponse>
+  graphSearch(query: string, options?: CollectionOption & { limit?: number }): Promise<GraphSearchResponse>
+  traverse(startId: string, options?: CollectionOption & { depth?: number }): Promise<TraverseResponse>
+  multiHop(startId: string, options?: CollectionOption & { hops?: number; types?: string[] | string }): Promise<MultiHopResponse>
+
+  getSchema(options?: CollectionOption): Promise<SchemaResponse>
+  setSchema(
+    schema: { nodeTypes?: Record<string, NodeTypeDefinition>; edgeTypes?: Record<string, EdgeTypeDefinition> },
+    options?: CollectionOption
+  ): Promise<SchemaResponse>
+  resetSchema(options?: CollectionOption): Promise<SchemaResponse>
+  defineNodeType(name: string, definition?: NodeTypeDefinition, options?: CollectionOption): Promise<SchemaResponse>
+  removeNodeType(name: string, options?: CollectionOption): Promise<SchemaResponse>
+  defineEdgeType(name: string, definition?: EdgeTypeDefinition, options?: CollectionOption): Promise<SchemaResponse>
+  removeEdgeType(name: string, options?: CollectionOption): Promise<SchemaResponse>
+
+  stats(options?: CollectionOption): Promise<StatsResponse>
+  health(): Promise<HealthResponse>
+  exportGraph(options?: ExportOptions): Promise<string>
+}
+
+export default JeriDBClient
@@ -0,0 +1,404 @@
+// JavaScript client for the jeriDB API. Works in browsers and in Node 18+
+// (anything with fetch). Options are camelCase and mapped onto the API's
+// snake_case fields; responses are returned as the server sends them.
+// Types live in index.d.ts.
+
+export const DEFAULT_BASE_URL = 'http://localhost:3000'
+
+// Statuses worth retrying: rate limits, writes paused for a backup or
+// restore (503 with Retry-After), and gateway hiccups
+const RETRYABLE_STATUSES = [429, 502, 503, 504]
+
+// Every failure is a JeriDBError. `status` is the HTTP status (0 when the
+// server could not be reached) and `body` the parsed error response.
+export class JeriDBError extends Error {
+  constructor(message, { status = 0, code = 'HTTP_ERROR', body = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'JeriDBError'
+    this.status = status
+    this.code = code
+    this.body = body
+    this.operation = body?.operation ?? null
+  }
+
+  get retryable() {
+    return this.code === 'NETWORK_ERROR' || this.code === 'TIMEOUT' || RETRYABLE_STATUSES.includes(this.status)
+  }
+}
+
+// Drops undefined values so the server applies its own defaults
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined))
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+function retryAfter(error) {
+  const seconds = Number(error.body?.retry_after ?? error.retryAfter)
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null
+}
+
+function asList(value) {
+  return Array.isArray(value) ? value.join(',') : value
+}
+
+export class JeriDBClient {
+  constructor({
+    baseUrl = DEFAULT_BASE_URL,
+    collection,
+    retries = 2,
+    retryDelay = 300,
+    timeout = 30000,
+    headers = {},
+    author,
+    fetch: fetchImpl = globalThis.fetch
+  } = {}) {
+    if (!fetchImpl) throw new Error('No fetch implementation available; pass one as options.fetch')
+    this.baseUrl = baseUrl.replace(/\/+$/, '')
+    this.collection = collection
+    this.retries = retries
+    this.retryDelay = retryDelay
+    this.timeout = timeout
+    this.headers = { ...headers, ...(author ? { 'X-Author': author } : {}) }
+    this.fetch = fetchImpl
+  }
+
+  // A client for another collection, sharing every other setting
+  withCollection(collection) {
+    const client = Object.create(JeriDBClient.prototype)
+    Object.assign(client, this, { collection })
+    return client
+  }
+
+  // --- transport ---
+
+  /**
+   * Sends one request and returns the parsed JSON (or the Response when `raw`).
+   * Requests that are safe to repeat are retried on network errors, timeouts
+   * and retryable statuses; other requests only when the server turned them
+   * away before doing anything (429, 503).
+   */
+  async request(method, path, { query = {}, body, form, stream, headers = {}, raw = false, idempotent, collection, timeout = this.timeout } = {}) {
+    const params = new URLSearchParams()
+    for (const [key, value] of Object.entries({ ...query, collection: collection === undefined ? this.collection : collection })) {
+      if (value !== undefined && value !== null && value !== '') params.set(key, String(value))
+    }
+    const url = `${this.baseUrl}${path}${params.toString() ? `?${params}` : ''}`
+    // A DELETE that timed out may still have run, and repeating it would turn
+    // that success into a 404, so deletes follow the rule for creates
+    const safe = idempotent ?? ['GET', 'HEAD', 'PUT'].includes(method)
+    // A stream can only be sent once
+    const attempts = stream ? 1 : this.retries + 1
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const res = await this.send(url, method, { body, form, stream, headers, timeout })
+        return raw ? res : await res.json()
+      } catch (error) {
+        const canRetry = error.retryable && (safe || error.status === 429 || error.status === 503)
+        if (!canRetry || attempt >= attempts) throw error
+        await sleep(retryAfter(error) ?? this.retryDelay * 2 ** (attempt - 1))
+      }
+    }
+  }
+
+  async send(url, method, { body, form, stream, headers, timeout }) {
+    const init = { method, headers: { ...this.headers, ...headers } }
+    if (form) {
+      init.body = form
+    } else if (stream) {
+      init.body = stream
+      init.duplex = 'half'
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json'
+      init.body = JSON.stringify(body)
+    }
+
+    const controller = new AbortController()
+    const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null
+    init.signal = controller.signal
+
+    let res
+    try {
+      res = await this.fetch(url, init)
+    } catch (cause) {
+      if (controller.signal.aborted) {
+        throw new JeriDBError(`Request to ${url} timed out after ${timeout}ms`, { code: 'TIMEOUT', cause })
+      }
+      throw new JeriDBError(`Cannot reach jeriDB at ${this.baseUrl} (${cause.cause?.code || cause.message})`, {
+        code: 'NETWORK_ERROR',
+        cause
+      })
+    } finally {
+      if (timer) clearTimeout(timer)
+    }
+
+    if (!res.ok) {
+      const text = await res.text()
+      let parsed = null
+      try {
+        parsed = JSON.parse(text)
+      } catch {
+        parsed = text ? { error: text } : null
+      }
+      const error = new JeriDBError(parsed?.error || `${res.status} ${res.statusText}`, { status: res.status, body: parsed })
+      error.retryAfter = res.headers.get('retry-after')
+      throw error
+    }
+    return res
+  }
+
+  // --- nodes ---
+
+  createNode({ id, text, metadata, chunking, collection }) {
+    return this.request('POST', '/hybrid/nodes', { body: compact({ id, text, metadata, chunking }), collection })
+  }
+
+  getNode(id, { version, collection } = {}) {
+    return this.request('GET', `/hybrid/nodes/${encodeURIComponent(id)}`, { query: { version }, collection })
+  }
+
+  // Replaces the document's text and metadata (and re-chunks it)
+  updateNode(id, { text, metadata, chunking, collection }) {
+    return this.request('PUT', `/hybrid/nodes/${encodeURIComponent(id)}`, { body: compact({ text, metadata, chunking }), collection })
+  }
+
+  deleteNode(id, { collection } = {}) {
+    return this.request('DELETE', `/hybrid/nodes/${encodeURIComponent(id)}`, { collection })
+  }
+
+  getNodeHistory(id, { collection } = {}) {
+    return this.request('GET', `/hybrid/nodes/${encodeURIComponent(id)}/history`, { collection })
+  }
+
+  getNodes(ids, { fields, collection } = {}) {
+    return this.request('POST', '/vector/nodes/batch', { body: compact({ ids, fields }), idempotent: true, collection })
+  }
+
+  listDocuments({ limit, cursor, fields, collection } = {}) {
+    return this.request('GET', '/vector/all', { query: { limit, cursor, fields: asList(fields) }, collection })
+  }
+
+  // Every document, page by page
+  async *iterateDocuments({ pageSize, fields, collection } = {}) {
+    let cursor
+    do {
+      const page = await this.listDocuments({ limit: pageSize, cursor, fields, collection })
+      yield* page.documents
+      cursor = page.next_cursor
+    } while (cursor)
+  }
+
+  // --- edges ---
+
+  // Edges are keyed on source, target and type, so creating one again updates it
+  createEdge({ source, target, type, weight, properties, collection }) {
+    return this.request('POST', '/hybrid/edges', { body: compact({ source, target, type, weight, properties }), idempotent: true, collection })
+  }
+
+  getEdge(id, { collection } = {}) {
+    return this.request('GET', `/hybrid/edges/${encodeURIComponent(id)}`, { collection })
+  }
+
+  // Properties are merged; null removes one
+  updateEdge(id, { weight, properties, collection } = {}) {
+    return this.request('PATCH', `/hybrid/edges/${encodeURIComponent(id)}`, { body: compact({ weight, properties }), idempotent: true, collection })
+  }
+
+  deleteEdge(id, { collection } = {}) {
+    return this.request('DELETE', `/hybrid/edges/${encodeURIComponent(id)}`, { collection })
+  }
+
+  listEdges(nodeId, { direction, types, limit, cursor, collection } = {}) {
+    return this.request('GET', `/hybrid/nodes/${encodeURIComponent(nodeId)}/edges`, {
+      query: { direction, types: asList(types), limit, cursor },
+      collection
+    })
+  }
+
+  // Nodes within `depth` hops, each with the edges that reach it
+  getNeighbors(nodeId, { direction, types, nodeTypes, minWeight, depth, limit, cursor, collection } = {}) {
+    return this.request('GET', `/hybrid/nodes/${encodeURIComponent(nodeId)}/neighbors`, {
+      query: { direction, types: asList(types), node_types: asList(nodeTypes), min_weight: minWeight, depth, limit, cursor },
+      collection
+    })
+  }
+
+  // --- ingest ---
+  // Embedding and extraction can take a while, so ingest calls have no timeout
+
+  // Free text: cleaned, stored as a document and run through entity extraction
+  ingestText(text, { extract, chunking, collection } = {}) {
+    return this.request('POST', '/hybrid/ingest', { body: compact({ data: { text }, extract, chunking }), collection, timeout: 0 })
+  }
+
+  // Node records ({ id, text, metadata }) and edge records ({ source, target, type, weight })
+  ingestBatch(records, { chunking, batchSize, collection } = {}) {
+    return this.request('POST', '/hybrid/ingest/batch', {
+      body: compact({ items: records, chunking, batch_size: batchSize }),
+      collection,
+      timeout: 0
+    })
+  }
+
+  // Files (File/Blob objects, or { name, content } pairs) as a multipart upload
+  uploadFiles(files, { textColumn, idColumn, chunking, batchSize, collection } = {}) {
+    const form = new FormData()
+    for (const file of files) {
+      if (typeof Blob !== 'undefined' && file instanceof Blob) form.append('files', file, file.name)
+      else form.append('files', new Blob([file.content]), file.name)
+    }
+    if (textColumn) form.append('text_column', textColumn)
+    if (idColumn) form.append('id_column', idColumn)
+    if (chunking !== undefined) form.append('chunking', JSON.stringify(chunking))
+    if (batchSize) form.append('batch_size', String(batchSize))
+    return this.request('POST', '/hybrid/ingest/upload', { form, collection, timeout: 0 })
+  }
+
+  // CSV text for a nodes file and/or an edges file
+  importCsv({ nodes, edges, mapping, delimiter, dryRun, chunking, batchSize, collection }) {
+    return this.request('POST', '/hybrid/import/csv', {
+      body: compact({ nodes, edges, mapping, delimiter, dry_run: dryRun, chunking, batch_size: batchSize }),
+      idempotent: !!dryRun,
+      collection,
+      timeout: 0
+    })
+  }
+
+  // --- search ---
+
+  search(query, {
+    vectorWeight,
+    graphWeight,
+    keywordWeight,
+    topK,
+    page,
+    filter,
+    groupByParent,
+    graphMode,
+    activation,
+    fusion,
+    fusionModel,
+    rerank,
+    rerankTopN,
+    asOf,
+    collection,
+    ...rest
+  } = {}) {
+    return this.request('POST', '/hybrid/search', {
+      body: compact({
+        ...rest,
+        query,
+        type: 'hybrid',
+        vector_weight: vectorWeight,
+        graph_weight: graphWeight,
+        keyword_weight: keywordWeight,
+        top_k: topK,
+        page,
+        filter,
+        group_by_parent: groupByParent,
+        graph_mode: graphMode,
+        activation,
+        fusion,
+        fusion_model: fusionModel,
+        rerank,
+        rerank_top_n: rerankTopN,
+        as_of: asOf
+      }),
+      idempotent: true,
+      collection
+    })
+  }
+
+  vectorSearch(query, { topK, filter, groupByParent, asOf, collection } = {}) {
+    return this.request('POST', '/hybrid/search/vector', {
+      body: compact({ query, top_k: topK, filter, group_by_parent: groupByParent, as_of: asOf }),
+      idempotent: true,
+      collection
+    })
+  }
+
+  keywordSearch(query, { topK, filter, groupByParent, asOf, collection } = {}) {
+    return this.request('POST', '/hybrid/search/keyword', {
+      body: compact({ query, top_k: topK, filter, group_by_parent: groupByParent, as_of: asOf }),
+      idempotent: true,
+      collection
+    })
+  }
+
+  // Full-text search over graph nodes
+  graphSearch(query, { limit, collection } = {}) {
+    return this.request('GET', '/hybrid/search/graph', { query: { q: query, limit }, collection })
+  }
+
+  // Nodes reachable from startId within `depth` hops
+  traverse(startId, { depth, collection } = {}) {
+    return this.request('GET', '/hybrid/search/graph', { query: { start_id: startId, depth }, collection })
+  }
+
+  multiHop(startId, { hops, types, collection } = {}) {
+    return this.request('GET', '/hybrid/search/multi-hop', {
+      query: { start_id: startId, hops, relationship_types: asList(types) },
+      collection
+    })
+  }
+
+  // --- schema ---
+  // The collection's ontology: node types with typed properties, edge types
+  // with allowed endpoints, direction and weight range
+
+  getSchema({ collection } = {}) {
+    return this.request('GET', '/schema', { collection })
+  }
+
+  // Replaces the whole schema
+  setSchema({ nodeTypes, edgeTypes }, { collection } = {}) {
+    return this.request('PUT', '/schema', { body: compact({ node_types: nodeTypes, edge_types: edgeTypes }), collection })
+  }
+
+  // Back to the server's default ontology
+  resetSchema({ collection } = {}) {
+    return this.request('DELETE', '/schema', { collection })
+  }
+
+  defineNodeType(name, definition = {}, { collection } = {}) {
+    return this.request('PUT', `/schema/node-types/${encodeURIComponent(name)}`, { body: definition, collection })
+  }
+
+  removeNodeType(name, { collection } = {}) {
+    return this.request('DELETE', `/schema/node-types/${encodeURIComponent(name)}`, { collection })
+  }
+
+  defineEdgeType(name, definition = {}, { collection } = {}) {
+    return this.request('PUT', `/schema/edge-types/${encodeURIComponent(name)}`, { body: definition, collection })
+  }
+
+  removeEdgeType(name, { collection } = {}) {
+    return this.request('DELETE', `/schema/edge-types/${encodeURIComponent(name)}`, { collection })
+  }
+
+  // --- stats, export ---
+
+  stats({ collection } = {}) {
+    return this.request('GET', '/hybrid/stats', { collection })
+  }
+
+  health() {
+    return this.request('GET', '/health', { collection: null })
+  }
+
+  // The graph as GraphML, Cypher or JSON-LD text
+  async exportGraph({ format, ids, depth, filter, base, collection } = {}) {
+    const res = await this.request('POST', '/hybrid/graph/export', {
+      body: compact({ format, ids, depth, filter, base }),
+      idempotent: true,
+      raw: true,
+      collection
+    })
+    return res.text()
+  }
+}
+
+export default JeriDBClient
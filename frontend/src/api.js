@@ -0,0 +1,8 @@
+import { JeriDBClient } from '@jeridb/client'
+
+// One client for the whole app; point it elsewhere with VITE_JERIDB_URL
+const api = new JeriDBClient({
+    baseUrl: import.meta.env.VITE_JERIDB_URL || 'http://localhost:3000'
+})
+
+export default api
@@ -1,9 +1,7 @@
 import React, { useState } from 'react'
-import axios from 'axios'
 import { Zap, Search } from 'lucide-react'
 import SearchResults from './SearchResults'
-
-const API_BASE = 'http://localhost:3000/hybrid'
+import api from '../api'
 
 export default function FastTab() {
     const [query, setQuery] = useState('')
@@ -18,16 +16,14 @@ export default function FastTab() {
         setError(null)
 
         try {
-            const response = await axios.post(`${API_BASE}/search`, {
-                query,
-                type: 'hybrid',
-                vector_weight: 0.7,
-                graph_weight: 0.3,
-                top_k: 5
+            const response = await api.search(query, {
+                vectorWeight: 0.7,
+                graphWeight: 0.3,
+                topK: 5
             })
-            setResults(response.data)
+            setResults(response)
         } catch (err) {
-            setError(err.response?.data?.error || 'Search failed')
+            setError(err.message || 'Search failed')
         } finally {
             setLoading(false)
         }
@@ -39,20 +35,20 @@ export default function FastTab() {
 
         try {
             // Create demo nodes
-            await axios.post(`${API_BASE}/nodes`, {
+            await api.createNode({
                 id: 'ai_healthcare',
                 text: 'AI revolutionizing healthcare diagnostics ML cancer detection',
                 metadata: { type: 'healthcare_ai', tags: ['AI', 'healthcare'] }
             })
 
-            await axios.post(`${API_BASE}/nodes`, {
+            await api.createNode({
                 id: 'cancer_ml',
                 text: 'Cancer detection using machine learning algorithms',
                 metadata: { type: 'medical_ml', tags: ['ML', 'cancer'] }
             })
 
             // Create edge
-            await axios.post(`${API_BASE}/edges`, {
+            await api.createEdge({
                 source: 'ai_healthcare',
                 target: 'cancer_ml',
                 type: 'USES',
@@ -60,15 +56,12 @@ export default function FastTab() {
             })
 
             // Search
-            const response = await axios.post(`${API_BASE}/search`, {
-                query: 'AI healthcare cancer diagnostics',
-                type: 'hybrid'
-            })
+            const response = await api.search('AI healthcare cancer diagnostics')
 
-            setResults(response.data)
+            setResults(response)
             setQuery('AI healthcare cancer diagnostics')
         } catch (err) {
-            setError(err.response?.data?.error || 'Demo failed')
+            setError(err.message || 'Demo failed')
         } finally {
             setLoading(false)
         }
@@ -1,8 +1,6 @@
 import React, { useState } from 'react'
-import axios from 'axios'
 import { BarChart3, Database, RefreshCw } from 'lucide-react'
-
-const API_BASE = 'http://localhost:3000/hybrid'
+import api from '../api'
 
 export default function HistoryTab() {
     const [stats, setStats] = useState(null)
@@ -14,10 +12,9 @@ export default function HistoryTab() {
         setError(null)
 
         try {
-            const response = await axios.get(`${API_BASE}/stats`)
-            setStats(response.data)
+            setStats(await api.stats())
         } catch (err) {
-            setError(err.response?.data?.error || 'Failed to fetch stats')
+            setError(err.message || 'Failed to fetch stats')
         } finally {
             setLoading(false)
         }
@@ -1,14 +1,61 @@
 import React, { useState } from 'react'
-import axios from 'axios'
-import { Upload, CheckCircle, AlertCircle } from 'lucide-react'
+import { Upload, CheckCircle, AlertCircle, FileText, X } from 'lucide-react'
+import api from '../api'
 
-const API_BASE = 'http://localhost:3000/hybrid'
+const ACCEPTED_EXTENSIONS = ['.md', '.txt', '.csv', '.json', '.jsonl']
 
 export default function IngestTab() {
     const [inputText, setInputText] = useState('')
     const [loading, setLoading] = useState(false)
     const [result, setResult] = useState(null)
     const [error, setError] = useState(null)
+    const [files, setFiles] = useState([])
+    const [dragActive, setDragActive] = useState(false)
+    const [textColumn, setTextColumn] = useState('text')
+    const [idColumn, setIdColumn] = useState('id')
+    const [uploading, setUploading] = useState(false)
+    const [uploadResult, setUploadResult] = useState(null)
+    const [uploadError, setUploadError] = useState(null)
+
+    const hasCsv = files.some(file => file.name.toLowerCase().endsWith('.csv'))
+
+    const addFiles = (fileList) => {
+        const incoming = Array.from(fileList)
+        const accepted = incoming.filter(file =>
+            ACCEPTED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))
+        )
+        if (accepted.length < incoming.length) {
+            setUploadError(`Only ${ACCEPTED_EXTENSIONS.join(', ')} files are supported`)
+        } else {
+            setUploadError(null)
+        }
+        setFiles(prev => [...prev, ...accepted])
+        setUploadResult(null)
+    }
+
+    const handleDrop = (e) => {
+        e.preventDefault()
+        setDragActive(false)
+        addFiles(e.dataTransfer.files)
+    }
+
+    const handleUpload = async () => {
+        if (files.length === 0) return
+
+        setUploading(true)
+        setUploadError(null)
+        setUploadResult(null)
+
+        try {
+            const response = await api.uploadFiles(files, hasCsv ? { textColumn, idColumn } : {})
+            setUploadResult(response)
+            setFiles([])
+        } catch (err) {
+            setUploadError(err.message || 'Failed to upload files')
+        } finally {
+            setUploading(false)
+        }
+    }
 
     const handleIngest = async () => {
         if (!inputText.trim()) {
@@ -21,13 +68,11 @@ export default function IngestTab() {
         setResult(null)
 
         try {
-            const response = await axios.post(`${API_BASE}/ingest`, {
-                data: { text: inputText }
-            })
-            setResult(response.data)
+            const response = await api.ingestText(inputText)
+            setResult(response)
             setInputText('') // Clear input on success
         } catch (err) {
-            setError(err.response?.data?.error || 'Failed to ingest data')
+            setError(err.message || 'Failed to ingest data')
         } finally {
             setLoading(false)
         }
@@ -43,7 +88,7 @@ export default function IngestTab() {
                     </h2>
                     <p style={{ color: 'var(--color-text-secondary)', fontSize: '0.875rem' }}>
                         Paste raw text here (LinkedIn profile, documents, unstructured data, etc.).
-                        The LLM will automatically extract entities and relationships.
+                        People, organisations and concepts are extracted locally and linked in the graph.
                     </p>
                 </div>
 
@@ -118,9 +163,178 @@ export default function IngestTab() {
                                 <span style={{ fontWeight: 500, color: '#065f46' }}>Data Stored: </span>
                                 <span style={{ color: '#047857' }}>{result.data_stored}</span>
                             </div>
+                            {result.entities?.length > 0 && (
+                                <div>
+                                    <span style={{ fontWeight: 500, color: '#065f46' }}>
+                                        Entities ({result.entities.length}), Relationships ({result.relationships?.length || 0}):{' '}
+                                    </span>
+                                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.25rem', marginTop: '0.25rem' }}>
+                                        {result.entities.map((entity) => (
+                                            <span key={entity.id} className="badge badge-primary">
+                                                {entity.name} · {entity.type}
+                                            </span>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {/* File Upload Section */}
+            <div className="card fade-in" style={{ marginTop: '1.5rem' }}>
+                <div style={{ marginBottom: '1rem' }}>
+                    <h3 style={{ marginBottom: '0.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '1rem' }}>
+                        <FileText size={20} />
+                        Upload Files
+                    </h3>
+                    <p style={{ color: 'var(--color-text-secondary)', fontSize: '0.875rem' }}>
+                        Markdown is split into sections, CSV rows become nodes and JSON arrays are read as node/edge lists.
+                        Each file is recorded as a source node linked to everything extracted from it.
+                    </p>
+                </div>
+
+                <label
+                    onDragOver={(e) => {
+                        e.preventDefault()
+                        setDragActive(true)
+                    }}
+                    onDragLeave={() => setDragActive(false)}
+                    onDrop={handleDrop}
+                    style={{
+                        display: 'block',
+                        padding: '2rem',
+                        textAlign: 'center',
+                        cursor: 'pointer',
+                        border: `2px dashed ${dragActive ? 'var(--color-primary)' : 'var(--color-border)'}`,
+                        borderRadius: 'var(--radius-md)',
+                        backgroundColor: dragActive ? 'var(--color-primary-light)' : 'var(--color-bg-secondary)',
+                        color: 'var(--color-text-secondary)',
+                        fontSize: '0.875rem',
+                        transition: 'all var(--transition-fast)'
+                    }}
+                >
+                    <Upload size={24} style={{ marginBottom: '0.5rem' }} />
+                    <div>Drag & drop files here, or click to browse</div>
+                    <div style={{ fontSize: '0.75rem', marginTop: '0.25rem' }}>{ACCEPTED_EXTENSIONS.join(', ')}</div>
+                    <input
+                        type="file"
+                        multiple
+                        accept={ACCEPTED_EXTENSIONS.join(',')}
+                        onChange={(e) => {
+                            addFiles(e.target.files)
+                            e.target.value = ''
+                        }}
+                        style={{ display: 'none' }}
+                    />
+                </label>
+
+                {files.length > 0 && (
+                    <div style={{ marginTop: '1rem', display: 'grid', gap: '0.5rem' }}>
+                        {files.map((file, idx) => (
+                            <div
+                                key={`${file.name}-${idx}`}
+                                style={{
+                                    display: 'flex',
+                                    justifyContent: 'space-between',
+                                    alignItems: 'center',
+                                    padding: '0.5rem 0.75rem',
+                                    backgroundColor: 'var(--color-bg-tertiary)',
+                                    borderRadius: 'var(--radius-sm)',
+                                    fontSize: '0.813rem'
+                                }}
+                            >
+                                <span>{file.name} <span style={{ color: 'var(--color-text-tertiary)' }}>({(file.size / 1024).toFixed(1)} KB)</span></span>
+                                <button
+                                    onClick={() => setFiles(prev => prev.filter((_, i) => i !== idx))}
+                                    style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--color-text-secondary)' }}
+                                    aria-label={`Remove ${file.name}`}
+                                >
+                                    <X size={16} />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {hasCsv && (
+                    <div style={{ marginTop: '1rem', display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 500, fontSize: '0.875rem' }}>
+                                CSV Text Column
+                            </label>
+                            <input className="input" value={textColumn} onChange={(e) => setTextColumn(e.target.value)} />
+                        </div>
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 500, fontSize: '0.875rem' }}>
+                                CSV ID Column
+                            </label>
+                            <input className="input" value={idColumn} onChange={(e) => setIdColumn(e.target.value)} />
                         </div>
                     </div>
                 )}
+
+                <button
+                    onClick={handleUpload}
+                    disabled={uploading || files.length === 0}
+                    className="btn btn-primary"
+                    style={{ width: '100%', marginTop: '1rem' }}
+                >
+                    {uploading && <span className="spinner" />}
+                    {uploading ? 'Uploading...' : `Upload ${files.length || ''} File${files.length === 1 ? '' : 's'}`}
+                </button>
+
+                {uploadError && (
+                    <div
+                        className="fade-in"
+                        style={{
+                            marginTop: '1rem',
+                            padding: '1rem',
+                            backgroundColor: '#fee2e2',
+                            border: '1px solid #fecaca',
+                            borderRadius: 'var(--radius-md)',
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '0.5rem'
+                        }}
+                    >
+                        <AlertCircle size={20} color="#ef4444" />
+                        <span style={{ color: '#991b1b', fontSize: '0.875rem' }}>{uploadError}</span>
+                    </div>
+                )}
+
+                {uploadResult && (
+                    <div className="fade-in" style={{ marginTop: '1rem', display: 'grid', gap: '0.5rem' }}>
+                        {uploadResult.files.map((file) => (
+                            <div
+                                key={file.file}
+                                style={{
+                                    padding: '0.75rem 1rem',
+                                    borderRadius: 'var(--radius-md)',
+                                    fontSize: '0.875rem',
+                                    backgroundColor: file.error || file.failed ? '#fef3c7' : '#d1fae5',
+                                    border: `1px solid ${file.error || file.failed ? '#fde68a' : '#a7f3d0'}`
+                                }}
+                            >
+                                <div style={{ fontWeight: 500 }}>{file.file}</div>
+                                {file.error ? (
+                                    <div style={{ color: '#991b1b' }}>{file.error}</div>
+                                ) : (
+                                    <div style={{ color: 'var(--color-text-secondary)' }}>
+                                        {file.succeeded} of {file.total} records stored ({file.nodes} nodes, {file.edges} edges)
+                                        {file.failed > 0 && `, ${file.failed} failed`}
+                                    </div>
+                                )}
+                                {file.results?.filter(r => r.status === 'error').slice(0, 5).map(r => (
+                                    <div key={r.index} style={{ color: '#991b1b', fontSize: '0.75rem' }}>
+                                        #{r.index} {r.id || ''}: {r.error}
+                                    </div>
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+                )}
             </div>
 
             {/* Example Section */}
@@ -1,15 +1,16 @@
 import React, { useState } from 'react'
-import axios from 'axios'
 import { Search, Settings } from 'lucide-react'
 import SearchResults from './SearchResults'
-
-const API_BASE = 'http://localhost:3000/hybrid'
+import api from '../api'
 
 export default function QueryTab() {
     const [query, setQuery] = useState('')
     const [searchType, setSearchType] = useState('hybrid')
     const [vectorWeight, setVectorWeight] = useState(0.7)
     const [graphWeight, setGraphWeight] = useState(0.3)
+    const [keywordWeight, setKeywordWeight] = useState(0)
+    const [fusion, setFusion] = useState('weighted')
+    const [rerank, setRerank] = useState(false)
     const [topK, setTopK] = useState(5)
     const [startId, setStartId] = useState('')
     const [hops, setHops] = useState(2)
@@ -32,35 +33,27 @@ export default function QueryTab() {
             let response
 
             if (searchType === 'hybrid') {
-                response = await axios.post(`${API_BASE}/search`, {
-                    query,
-                    type: 'hybrid',
-                    vector_weight: vectorWeight,
-                    graph_weight: graphWeight,
-                    top_k: topK
+                response = await api.search(query, {
+                    vectorWeight,
+                    graphWeight,
+                    keywordWeight,
+                    fusion,
+                    rerank,
+                    topK
                 })
             } else if (searchType === 'vector_only') {
-                response = await axios.post(`${API_BASE}/search/vector`, {
-                    query,
-                    top_k: topK
-                })
+                response = await api.vectorSearch(query, { topK })
+            } else if (searchType === 'keyword_only') {
+                response = await api.keywordSearch(query, { topK })
             } else if (searchType === 'graph_only') {
-                response = await axios.get(`${API_BASE}/search/graph`, {
-                    params: { start_id: startId, depth: hops }
-                })
+                response = await api.traverse(startId, { depth: hops })
             } else if (searchType === 'multi-hop') {
-                response = await axios.get(`${API_BASE}/search/multi-hop`, {
-                    params: {
-                        start_id: startId,
-                        hops,
-                        relationship_types: relationshipTypes
-                    }
-                })
+                response = await api.multiHop(startId, { hops, types: relationshipTypes })
             }
 
-            setResults(response.data)
+            setResults(response)
         } catch (err) {
-            setError(err.response?.data?.error || 'Search failed')
+            setError(err.message || 'Search failed')
         } finally {
             setLoading(false)
         }
@@ -88,13 +81,14 @@ export default function QueryTab() {
                         >
                             <option value="hybrid">Hybrid (Vector + Graph)</option>
                             <option value="vector_only">Vector Only</option>
+                            <option value="keyword_only">Keyword Only (BM25)</option>
                             <option value="graph_only">Graph Only</option>
                             <option value="multi-hop">Multi-hop Reasoning</option>
                         </select>
                     </div>
 
                     {/* Hybrid/Vector Parameters */}
-                    {(searchType === 'hybrid' || searchType === 'vector_only') && (
+                    {(searchType === 'hybrid' || searchType === 'vector_only' || searchType === 'keyword_only') && (
                         <>
                             {searchType === 'hybrid' && (
                                 <>
@@ -135,6 +129,48 @@ export default function QueryTab() {
                                             style={{ width: '100%' }}
                                         />
                                     </div>
+
+                                    <div style={{ marginBottom: '1rem' }}>
+                                        <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 500, fontSize: '0.875rem' }}>
+                                            Keyword Weight: {keywordWeight}
+                                        </label>
+                                        <input
+                                            type="range"
+                                            min="0"
+                                            max="1"
+                                            step="0.1"
+                                            value={keywordWeight}
+                                            onChange={(e) => setKeywordWeight(parseFloat(e.target.value))}
+                                            style={{ width: '100%' }}
+                                        />
+                                    </div>
+
+                                    <div style={{ marginBottom: '1rem' }}>
+                                        <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 500, fontSize: '0.875rem' }}>
+                                            Fusion
+                                        </label>
+                                        <select
+                                            className="select"
+                                            value={fusion}
+                                            onChange={(e) => setFusion(e.target.value)}
+                                        >
+                                            <option value="weighted">Weighted (min-max)</option>
+                                            <option value="rrf">Reciprocal Rank Fusion</option>
+                                            <option value="combmnz">CombMNZ</option>
+                                            <option value="max">Max</option>
+                                        </select>
+                                    </div>
+
+                                    <div style={{ marginBottom: '1rem' }}>
+                                        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 500, fontSize: '0.875rem' }}>
+                                            <input
+                                                type="checkbox"
+                                                checked={rerank}
+                                                onChange={(e) => setRerank(e.target.checked)}
+                                            />
+                                            Rerank with cross-encoder
+                                        </label>
+                                    </div>
                                 </>
                             )}
 
@@ -213,7 +249,7 @@ export default function QueryTab() {
                             Advanced Query
                         </h3>
 
-                        {(searchType === 'hybrid' || searchType === 'vector_only') && (
+                        {(searchType === 'hybrid' || searchType === 'vector_only' || searchType === 'keyword_only') && (
                             <div style={{ marginBottom: '1rem' }}>
                                 <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 500, fontSize: '0.875rem' }}>
                                     Search Query
@@ -1,5 +1,77 @@
 import React from 'react'
-import { TrendingUp, Link } from 'lucide-react'
+import { TrendingUp, Link, HelpCircle } from 'lucide-react'
+
+const formatScore = (value) => (typeof value === 'number' ? value.toFixed(3) : '-')
+
+function ExplanationRow({ label, children }) {
+    return (
+        <div style={{ display: 'grid', gridTemplateColumns: '90px 1fr', gap: '0.5rem' }}>
+            <span style={{ fontWeight: 500 }}>{label}</span>
+            <span>{children}</span>
+        </div>
+    )
+}
+
+// "Why this result?" panel for the explanation object returned by /hybrid/search
+function ExplanationPanel({ explanation }) {
+    const { vector, keyword, graph, rerank, weights, fusion } = explanation
+
+    return (
+        <details style={{ marginTop: '0.75rem', fontSize: '0.8125rem', color: 'var(--color-text-secondary)' }}>
+            <summary style={{ cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+                <HelpCircle size={14} /> Why this result?
+            </summary>
+            <div style={{
+                display: 'grid',
+                gap: '0.375rem',
+                marginTop: '0.5rem',
+                padding: '0.75rem',
+                backgroundColor: 'var(--color-bg-tertiary)',
+                borderRadius: 'var(--radius-sm)'
+            }}>
+                <ExplanationRow label="Fusion">
+                    {fusion} · weights vector {weights.vector}, graph {weights.graph}, keyword {weights.keyword}
+                </ExplanationRow>
+                <ExplanationRow label="Found by">{explanation.found_by}</ExplanationRow>
+                <ExplanationRow label="Vector">
+                    {vector
+                        ? `distance ${formatScore(vector.distance)} · similarity ${formatScore(vector.similarity)} · normalized ${formatScore(vector.normalized)} · rank ${vector.rank}`
+                        : 'no vector match'}
+                </ExplanationRow>
+                {keyword && (
+                    <ExplanationRow label="Keyword">
+                        BM25 {formatScore(keyword.bm25)} · normalized {formatScore(keyword.normalized)} · rank {keyword.rank}
+                    </ExplanationRow>
+                )}
+                <ExplanationRow label="Graph">
+                    {graph ? (
+                        <>
+                            {graph.rule} · score {formatScore(graph.score)} · normalized {formatScore(graph.normalized)}
+                            {graph.matched_node && (
+                                <div>matched node <code>{graph.matched_node.id}</code> ({graph.matched_node.type})</div>
+                            )}
+                            {graph.path && (
+                                <div>
+                                    {graph.path.nodes.map((node, i) => (
+                                        <span key={node}>
+                                            {i > 0 && <> —[{graph.path.edges[i - 1]}]— </>}
+                                            <code>{node}</code>
+                                        </span>
+                                    ))}
+                                </div>
+                            )}
+                        </>
+                    ) : 'no graph boost'}
+                </ExplanationRow>
+                {rerank && (
+                    <ExplanationRow label="Rerank">
+                        score {formatScore(rerank.score)} · was #{rerank.pre_rerank_rank} ({formatScore(rerank.pre_rerank_score)})
+                    </ExplanationRow>
+                )}
+            </div>
+        </details>
+    )
+}
 
 export default function SearchResults({ results }) {
     if (!results || !results.results || results.results.length === 0) {
@@ -47,6 +119,21 @@ export default function SearchResults({ results }) {
                                 <strong>Graph:</strong> {(results.graph_weight * 100).toFixed(0)}%
                             </span>
                         )}
+                        {results.keyword_weight > 0 && (
+                            <span>
+                                <strong>Keyword:</strong> {(results.keyword_weight * 100).toFixed(0)}%
+                            </span>
+                        )}
+                        {results.fusion && (
+                            <span>
+                                <strong>Fusion:</strong> {results.fusion}
+                            </span>
+                        )}
+                        {results.rerank_error && (
+                            <span style={{ color: 'var(--color-warning)' }} title={results.rerank_error}>
+                                <strong>Rerank:</strong> skipped
+                            </span>
+                        )}
                     </div>
                 </div>
             )}
@@ -102,6 +189,14 @@ export default function SearchResults({ results }) {
                             </div>
 
                             <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                {result.rerank_score !== undefined && (
+                                    <span
+                                        className="badge badge-primary"
+                                        title={`Rank before rerank: ${result.pre_rerank_rank}, score ${result.pre_rerank_score.toFixed(3)}`}
+                                    >
+                                        Rerank: {result.rerank_score.toFixed(3)} (was #{result.pre_rerank_rank})
+                                    </span>
+                                )}
                                 {result.hybrid_score !== undefined && (
                                     <span className={`badge ${result.hybrid_score > 0.7 ? 'badge-success' :
                                             result.hybrid_score > 0.4 ? 'badge-warning' :
@@ -118,6 +213,11 @@ export default function SearchResults({ results }) {
                                         Similarity: {result.similarity.toFixed(3)}
                                     </span>
                                 )}
+                                {result.keyword_score !== undefined && result.hybrid_score === undefined && (
+                                    <span className="badge badge-primary">
+                                        BM25: {result.keyword_score.toFixed(3)}
+                                    </span>
+                                )}
                             </div>
                         </div>
 
@@ -131,6 +231,8 @@ export default function SearchResults({ results }) {
                                 {result.text}
                             </p>
                         )}
+
+                        {result.explanation && <ExplanationPanel explanation={result.explanation} />}
                     </div>
                 ))}
             </div>